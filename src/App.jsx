@@ -3,14 +3,27 @@ import reactLogo from './assets/react.svg'
 import viteLogo from '/vite.svg'
 import './App.css'
 import HealthcareTranslator from './transalator'
+import PatientWindow from './components/PatientWindow'
+import UpdatePrompt from './components/UpdatePrompt'
+import I18nProvider from './i18n/I18nProvider'
+import { isPatientWindow } from './patientChannel'
 
 function App() {
   const [count, setCount] = useState(0)
 
+  if (isPatientWindow()) {
+    return (
+      <I18nProvider>
+        <PatientWindow />
+      </I18nProvider>
+    )
+  }
+
   return (
-    <>
+    <I18nProvider>
      <HealthcareTranslator/>
-    </>
+     <UpdatePrompt/>
+    </I18nProvider>
   )
 }
 
@@ -0,0 +1,60 @@
+// Every recognition engine reports a RecognitionError so the UI can show the
+// same message whether audio went to the browser or a self-hosted server.
+export class RecognitionError extends Error {
+  constructor(code, message, { engine, cause } = {}) {
+    super(message);
+    this.name = 'RecognitionError';
+    this.code = code;
+    this.engine = engine;
+    this.cause = cause;
+  }
+}
+
+const messages = {
+  'not-allowed': 'Microphone access denied. Please allow microphone access in your browser settings and reload the page.',
+  'audio-capture': 'No microphone was found. Check that one is connected and not in use by another application.',
+  'no-speech': 'No speech was detected. Please try again.',
+  network: 'Speech recognition failed. The recognition service could not be reached.',
+  'language-not-supported': 'This language is not supported by the selected speech recognition engine.',
+  unsupported: 'Speech recognition not supported in this browser',
+  unavailable: 'Speech recognition service unavailable. Please try again shortly.',
+  'invalid-response': 'Speech recognition failed. The service returned an unexpected response.',
+  aborted: 'Speech recognition was cancelled.',
+};
+
+// SpeechRecognitionErrorEvent.error values, mapped onto the shared codes.
+const webSpeechCodes = {
+  'not-allowed': 'not-allowed',
+  'service-not-allowed': 'not-allowed',
+  'audio-capture': 'audio-capture',
+  'no-speech': 'no-speech',
+  network: 'network',
+  'language-not-supported': 'language-not-supported',
+  aborted: 'aborted',
+};
+
+export const recognitionError = (code, engine, cause) =>
+  new RecognitionError(code, messages[code] || messages.unavailable, { engine, cause });
+
+export const webSpeechError = (event, engine) =>
+  recognitionError(webSpeechCodes[event.error] || 'unavailable', engine, event);
+
+export const normalizeRecognitionError = (err, engine) => {
+  if (err instanceof RecognitionError) return err;
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return recognitionError('not-allowed', engine, err);
+    case 'NotFoundError':
+    case 'NotReadableError':
+      return recognitionError('audio-capture', engine, err);
+    case 'AbortError':
+      return recognitionError('aborted', engine, err);
+    default:
+      // fetch rejects with a TypeError when the request never reaches the server
+      return recognitionError(err instanceof TypeError ? 'network' : 'unavailable', engine, err);
+  }
+};
+
+export const errorForStatus = (status, engine) =>
+  recognitionError(status === 400 ? 'language-not-supported' : 'unavailable', engine);
@@ -0,0 +1,63 @@
+import { createWebSpeechEngine, isWebSpeechSupported } from './webSpeech';
+import { createMediaRecorderEngine, isMediaRecorderSupported } from './mediaRecorder';
+import { createWhisperTranscriber } from './whisper';
+
+export { RecognitionError, recognitionError } from './errors';
+export { createRecognitionSession, isActiveState, recognitionStates } from './session';
+export { createMediaRecorderEngine } from './mediaRecorder';
+export { createWhisperTranscriber } from './whisper';
+
+// A recognition engine implements:
+//   id, name, isSupported
+//   start(locale) -> Promise<void>  (rejects with RecognitionError)
+//   stop()   finishes the current utterance, then ends
+//   abort()  ends immediately and drops buffered audio
+// and reports through the handlers it is created with:
+//   onInterim(text), onFinal(text), onError(RecognitionError), onEnd()
+export const engineNames = {
+  webspeech: 'Browser speech recognition',
+  whisper: 'Whisper server (self-hosted)',
+  local: 'In-browser model',
+};
+
+// The in-browser engine ships no model of its own, so it is only offered
+// when the host application passes a `transcriber`.
+export const availableEngineIds = ({ transcriber } = {}) =>
+  Object.keys(engineNames).filter(id => id !== 'local' || Boolean(transcriber));
+
+const env = import.meta.env;
+
+export const defaultRecognitionConfig = {
+  id: availableEngineIds().includes(env.VITE_ASR_ENGINE) ? env.VITE_ASR_ENGINE : 'webspeech',
+  whisperUrl: env.VITE_WHISPER_URL || 'http://localhost:8000/v1/audio/transcriptions',
+  whisperModel: env.VITE_WHISPER_MODEL || 'whisper-1',
+};
+
+// `transcriber` is a transcribe(blob, { language, signal }) function supplied
+// by the host application, e.g. a Whisper model compiled to WebAssembly.
+export const isEngineSupported = (config, { transcriber } = {}) => {
+  switch (config.id) {
+    case 'whisper':
+      return isMediaRecorderSupported;
+    case 'local':
+      return isMediaRecorderSupported && Boolean(transcriber);
+    default:
+      return isWebSpeechSupported;
+  }
+};
+
+export const createRecognitionEngine = (config, handlers, { transcriber } = {}) => {
+  switch (config.id) {
+    case 'whisper':
+      return createMediaRecorderEngine({
+        ...handlers,
+        id: 'whisper',
+        name: engineNames.whisper,
+        transcribe: createWhisperTranscriber({ url: config.whisperUrl, model: config.whisperModel }),
+      });
+    case 'local':
+      return createMediaRecorderEngine({ ...handlers, id: 'local', name: engineNames.local, transcribe: transcriber });
+    default:
+      return createWebSpeechEngine(handlers);
+  }
+};
@@ -0,0 +1,9 @@
+import { describe, expect, it, vi } from 'vitest';
+import { availableEngineIds } from '.';
+
+describe('availableEngineIds', () => {
+  it('offers the in-browser engine only when the host supplies a model', () => {
+    expect(availableEngineIds()).toEqual(['webspeech', 'whisper']);
+    expect(availableEngineIds({ transcriber: vi.fn() })).toEqual(['webspeech', 'whisper', 'local']);
+  });
+});
@@ -0,0 +1,218 @@
+import { normalizeRecognitionError, recognitionError } from './errors';
+
+export const isMediaRecorderSupported = 'MediaRecorder' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+// Transcription APIs such as Whisper take ISO 639-1 codes, where the
+// Filipino recognition locale ('fil-PH') is Tagalog ('tl').
+const transcriptionAliases = { fil: 'tl' };
+
+export const transcriptionLanguage = (locale) => {
+  const base = locale?.split('-')[0];
+  return transcriptionAliases[base] ?? base;
+};
+
+const mimeTypes = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+// Root-mean-square level above which a frame counts as speech.
+const speechLevel = 0.015;
+
+const measureLevel = (analyser, samples) => {
+  analyser.getFloatTimeDomainData(samples);
+  const sum = samples.reduce((total, sample) => total + sample * sample, 0);
+  return Math.sqrt(sum / samples.length);
+};
+
+// Records the microphone with MediaRecorder and hands the audio to a
+// transcribe(blob, { language, signal }) function, which can call a server or
+// run a model in the browser. Audio is cut into utterances at pauses; while an
+// utterance is in progress it is re-transcribed every few seconds so the
+// caption still updates before the speaker finishes.
+export const createMediaRecorderEngine = ({
+  id = 'mediarecorder',
+  name = 'Recorded audio',
+  transcribe,
+  interimMs = 2500,
+  pauseMs = 900,
+  maxUtteranceMs = 15000,
+  onInterim,
+  onFinal,
+  onError,
+  onEnd,
+}) => {
+  let locale = null;
+  let stream = null;
+  let audioContext = null;
+  let analyser = null;
+  let recorder = null;
+  let monitor = null;
+  let controller = null;
+  let active = false;
+  // Set when stop() or abort() arrives while getUserMedia is still pending.
+  let cancelled = false;
+  // Finals are transcribed one after another so they arrive in spoken order.
+  let finals = Promise.resolve();
+  // Bumped whenever an utterance ends, so late interim results are dropped.
+  let utteranceNumber = 0;
+
+  const language = () => transcriptionLanguage(locale);
+
+  const report = (err) => {
+    const normalized = normalizeRecognitionError(err, id);
+    if (normalized.code !== 'aborted') {
+      onError(normalized);
+    }
+  };
+
+  const transcribeInterim = async (chunks, number) => {
+    try {
+      const text = await transcribe(new Blob(chunks, { type: recorder.mimeType }), {
+        language: language(),
+        signal: controller.signal,
+      });
+      if (active && number === utteranceNumber) {
+        onInterim(text.trim());
+      }
+    } catch {
+      // Interim captions are best effort; the final transcription reports errors.
+    }
+  };
+
+  const transcribeFinal = (chunks, mimeType) => {
+    const audio = new Blob(chunks, { type: mimeType });
+    finals = finals.then(async () => {
+      try {
+        const text = await transcribe(audio, { language: language(), signal: controller.signal });
+        onInterim('');
+        if (text.trim()) {
+          onFinal(text.trim());
+        }
+      } catch (err) {
+        report(err);
+      }
+    });
+  };
+
+  // Each utterance gets its own recorder so every blob starts with a
+  // container header and can be decoded on its own.
+  const startUtterance = () => {
+    const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+    const chunks = [];
+    const utterance = { heardSpeech: false, startedAt: Date.now(), lastSpeechAt: 0, interimPending: false };
+    const number = ++utteranceNumber;
+
+    recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    recorder.ondataavailable = (event) => {
+      if (event.data.size) chunks.push(event.data);
+      if (active && number === utteranceNumber && utterance.heardSpeech && !utterance.interimPending) {
+        utterance.interimPending = true;
+        transcribeInterim([...chunks], number).finally(() => {
+          utterance.interimPending = false;
+        });
+      }
+    };
+    recorder.onstop = (event) => {
+      if (utterance.heardSpeech) {
+        transcribeFinal(chunks, event.target.mimeType);
+      }
+    };
+    recorder.start(interimMs);
+    return utterance;
+  };
+
+  const endUtterance = () => {
+    utteranceNumber++;
+    recorder.stop();
+  };
+
+  const watchLevel = (utterance) => {
+    const samples = new Float32Array(analyser.fftSize);
+    let current = utterance;
+    monitor = setInterval(() => {
+      const now = Date.now();
+      if (measureLevel(analyser, samples) > speechLevel) {
+        current.heardSpeech = true;
+        current.lastSpeechAt = now;
+      }
+      const paused = current.heardSpeech && now - current.lastSpeechAt > pauseMs;
+      // Long stretches of silence are dropped rather than transcribed.
+      if (paused || now - current.startedAt > maxUtteranceMs) {
+        endUtterance();
+        current = startUtterance();
+      }
+    }, 100);
+  };
+
+  const release = () => {
+    clearInterval(monitor);
+    monitor = null;
+    stream?.getTracks().forEach(track => track.stop());
+    stream = null;
+    audioContext?.close();
+    audioContext = null;
+  };
+
+  return {
+    id,
+    name,
+    isSupported: isMediaRecorderSupported && typeof transcribe === 'function',
+
+    start: async (nextLocale = locale) => {
+      if (!isMediaRecorderSupported) {
+        throw recognitionError('unsupported', id);
+      }
+      if (active) return;
+      locale = nextLocale;
+      cancelled = false;
+
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      } catch (err) {
+        throw normalizeRecognitionError(err, id);
+      }
+      if (cancelled) {
+        release();
+        throw recognitionError('aborted', id);
+      }
+      audioContext = new AudioContext();
+      analyser = audioContext.createAnalyser();
+      audioContext.createMediaStreamSource(stream).connect(analyser);
+
+      active = true;
+      controller = new AbortController();
+      watchLevel(startUtterance());
+    },
+
+    // Transcribes whatever is still buffered, then ends.
+    stop: () => {
+      if (!active) {
+        cancelled = true;
+        return;
+      }
+      active = false;
+      clearInterval(monitor);
+      const stopped = new Promise(resolve => recorder.addEventListener('stop', resolve, { once: true }));
+      endUtterance();
+      stopped
+        .then(() => finals)
+        .then(() => {
+          release();
+          onInterim('');
+          onEnd();
+        });
+    },
+
+    abort: () => {
+      if (!active) {
+        cancelled = true;
+        return;
+      }
+      active = false;
+      controller.abort();
+      recorder.onstop = null;
+      endUtterance();
+      release();
+      onInterim('');
+      onEnd();
+    },
+  };
+};
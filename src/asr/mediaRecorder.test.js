@@ -0,0 +1,44 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { languages } from '../languages';
+import { transcriptionLanguage } from './mediaRecorder';
+
+// Support is checked at import time and jsdom has no MediaRecorder.
+const loadEngine = async () => {
+  vi.stubGlobal('MediaRecorder', class {});
+  vi.resetModules();
+  const { createMediaRecorderEngine } = await import('./mediaRecorder');
+  return createMediaRecorderEngine({
+    transcribe: vi.fn(),
+    onInterim: vi.fn(),
+    onFinal: vi.fn(),
+    onError: vi.fn(),
+    onEnd: vi.fn(),
+  });
+};
+
+describe('transcriptionLanguage', () => {
+  it('sends ISO 639-1 codes, Tagalog included', () => {
+    expect(transcriptionLanguage('es-MX')).toBe('es');
+    expect(transcriptionLanguage(languages['tl-PH'].recognition)).toBe('tl');
+  });
+});
+
+describe('createMediaRecorderEngine', () => {
+  afterEach(() => {
+    vi.resetModules();
+  });
+
+  it('closes the microphone when stopped while permission is pending', async () => {
+    const track = { stop: vi.fn() };
+    let grant;
+    navigator.mediaDevices.getUserMedia.mockImplementationOnce(() => new Promise(resolve => { grant = resolve; }));
+    const engine = await loadEngine();
+
+    const starting = engine.start('en-US');
+    engine.stop();
+    grant({ getTracks: () => [track] });
+
+    await expect(starting).rejects.toMatchObject({ code: 'aborted' });
+    expect(track.stop).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,244 @@
+import { recognitionError } from './errors';
+
+// Lifecycle of a listening session:
+//   idle -> starting -> listening -> (recovering -> starting) -> ...
+//   listening -> paused      after the configured stretch of silence
+//   any       -> error       on errors a restart cannot fix
+export const recognitionStates = {
+  idle: 'idle',
+  starting: 'starting',
+  listening: 'listening',
+  paused: 'paused',
+  recovering: 'recovering',
+  error: 'error',
+};
+
+// Transient failures: the engine is restarted with backoff.
+const recoverableCodes = ['no-speech', 'network', 'unavailable'];
+
+export const isActiveState = (status) =>
+  status === recognitionStates.starting || status === recognitionStates.listening || status === recognitionStates.recovering;
+
+// Wraps a recognition engine so that listening survives the engine ending on
+// its own, transient errors and locale changes. Each start carries a tag
+// (e.g. the speaker) that is reported with every final result, so results
+// still buffered when the speaker changes are attributed correctly.
+export const createRecognitionSession = ({
+  onInterim,
+  onFinal,
+  onChange,
+  maxRetries = 5,
+  retryDelayMs = 500,
+  maxRetryDelayMs = 8000,
+}) => {
+  let engine = null;
+  let status = recognitionStates.idle;
+  let lastError = null;
+  let current = { locale: null, tag: null };
+  // Applied the next time the engine ends, e.g. after a speaker switch.
+  let next = null;
+  let attempt = 0;
+  let retryTimer = null;
+  let silenceTimer = null;
+  let silenceTimeoutMs = 0;
+  let startedAt = 0;
+  // Set while a stopped engine finishes the utterance in progress, whose
+  // result is still wanted although the session is no longer active.
+  let draining = false;
+
+  const setStatus = (nextStatus, error = null) => {
+    status = nextStatus;
+    lastError = error;
+    onChange({ status, error, attempt, locale: current.locale, tag: current.tag });
+  };
+
+  const clearTimers = () => {
+    clearTimeout(retryTimer);
+    clearTimeout(silenceTimer);
+    retryTimer = null;
+    silenceTimer = null;
+  };
+
+  const armSilenceTimer = () => {
+    clearTimeout(silenceTimer);
+    if (!silenceTimeoutMs || !isActiveState(status)) return;
+    silenceTimer = setTimeout(() => {
+      setStatus(recognitionStates.paused);
+      draining = true;
+      engine?.stop();
+    }, silenceTimeoutMs);
+  };
+
+  const heard = (text) => {
+    if (!text) return;
+    attempt = 0;
+    armSilenceTimer();
+  };
+
+  const launch = async () => {
+    if (!engine) {
+      setStatus(recognitionStates.error, recognitionError('unsupported'));
+      return;
+    }
+    setStatus(recognitionStates.starting);
+    startedAt = Date.now();
+    draining = false;
+    try {
+      await engine.start(current.locale);
+      if (status === recognitionStates.starting) {
+        setStatus(recognitionStates.listening);
+        armSilenceTimer();
+      } else {
+        // Stopped while the engine was still starting, e.g. a quick
+        // push-to-talk tap or a blur during the permission prompt.
+        engine.abort();
+      }
+    } catch (err) {
+      handleError(err);
+    }
+  };
+
+  // Silence is not a failure: no-speech restarts are not counted towards
+  // maxRetries, since the silence timeout decides when listening stops.
+  const scheduleRetry = (err) => {
+    const counted = err.code !== 'no-speech';
+    if (counted) attempt += 1;
+    if (attempt > maxRetries) {
+      setStatus(recognitionStates.error, err);
+      return;
+    }
+    setStatus(recognitionStates.recovering, err);
+    const delay = Math.min(retryDelayMs * 2 ** Math.max(attempt - 1, 0), maxRetryDelayMs);
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(launch, delay);
+  };
+
+  const handleError = (err) => {
+    if (!isActiveState(status) || err.code === 'aborted') return;
+    clearTimeout(silenceTimer);
+    // The status changes first so the engine's end event does not restart it.
+    if (recoverableCodes.includes(err.code)) {
+      scheduleRetry(err);
+    } else {
+      setStatus(recognitionStates.error, err);
+    }
+    engine.abort();
+  };
+
+  const handleEnd = () => {
+    draining = false;
+    if (next) {
+      current = next;
+      next = null;
+      if (isActiveState(status)) {
+        launch();
+        return;
+      }
+    }
+    // Engines end on their own, e.g. Web Speech after a pause in Chrome. One
+    // that ends straight after starting is failing, so back off instead.
+    if (status === recognitionStates.listening) {
+      if (Date.now() - startedAt < 1000) {
+        scheduleRetry(recognitionError('unavailable', engine.id));
+      } else {
+        launch();
+      }
+    }
+  };
+
+  const accepting = () => isActiveState(status) || draining;
+
+  const handlers = {
+    onInterim: (text) => {
+      if (!accepting()) return;
+      heard(text);
+      onInterim(text);
+    },
+    onFinal: (text) => {
+      if (!accepting()) return;
+      heard(text);
+      onFinal(text, current.tag);
+    },
+    onError: (err) => handleError(err),
+    onEnd: () => handleEnd(),
+  };
+
+  const stopEngine = () => {
+    clearTimers();
+    next = null;
+    engine?.stop();
+  };
+
+  return {
+    get status() {
+      return status;
+    },
+    get error() {
+      return lastError;
+    },
+
+    // Replaces the engine; a session in progress ends.
+    setEngine: (createEngine) => {
+      if (status !== recognitionStates.idle) {
+        setStatus(recognitionStates.idle);
+      }
+      clearTimers();
+      draining = false;
+      engine?.abort();
+      const candidate = createEngine(handlers);
+      engine = candidate.isSupported ? candidate : null;
+    },
+
+    isSupported: () => Boolean(engine),
+
+    setSilenceTimeout: (ms) => {
+      silenceTimeoutMs = ms;
+      armSilenceTimer();
+    },
+
+    start: (locale, tag = null) => {
+      clearTimers();
+      attempt = 0;
+      next = null;
+      current = { locale, tag };
+      return launch();
+    },
+
+    // Restarts the engine in another locale once it has finished the current
+    // utterance. Ignored unless a session is in progress.
+    switchTo: (locale, tag = current.tag) => {
+      if (status === recognitionStates.paused) {
+        current = { locale, tag };
+        return;
+      }
+      if (!isActiveState(status) || (locale === current.locale && tag === current.tag)) return;
+      if (status === recognitionStates.recovering) {
+        current = { locale, tag };
+        return;
+      }
+      next = { locale, tag };
+      engine.stop();
+    },
+
+    resume: () => {
+      if (status !== recognitionStates.paused) return Promise.resolve();
+      attempt = 0;
+      return launch();
+    },
+
+    stop: () => {
+      if (status === recognitionStates.listening) draining = true;
+      if (status !== recognitionStates.idle) {
+        setStatus(recognitionStates.idle);
+      }
+      stopEngine();
+    },
+
+    dispose: () => {
+      status = recognitionStates.idle;
+      clearTimers();
+      engine?.abort();
+      engine = null;
+    },
+  };
+};
@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createRecognitionSession, recognitionStates } from './session';
+import { recognitionError } from './errors';
+
+// An engine whose events are fired by the test.
+const createFakeEngine = () => {
+  const engine = {
+    id: 'fake',
+    isSupported: true,
+    locales: [],
+    start: vi.fn(async (locale) => {
+      engine.locales.push(locale);
+    }),
+    stop: vi.fn(() => engine.handlers.onEnd()),
+    abort: vi.fn(),
+  };
+  return engine;
+};
+
+describe('createRecognitionSession', () => {
+  let engine;
+  let session;
+  let changes;
+  let finals;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    changes = [];
+    finals = [];
+    session = createRecognitionSession({
+      onInterim: () => {},
+      onFinal: (text, tag) => finals.push([text, tag]),
+      onChange: (state) => changes.push(state),
+    });
+    engine = createFakeEngine();
+    session.setEngine((handlers) => {
+      engine.handlers = handlers;
+      return engine;
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('starts listening in the requested locale', async () => {
+    await session.start('en-US', 'clinician');
+
+    expect(engine.start).toHaveBeenCalledWith('en-US');
+    expect(session.status).toBe(recognitionStates.listening);
+  });
+
+  it('reports final results with the tag they were started with', async () => {
+    await session.start('en-US', 'clinician');
+    engine.handlers.onFinal('Hello');
+
+    expect(finals).toEqual([['Hello', 'clinician']]);
+  });
+
+  it('restarts when the engine ends on its own', async () => {
+    await session.start('en-US');
+    vi.advanceTimersByTime(2000);
+    engine.handlers.onEnd();
+    await vi.runAllTimersAsync();
+
+    expect(engine.start).toHaveBeenCalledTimes(2);
+    expect(session.status).toBe(recognitionStates.listening);
+  });
+
+  it('does not restart after stop', async () => {
+    await session.start('en-US');
+    session.stop();
+
+    expect(engine.stop).toHaveBeenCalled();
+    expect(engine.start).toHaveBeenCalledTimes(1);
+    expect(session.status).toBe(recognitionStates.idle);
+  });
+
+  it('still reports the utterance that was in progress when stopped', async () => {
+    engine.stop.mockImplementation(() => {});
+    await session.start('en-US', 'clinician');
+    session.stop();
+    engine.handlers.onFinal('Hello');
+    engine.handlers.onEnd();
+    engine.handlers.onFinal('Stray');
+
+    expect(finals).toEqual([['Hello', 'clinician']]);
+  });
+
+  it('aborts an engine that finishes starting after stop', async () => {
+    let started;
+    engine.start.mockImplementationOnce(() => new Promise(resolve => { started = resolve; }));
+    const starting = session.start('en-US', 'clinician');
+    session.stop();
+    started();
+    await starting;
+
+    expect(engine.abort).toHaveBeenCalled();
+    expect(session.status).toBe(recognitionStates.idle);
+    engine.handlers.onInterim('Hel');
+    engine.handlers.onFinal('Hello');
+    expect(finals).toEqual([]);
+  });
+
+  it('retries transient errors with backoff, then gives up', async () => {
+    await session.start('en-US');
+    engine.start.mockRejectedValue(recognitionError('network', 'fake'));
+    engine.handlers.onError(recognitionError('network', 'fake'));
+
+    expect(session.status).toBe(recognitionStates.recovering);
+    await vi.runAllTimersAsync();
+
+    expect(session.status).toBe(recognitionStates.error);
+    expect(session.error.code).toBe('network');
+    expect(engine.start).toHaveBeenCalledTimes(6);
+  });
+
+  it('fails straight away when the microphone is denied', async () => {
+    engine.start.mockRejectedValueOnce(recognitionError('not-allowed', 'fake'));
+    await session.start('en-US');
+
+    expect(session.status).toBe(recognitionStates.error);
+    expect(changes.at(-1).error.code).toBe('not-allowed');
+  });
+
+  it('switches locale once the current utterance has ended', async () => {
+    await session.start('en-US', 'clinician');
+    session.switchTo('es-ES', 'patient');
+    await vi.runAllTimersAsync();
+
+    expect(engine.locales).toEqual(['en-US', 'es-ES']);
+    engine.handlers.onFinal('Hola');
+    expect(finals).toEqual([['Hola', 'patient']]);
+  });
+
+  it('pauses after the silence timeout', async () => {
+    session.setSilenceTimeout(30000);
+    await session.start('en-US');
+    vi.advanceTimersByTime(30000);
+
+    expect(session.status).toBe(recognitionStates.paused);
+    expect(engine.stop).toHaveBeenCalled();
+  });
+});
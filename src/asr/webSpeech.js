@@ -0,0 +1,68 @@
+import { normalizeRecognitionError, recognitionError, webSpeechError } from './errors';
+
+const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+
+export const isWebSpeechSupported = Boolean(SpeechRecognition);
+
+// The browser's built-in recognizer. Chrome, Edge and Safari send the audio
+// to the browser vendor's speech service; Firefox has no implementation.
+export const createWebSpeechEngine = ({ onInterim, onFinal, onError, onEnd }) => {
+  const id = 'webspeech';
+  const recognition = isWebSpeechSupported ? new SpeechRecognition() : null;
+  let locale = null;
+  let permitted = false;
+
+  if (recognition) {
+    recognition.continuous = true;
+    recognition.interimResults = true;
+
+    recognition.onresult = (event) => {
+      let interim = '';
+      let final = '';
+
+      for (let i = event.resultIndex; i < event.results.length; i++) {
+        const transcript = event.results[i][0].transcript;
+        if (event.results[i].isFinal) {
+          final += transcript + ' ';
+        } else {
+          interim += transcript;
+        }
+      }
+
+      onInterim(interim);
+      if (final.trim()) {
+        onFinal(final.trim());
+      }
+    };
+    recognition.onerror = (event) => onError(webSpeechError(event, id));
+    recognition.onend = () => onEnd();
+  }
+
+  return {
+    id,
+    name: 'Browser speech recognition',
+    isSupported: isWebSpeechSupported,
+
+    start: async (nextLocale = locale) => {
+      if (!recognition) {
+        throw recognitionError('unsupported', id);
+      }
+      locale = nextLocale;
+      recognition.lang = locale;
+      try {
+        // Ask for the microphone once up front: a denied permission then
+        // surfaces as a normal error instead of a silent recognizer.
+        if (!permitted) {
+          const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+          stream.getTracks().forEach(track => track.stop());
+          permitted = true;
+        }
+        recognition.start();
+      } catch (err) {
+        throw normalizeRecognitionError(err, id);
+      }
+    },
+    stop: () => recognition?.stop(),
+    abort: () => recognition?.abort(),
+  };
+};
@@ -0,0 +1,32 @@
+import { errorForStatus, recognitionError } from './errors';
+
+const extensions = { 'audio/webm': 'webm', 'audio/ogg': 'ogg', 'audio/mp4': 'm4a', 'audio/wav': 'wav' };
+
+// Transcribes a recorded utterance with an OpenAI-compatible
+// /v1/audio/transcriptions endpoint, as served by faster-whisper-server,
+// LocalAI or whisper.cpp's server, so audio stays inside the hospital network.
+export const createWhisperTranscriber = ({ url, model = 'whisper-1' }) => {
+  const id = 'whisper';
+
+  return async (audio, { language, signal } = {}) => {
+    const body = new FormData();
+    const extension = extensions[audio.type.split(';')[0]] || 'webm';
+    body.append('file', audio, `utterance.${extension}`);
+    body.append('model', model);
+    body.append('response_format', 'json');
+    if (language) {
+      body.append('language', language);
+    }
+
+    const response = await fetch(url, { method: 'POST', body, signal });
+    if (!response.ok) {
+      throw errorForStatus(response.status, id);
+    }
+
+    const data = await response.json();
+    if (typeof data?.text !== 'string') {
+      throw recognitionError('invalid-response', id);
+    }
+    return data.text;
+  };
+};
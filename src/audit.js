@@ -0,0 +1,57 @@
+// Session details and the audit trail kept with each transcript, so a record
+// shows who interpreted what and when.
+export const defaultSessionDetails = {
+  clinicianName: '',
+  department: '',
+  caseId: '',
+  // The patient was offered a professional interpreter and declined.
+  interpreterDeclined: false,
+};
+
+// Sessions saved before the details form only carried clinicianName.
+export const sessionDetailsOf = (session) => ({
+  ...defaultSessionDetails,
+  clinicianName: session.clinicianName ?? '',
+  ...session.details,
+});
+
+// After a clear the same clinician usually sees the next patient, so only
+// their name and department carry over.
+export const carriedOverDetails = (details) => ({
+  ...defaultSessionDetails,
+  clinicianName: details.clinicianName,
+  department: details.department,
+});
+
+export const trimmedDetails = (details) =>
+  Object.fromEntries(Object.entries(details).map(([field, value]) => [field, typeof value === 'string' ? value.trim() : value]));
+
+// Event types and their fields:
+//   listening-started  { locale, speaker }
+//   listening-stopped  { reason: 'stopped' | 'paused' | 'error', error }
+//   language-changed   { role: 'input' | 'output', from, to }  (language ids)
+//   languages-swapped  { input, output }
+//   translation        { purpose: 'segment' | 'back-translation', segmentId, provider, providerName,
+//                        cachedFrom, source, target, latencyMs, outcome: 'translated' | 'failed', error }
+//   speech             { lang, voice, automatic }
+//   export             { format }  (an export format id, 'print' or 'recording')
+//   cleared            { segments }  (the last event of a cleared session)
+//   session-started    { previousSessionId, clearedSegments }  (the first event after a clear)
+//   details-changed    { field, value }
+//   session-reopened   { sessionId }
+// Events are frozen and a session's log is only ever appended to. Clearing
+// the transcript starts a new session with a log of its own.
+export const createAuditEvent = (type, fields = {}) => Object.freeze({
+  ...fields,
+  id: crypto.randomUUID(),
+  at: Date.now(),
+  type,
+});
+
+export const appendAuditEvent = (log, type, fields) => [...log, createAuditEvent(type, fields)];
+
+// Vetted phrase translations never reach a provider, and cache hits were
+// produced earlier (cachedFrom names the provider that did); both are logged
+// under these ids instead of the current provider.
+export const vettedPhraseProvider = { id: 'phrases', name: 'Vetted phrase list' };
+export const translationCacheProvider = { id: 'cache', name: 'Translation cache' };
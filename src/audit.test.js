@@ -0,0 +1,49 @@
+import { describe, expect, it } from 'vitest';
+import { appendAuditEvent, createAuditEvent, defaultSessionDetails, sessionDetailsOf, trimmedDetails } from './audit';
+
+describe('createAuditEvent', () => {
+  it('stamps the event and freezes it', () => {
+    const event = createAuditEvent('export', { format: 'json' });
+
+    expect(event).toMatchObject({ type: 'export', format: 'json' });
+    expect(event.id).toEqual(expect.any(String));
+    expect(event.at).toBeCloseTo(Date.now(), -3);
+    expect(Object.isFrozen(event)).toBe(true);
+  });
+
+  it('keeps its own type and time over the fields', () => {
+    const event = createAuditEvent('cleared', { type: 'export', at: 0 });
+
+    expect(event.type).toBe('cleared');
+    expect(event.at).not.toBe(0);
+  });
+});
+
+describe('appendAuditEvent', () => {
+  it('returns a new log with the event at the end', () => {
+    const log = [createAuditEvent('listening-started')];
+    const next = appendAuditEvent(log, 'listening-stopped', { reason: 'stopped' });
+
+    expect(log).toHaveLength(1);
+    expect(next.map(event => event.type)).toEqual(['listening-started', 'listening-stopped']);
+    expect(next[0]).toBe(log[0]);
+  });
+});
+
+describe('sessionDetailsOf', () => {
+  it('reads the clinician name of sessions saved before session details', () => {
+    expect(sessionDetailsOf({ clinicianName: 'Dr. Rivera' })).toEqual({ ...defaultSessionDetails, clinicianName: 'Dr. Rivera' });
+  });
+
+  it('prefers saved details', () => {
+    const details = { clinicianName: 'Dr. Chen', department: 'Emergency', caseId: 'E-42', interpreterDeclined: true };
+    expect(sessionDetailsOf({ details })).toEqual(details);
+  });
+});
+
+describe('trimmedDetails', () => {
+  it('trims text fields only', () => {
+    expect(trimmedDetails({ clinicianName: ' Dr. Chen ', interpreterDeclined: true }))
+      .toEqual({ clinicianName: 'Dr. Chen', interpreterDeclined: true });
+  });
+});
@@ -0,0 +1,60 @@
+import React from 'react';
+import { AlertTriangle, Check, Loader2, ShieldCheck } from 'lucide-react';
+import { confidenceLevel } from '../confidence';
+import { useI18n } from '../i18n/context';
+
+const levelStyles = {
+  high: 'bg-emerald-100 text-emerald-800',
+  medium: 'bg-amber-100 text-amber-800',
+  low: 'bg-red-100 text-red-800',
+};
+
+// Shows how closely the back-translation matches the original, with the
+// back-translated text on hover.
+const ConfidenceBadge = ({ segment, onAcknowledge }) => {
+  const { t } = useI18n();
+
+  if (segment.origin === 'phrase') {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-emerald-100 text-emerald-800">
+        <ShieldCheck className="w-3 h-3" />
+        {t('transcript.vettedPhrase')}
+      </span>
+    );
+  }
+
+  if (segment.confidenceStatus === 'checking') {
+    return (
+      <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-gray-100 text-gray-500">
+        <Loader2 className="w-3 h-3 animate-spin" />
+        {t('transcript.checking')}
+      </span>
+    );
+  }
+
+  const level = confidenceLevel(segment.confidence);
+  if (!level) return null;
+
+  return (
+    <span className="inline-flex flex-wrap items-center gap-2">
+      <span
+        title={t('transcript.backTranslationTitle', { text: segment.backTranslation })}
+        className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold cursor-help ${levelStyles[level]}`}
+      >
+        {level === 'low' && <AlertTriangle className="w-3 h-3" />}
+        {t('transcript.match', { percent: Math.round(segment.confidence * 100) })}
+      </span>
+      {level === 'low' && !segment.acknowledged && (
+        <button
+          onClick={() => onAcknowledge(segment)}
+          className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-white border border-red-200 text-red-700 hover:bg-red-50"
+        >
+          <Check className="w-3 h-3" />
+          {t('transcript.reviewed')}
+        </button>
+      )}
+    </span>
+  );
+};
+
+export default ConfidenceBadge;
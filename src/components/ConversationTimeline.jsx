@@ -0,0 +1,135 @@
+import React from 'react';
+import { Loader2, MessageSquare, RotateCcw, Stethoscope, User, Volume2 } from 'lucide-react';
+import GlossaryText from './GlossaryText';
+import ConfidenceBadge from './ConfidenceBadge';
+import ReplayButton from './ReplayButton';
+import RedactionBadge from './RedactionBadge';
+import { needsReview } from '../confidence';
+import { textDirection } from '../languages';
+import { useI18n } from '../i18n/context';
+
+const speakerStyles = {
+  clinician: {
+    icon: Stethoscope,
+    row: 'justify-start',
+    bubble: 'bg-gradient-to-br from-blue-50 to-blue-100 border-blue-200 rounded-tl-sm',
+    label: 'text-blue-700',
+  },
+  patient: {
+    icon: User,
+    row: 'justify-end',
+    bubble: 'bg-gradient-to-br from-purple-50 to-pink-100 border-purple-200 rounded-tr-sm',
+    label: 'text-purple-700',
+  },
+  // Segments from single mode were never attributed to a speaker.
+  unattributed: {
+    icon: MessageSquare,
+    row: 'justify-center',
+    bubble: 'bg-gray-50 border-gray-200',
+    label: 'text-gray-600',
+  },
+};
+
+const ConversationTimeline = ({ segments, speakers, interim, onSpeak, onRetry, onAcknowledge, onReplay, playingId }) => {
+  const { t } = useI18n();
+
+  if (segments.length === 0 && !interim) {
+    return (
+      <div className="flex flex-col items-center justify-center min-h-[350px] text-center">
+        <MessageSquare className="w-16 h-16 text-gray-300 mb-4" />
+        <p className="text-gray-400 italic text-lg">
+          {t('transcript.emptyConversation')}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <ol className="space-y-4">
+      {segments.map((turn) => {
+        const style = speakerStyles[turn.speaker] ?? speakerStyles.unattributed;
+        const Icon = style.icon;
+        const label = speakers[turn.speaker]?.label ?? t('speakers.unattributed');
+
+        return (
+          <li key={turn.id} className={`flex ${style.row}`}>
+            <div className={`max-w-[80%] border-2 rounded-2xl px-5 py-4 shadow-md ${style.bubble} ${needsReview(turn) ? 'ring-2 ring-red-300' : ''}`}>
+              <div className={`flex items-center gap-2 text-xs font-bold uppercase tracking-wide mb-2 ${style.label}`}>
+                <Icon className="w-4 h-4" />
+                <span>{label}</span>
+                <span className="font-normal normal-case text-gray-500">
+                  {new Date(turn.createdAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                </span>
+                {turn.audio && onReplay && (
+                  <span className="ml-auto normal-case tracking-normal">
+                    <ReplayButton segment={turn} playing={playingId === turn.id} onReplay={onReplay} />
+                  </span>
+                )}
+              </div>
+              <p lang={turn.sourceLang} dir={textDirection(turn.sourceLang)} className="text-gray-900 text-lg font-medium leading-relaxed">
+                {turn.sourceText}
+              </p>
+              <div className="mt-3 pt-3 border-t border-black/10 flex items-start gap-3">
+                {turn.status === 'pending' && (
+                  <p dir={textDirection(turn.targetLang)} className="flex items-center gap-2 text-gray-500 italic">
+                    <Loader2 className="w-4 h-4 animate-spin flex-shrink-0" />
+                    {turn.provisionalText || t('transcript.translating')}
+                  </p>
+                )}
+                {turn.status === 'failed' && (
+                  <button
+                    onClick={() => onRetry(turn)}
+                    className="flex items-center gap-2 text-sm font-semibold text-red-600 hover:text-red-700"
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                    {t('transcript.failed')}
+                  </button>
+                )}
+                {turn.status === 'translated' && (
+                  <>
+                    <p lang={turn.targetLang} dir={textDirection(turn.targetLang)} className="flex-1 text-gray-700 text-lg leading-relaxed">
+                      <GlossaryText text={turn.translatedText} matches={turn.glossaryMatches} />
+                    </p>
+                    {onSpeak && (
+                      <button
+                        onClick={() => onSpeak(turn)}
+                        aria-label={t('transcript.speak')}
+                        title={t('transcript.speak')}
+                        className="p-2 rounded-lg bg-white/70 hover:bg-white text-gray-700 shadow"
+                      >
+                        <Volume2 className="w-4 h-4" />
+                      </button>
+                    )}
+                  </>
+                )}
+              </div>
+              {turn.status === 'translated' && (
+                <div className="mt-2 flex flex-wrap items-center gap-2">
+                  <ConfidenceBadge segment={turn} onAcknowledge={onAcknowledge} />
+                  <RedactionBadge segment={turn} />
+                </div>
+              )}
+              {needsReview(turn) && (
+                <p className="mt-2 text-sm text-red-700">
+                  {t('transcript.backTranslation')} <span className="italic">{turn.backTranslation}</span>
+                </p>
+              )}
+            </div>
+          </li>
+        );
+      })}
+      {interim?.speaker && (
+        <li className={`flex ${speakerStyles[interim.speaker].row}`}>
+          <div className={`max-w-[80%] border-2 border-dashed rounded-2xl px-5 py-4 opacity-70 ${speakerStyles[interim.speaker].bubble}`}>
+            <p dir={textDirection(interim.sourceLang)} className="text-gray-500 text-lg italic leading-relaxed">{interim.text}</p>
+            {interim.translation && (
+              <p dir={textDirection(interim.targetLang)} className="mt-2 text-gray-400 italic leading-relaxed">{interim.translation}</p>
+            )}
+          </div>
+        </li>
+      )}
+    </ol>
+  );
+};
+
+export default ConversationTimeline;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { Download, FileAudio, FileText, Printer } from 'lucide-react';
+import { exportFormats } from '../export';
+import { useI18n } from '../i18n/context';
+
+const ExportMenu = ({ disabled, onExport, onPrint, onExportRecording }) => {
+  const { t } = useI18n();
+  const [open, setOpen] = useState(false);
+
+  const choose = (action) => {
+    action();
+    setOpen(false);
+  };
+
+  return (
+    <div className="relative">
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        aria-expanded={open}
+        className="flex items-center gap-2 px-8 py-4 bg-white hover:bg-gray-50 text-gray-700 rounded-xl font-semibold transition-all duration-300 shadow-lg hover:shadow-xl border-2 border-gray-200 disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Download className="w-5 h-5" />
+        {t('export.button')}
+      </button>
+
+      {open && !disabled && (
+        <div className="absolute right-0 sm:left-1/2 sm:-translate-x-1/2 mt-3 w-72 z-40 bg-white rounded-2xl shadow-2xl border border-gray-100 p-2 animate-in">
+          <ul className="space-y-1">
+            <li>
+              <button
+                onClick={() => choose(onPrint)}
+                className="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left text-gray-700 hover:bg-purple-50"
+              >
+                <Printer className="w-4 h-4 text-purple-600" />
+                {t('export.print')}
+              </button>
+            </li>
+            {Object.keys(exportFormats).map((id) => (
+              <li key={id}>
+                <button
+                  onClick={() => choose(() => onExport(id))}
+                  className="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left text-gray-700 hover:bg-blue-50"
+                >
+                  <FileText className="w-4 h-4 text-blue-600" />
+                  {t(`export.formats.${id}`)}
+                </button>
+              </li>
+            ))}
+            {onExportRecording && (
+              <li>
+                <button
+                  onClick={() => choose(onExportRecording)}
+                  className="w-full flex items-center gap-3 px-3 py-2 rounded-lg text-left text-gray-700 hover:bg-red-50"
+                >
+                  <FileAudio className="w-4 h-4 text-red-600" />
+                  {t('export.recording')}
+                </button>
+              </li>
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { BookOpen, Plus, Trash2 } from 'lucide-react';
+import { bundledEntries } from '../glossary';
+import { useI18n } from '../i18n/context';
+
+const GlossaryEditor = ({ entries, sourceLang, targetLang, onAdd, onRemove }) => {
+  const { t } = useI18n();
+  const [source, setSource] = useState('');
+  const [target, setTarget] = useState('');
+
+  const pairEntries = entries.filter(e => e.sourceLang === sourceLang && e.targetLang === targetLang);
+  const bundledCount = bundledEntries(sourceLang, targetLang).length;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!source.trim()) return;
+    onAdd({ sourceLang, targetLang, source, target });
+    setSource('');
+    setTarget('');
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-bold text-gray-900 mb-2 flex items-center gap-2">
+        <BookOpen className="w-5 h-5" />
+        {t('glossary.title')}
+      </h3>
+      <p className="text-sm text-gray-600 mb-4">
+        {t('glossary.summary', { count: bundledCount, source: sourceLang, target: targetLang })}{' '}
+        {t('glossary.emptyHint')}
+      </p>
+
+      <form onSubmit={submit} className="flex flex-col sm:flex-row gap-3 mb-4">
+        <input
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          placeholder={t('glossary.term', { lang: sourceLang })}
+          aria-label={t('glossary.term', { lang: sourceLang })}
+          className="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+        />
+        <input
+          value={target}
+          onChange={(e) => setTarget(e.target.value)}
+          placeholder={t('glossary.approved', { lang: targetLang })}
+          aria-label={t('glossary.approved', { lang: targetLang })}
+          className="flex-1 px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+        />
+        <button
+          type="submit"
+          className="flex items-center justify-center gap-2 px-5 py-3 bg-emerald-50 hover:bg-emerald-100 text-emerald-700 rounded-xl font-medium transition-all"
+        >
+          <Plus className="w-4 h-4" />
+          {t('common.add')}
+        </button>
+      </form>
+
+      {pairEntries.length > 0 && (
+        <ul className="divide-y divide-gray-100 border-2 border-gray-100 rounded-xl">
+          {pairEntries.map(entry => (
+            <li key={entry.id} className="flex items-center justify-between px-4 py-2 text-sm">
+              <span>
+                <span className="font-semibold text-gray-900">{entry.source}</span>
+                <span className="text-gray-400"> → </span>
+                <span className="text-gray-700">{entry.protected ? <em>{t('glossary.keptAsIs')}</em> : entry.target}</span>
+              </span>
+              <button
+                onClick={() => onRemove(entry.id)}
+                aria-label={t('common.remove', { name: entry.source })}
+                className="p-1 rounded-lg text-gray-400 hover:text-red-600 hover:bg-red-50"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GlossaryEditor;
@@ -0,0 +1,35 @@
+import React from 'react';
+import { splitByGlossary } from '../glossary';
+import { useI18n } from '../i18n/context';
+
+const describe = (entry, t) =>
+  t(entry.protected ? 'glossary.tooltip.protected' : 'glossary.tooltip.translated', {
+    source: entry.source,
+    target: entry.target,
+    origin: t(`glossary.origins.${entry.origin}`),
+  });
+
+// Translated text with approved glossary terms highlighted.
+const GlossaryText = ({ text, matches }) => {
+  const { t } = useI18n();
+
+  return (
+    <>
+      {splitByGlossary(text, matches).map((part, i) =>
+        part.entry ? (
+          <mark
+            key={i}
+            title={describe(part.entry, t)}
+            className="bg-emerald-100 text-emerald-900 rounded px-1 underline decoration-dotted decoration-emerald-500 cursor-help"
+          >
+            {part.text}
+          </mark>
+        ) : (
+          <React.Fragment key={i}>{part.text}</React.Fragment>
+        )
+      )}
+    </>
+  );
+};
+
+export default GlossaryText;
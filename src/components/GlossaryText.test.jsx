@@ -0,0 +1,23 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { describe, expect, it } from 'vitest';
+import GlossaryText from './GlossaryText';
+import I18nProvider from '../i18n/I18nProvider';
+
+const matches = [
+  { source: 'blood pressure', target: 'presión arterial', origin: 'bundled', protected: false },
+  { source: 'Xarelto', target: 'Xarelto', origin: 'custom', protected: true },
+];
+
+describe('GlossaryText', () => {
+  it('describes highlighted terms in the interface language', () => {
+    render(
+      <I18nProvider locale="es">
+        <GlossaryText text="Tome Xarelto y mida la presión arterial" matches={matches} />
+      </I18nProvider>
+    );
+
+    expect(screen.getByText('presión arterial')).toHaveAttribute('title', 'Glosario: «blood pressure» → «presión arterial» (integrado)');
+    expect(screen.getByText('Xarelto')).toHaveAttribute('title', 'Glosario: «Xarelto» se mantiene igual (entrada propia)');
+  });
+});
@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import { History, Lock, Search, Trash2, X, FolderOpen } from 'lucide-react';
+import { useFocusTrap } from '../focusTrap';
+import { deleteSession, hasPassphrase, listSessions, matchesQuery, resetHistory, retentionOptions } from '../history';
+import { useI18n } from '../i18n/context';
+
+const HistoryDrawer = ({ settings, onSettingsChange, historyKey, onUnlock, onLock, onReopen, onClose, languageName }) => {
+  const { locale, t } = useI18n();
+  const [isNew, setIsNew] = useState(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [unlockError, setUnlockError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [sessions, setSessions] = useState([]);
+  const [query, setQuery] = useState('');
+  const drawerRef = useFocusTrap(true, onClose);
+
+  useEffect(() => {
+    if (historyKey) return;
+    let cancelled = false;
+    hasPassphrase()
+      .then(exists => !cancelled && setIsNew(!exists))
+      .catch(() => !cancelled && setIsNew(true));
+    return () => { cancelled = true; };
+  }, [historyKey]);
+
+  useEffect(() => {
+    if (!historyKey) return;
+    let cancelled = false;
+    listSessions(historyKey).then(list => !cancelled && setSessions(list));
+    return () => { cancelled = true; };
+  }, [historyKey]);
+
+  const unlock = async (e) => {
+    e.preventDefault();
+    if (isNew && passphrase !== confirmation) {
+      setUnlockError({ key: 'history.mismatch' });
+      return;
+    }
+    if (isNew && passphrase.length < 8) {
+      setUnlockError({ key: 'history.tooShort' });
+      return;
+    }
+    setIsUnlocking(true);
+    setUnlockError(null);
+    try {
+      await onUnlock(passphrase);
+      setPassphrase('');
+      setConfirmation('');
+    } catch (err) {
+      setUnlockError(err.code === 'incorrect-passphrase' ? { key: 'history.incorrect' } : { message: err.message });
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  const remove = async (id) => {
+    await deleteSession(id);
+    setSessions(prev => prev.filter(session => session.id !== id));
+  };
+
+  const reset = async () => {
+    if (!window.confirm(t('history.confirmReset'))) return;
+    await resetHistory();
+    onLock();
+    setIsNew(true);
+    setSessions([]);
+  };
+
+  const visible = sessions.filter(session => matchesQuery(session, query));
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/40 backdrop-blur-sm" onClick={onClose}>
+      <aside
+        ref={drawerRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="history-title"
+        tabIndex={-1}
+        className="w-full max-w-md h-full bg-white shadow-2xl p-6 overflow-y-auto animate-in"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 id="history-title" className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <History className="w-6 h-6" />
+            {t('history.title')}
+          </h2>
+          <button onClick={onClose} aria-label={t('history.close')} className="p-2 rounded-full hover:bg-gray-100 transition-colors">
+            <X className="w-6 h-6 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="space-y-4 pb-6 mb-6 border-b border-gray-200">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              onChange={(e) => onSettingsChange({ enabled: e.target.checked })}
+              className="mt-1 w-5 h-5 accent-purple-600"
+            />
+            <span className="text-sm text-gray-700">
+              <span className="font-semibold block">{t('history.save')}</span>
+              {t('history.saveHint')}
+            </span>
+          </label>
+          <label className="block">
+            <span className="block text-sm font-semibold text-gray-700 mb-2">{t('history.retention')}</span>
+            <select
+              value={settings.retentionDays}
+              onChange={(e) => onSettingsChange({ retentionDays: Number(e.target.value) })}
+              className="w-full px-4 py-2 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+            >
+              {retentionOptions.map(days => (
+                <option key={days} value={days}>{t(`history.retentionOptions.${days}`)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {!historyKey ? (
+          <form onSubmit={unlock} className="space-y-3">
+            <p className="text-sm text-gray-600 flex items-center gap-2">
+              <Lock className="w-4 h-4" />
+              {isNew ? t('history.choosePassphrase') : t('history.enterPassphrase')}
+            </p>
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              placeholder={t('history.passphrase')}
+              autoComplete={isNew ? 'new-password' : 'current-password'}
+              className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+            />
+            {isNew && (
+              <input
+                type="password"
+                value={confirmation}
+                onChange={(e) => setConfirmation(e.target.value)}
+                placeholder={t('history.confirmPassphrase')}
+                autoComplete="new-password"
+                className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+              />
+            )}
+            {unlockError && (
+              <p className="text-sm font-semibold text-red-600">{unlockError.key ? t(unlockError.key) : unlockError.message}</p>
+            )}
+            <button
+              type="submit"
+              disabled={!passphrase || isUnlocking}
+              className="w-full px-4 py-3 bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold shadow-lg disabled:opacity-50"
+            >
+              {isNew ? t('history.setPassphrase') : t('history.unlock')}
+            </button>
+            {isNew === false && (
+              <button type="button" onClick={reset} className="w-full text-xs text-gray-500 hover:text-red-600">
+                {t('history.forgot')}
+              </button>
+            )}
+          </form>
+        ) : (
+          <>
+            <div className="flex items-center gap-2 mb-4">
+              <div className="relative flex-1">
+                <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+                <input
+                  type="search"
+                  aria-label={t('history.search')}
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder={t('history.search')}
+                  className="w-full pl-9 pr-4 py-2 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+                />
+              </div>
+              <button onClick={onLock} aria-label={t('history.lock')} title={t('history.lock')} className="p-2 rounded-xl text-gray-500 hover:bg-gray-100">
+                <Lock className="w-5 h-5" />
+              </button>
+            </div>
+
+            {visible.length === 0 ? (
+              <p className="text-center text-gray-400 italic py-8">
+                {sessions.length ? t('history.noMatches') : t('history.empty')}
+              </p>
+            ) : (
+              <ul className="space-y-3">
+                {visible.map(session => (
+                  <li key={session.id} className="border-2 border-gray-100 rounded-xl p-4 hover:border-purple-200 transition-colors">
+                    <div className="flex items-start justify-between gap-3">
+                      <div className="min-w-0">
+                        <p className="font-semibold text-gray-900">{new Date(session.startedAt ?? session.updatedAt).toLocaleString(locale)}</p>
+                        <p className="text-sm text-gray-500">
+                          {languageName(session.sourceLang)} → {languageName(session.targetLang)} · {t('history.segments', { count: session.segments.length })}
+                        </p>
+                        <p className="text-sm text-gray-600 truncate mt-1">{session.segments[0]?.sourceText}</p>
+                      </div>
+                      <div className="flex gap-1 flex-shrink-0">
+                        <button
+                          onClick={() => onReopen(session)}
+                          aria-label={t('history.reopen')}
+                          title={t('history.reopen')}
+                          className="p-2 rounded-lg text-purple-600 hover:bg-purple-50"
+                        >
+                          <FolderOpen className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => remove(session.id)}
+                          aria-label={t('history.delete')}
+                          title={t('history.delete')}
+                          className="p-2 rounded-lg text-gray-400 hover:text-red-600 hover:bg-red-50"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default HistoryDrawer;
@@ -0,0 +1,58 @@
+import React from 'react';
+import { Languages } from 'lucide-react';
+import { getLanguage } from '../languages';
+import { useI18n } from '../i18n/context';
+
+const LanguageDetectionBanner = ({ detection, onConfirm, onChooseManually, onDismiss }) => {
+  const { t } = useI18n();
+  const [best, ...others] = detection.candidates;
+  const language = getLanguage(best.id);
+
+  return (
+    <div className="backdrop-blur-lg bg-amber-50/90 border-2 border-amber-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
+      <div className="flex flex-col md:flex-row md:items-center gap-4">
+        <div className="flex items-start gap-3 flex-1">
+          <div className="flex-shrink-0 bg-amber-100 rounded-full p-2">
+            <Languages className="w-5 h-5 text-amber-700" />
+          </div>
+          <div>
+            <p className="text-amber-900 font-semibold">
+              {t('detection.soundsLike', { language: `${language.flag} ${t.languageName(language)}` })}{' '}
+              <span lang={language.mt} dir={language.dir}>({language.nativeName})</span>
+              <span className="font-normal text-amber-700"> · {t('detection.confidence', { percent: Math.round(best.confidence * 100) })}</span>
+            </p>
+            <p className="text-sm text-amber-800 mt-1 italic truncate">"{detection.text}"</p>
+          </div>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <button
+            onClick={() => onConfirm(best.id)}
+            className="px-4 py-2 bg-amber-500 hover:bg-amber-600 text-white rounded-xl font-semibold shadow"
+          >
+            {t('detection.use', { language: t.languageName(language) })}
+          </button>
+          {others.map(candidate => (
+            <button
+              key={candidate.id}
+              onClick={() => onConfirm(candidate.id)}
+              className="px-4 py-2 bg-white hover:bg-amber-100 text-amber-800 rounded-xl font-medium border border-amber-200"
+            >
+              {t.languageName(getLanguage(candidate.id))}
+            </button>
+          ))}
+          <button
+            onClick={onChooseManually}
+            className="px-4 py-2 bg-white hover:bg-amber-100 text-amber-800 rounded-xl font-medium border border-amber-200"
+          >
+            {t('detection.pointToLanguage')}
+          </button>
+          <button onClick={onDismiss} className="px-4 py-2 text-amber-700 hover:text-amber-900 font-medium">
+            {t('common.dismiss')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LanguageDetectionBanner;
@@ -0,0 +1,56 @@
+import React, { useState } from 'react';
+import { Search } from 'lucide-react';
+import { searchLanguages } from '../languages';
+import { useI18n } from '../i18n/context';
+
+const LanguagePicker = ({ label, value, onChange, accent = 'blue', searchRef }) => {
+  const { t } = useI18n();
+  const [query, setQuery] = useState('');
+  const results = searchLanguages(query);
+  const ring = accent === 'blue' ? 'focus:ring-blue-500/20 focus:border-blue-500' : 'focus:ring-purple-500/20 focus:border-purple-500';
+  const selected = accent === 'blue' ? 'bg-blue-50 border-blue-400' : 'bg-purple-50 border-purple-400';
+
+  return (
+    <div>
+      <label className="block text-sm font-semibold text-gray-700 mb-3">{label}</label>
+      <div className="relative mb-2">
+        <Search className="w-4 h-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          ref={searchRef}
+          type="search"
+          aria-label={t('settings.searchLabel', { label })}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder={t('settings.searchLanguages')}
+          className={`w-full pl-9 pr-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 transition-all ${ring}`}
+        />
+      </div>
+      <ul role="listbox" aria-label={label} className="max-h-64 overflow-y-auto custom-scrollbar space-y-1 pr-1">
+        {results.map(language => (
+          <li key={language.id}>
+            <button
+              type="button"
+              role="option"
+              aria-selected={language.id === value}
+              onClick={() => onChange(language.id)}
+              className={`w-full flex items-center gap-3 px-3 py-2 rounded-xl border-2 text-left transition-all ${
+                language.id === value ? selected : 'border-transparent hover:bg-gray-50'
+              }`}
+            >
+              <span className="text-2xl">{language.flag}</span>
+              <span className="flex-1 min-w-0">
+                <span className="block font-semibold text-gray-900">{t.languageName(language)}</span>
+                <span lang={language.mt} dir={language.dir} className="block text-sm text-gray-500">{language.nativeName}</span>
+              </span>
+            </button>
+          </li>
+        ))}
+        {results.length === 0 && (
+          <li className="px-3 py-4 text-sm text-gray-500 italic">{t('settings.noLanguages', { query })}</li>
+        )}
+      </ul>
+    </div>
+  );
+};
+
+export default LanguagePicker;
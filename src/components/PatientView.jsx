@@ -0,0 +1,78 @@
+import React from 'react';
+import { Mic, MicOff, RotateCw, X } from 'lucide-react';
+import { useFocusTrap } from '../focusTrap';
+import { useI18n } from '../i18n/context';
+
+// Large-type screen for the patient: the latest translation into their
+// language and a reply microphone. Rotating it 180° lets a tablet lying
+// between clinician and patient face the patient.
+const PatientView = ({ state, rotated, onRotate, onReply, onClose }) => {
+  const { t } = useI18n();
+  const { language, message, listening, interim } = state;
+  // The second window has nothing behind it to trap focus away from.
+  const dialogRef = useFocusTrap(Boolean(onClose), onClose);
+
+  return (
+    <div
+      ref={dialogRef}
+      role={onClose ? 'dialog' : undefined}
+      aria-modal={onClose ? 'true' : undefined}
+      aria-label={t('patientView.label')}
+      tabIndex={-1}
+      className={`fixed inset-0 z-50 flex flex-col bg-gradient-to-br from-indigo-50 via-white to-pink-50 transition-transform duration-500 ${rotated ? 'rotate-180' : ''}`}
+    >
+      <div className="flex items-center justify-between px-6 py-4">
+        <div className="flex items-center gap-3 text-2xl font-semibold text-gray-700">
+          <span className="text-4xl">{language.flag}</span>
+          <span lang={language.mt} dir={language.dir}>{language.nativeName}</span>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={onRotate} title={t('patientView.rotate')} aria-label={t('patientView.rotate')} className="p-3 rounded-full bg-white shadow-lg hover:bg-gray-100">
+            <RotateCw className="w-6 h-6 text-gray-600" />
+          </button>
+          {onClose && (
+            <button onClick={onClose} title={t('patientView.close')} aria-label={t('patientView.close')} className="p-3 rounded-full bg-white shadow-lg hover:bg-gray-100">
+              <X className="w-6 h-6 text-gray-600" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div aria-live="polite" className="flex-1 flex items-center justify-center px-8 overflow-y-auto">
+        {message ? (
+          <p
+            key={message.id}
+            lang={message.lang}
+            dir={language.dir}
+            className="text-4xl md:text-6xl font-bold text-gray-900 leading-tight text-center animate-in"
+          >
+            {message.text}
+          </p>
+        ) : (
+          <p className="text-6xl text-gray-300">…</p>
+        )}
+      </div>
+
+      <div className="flex flex-col items-center gap-4 pb-10">
+        {listening && interim && (
+          <p lang={language.mt} dir={language.dir} className="text-2xl text-gray-500 italic px-8 text-center">{interim}</p>
+        )}
+        <button
+          onClick={onReply}
+          aria-label={listening ? t('patientView.stopReply') : t('patientView.reply')}
+          aria-pressed={listening}
+          className={`w-28 h-28 rounded-full flex items-center justify-center shadow-2xl transition-all duration-300 active:scale-95 ${
+            listening
+              ? 'bg-gradient-to-r from-red-500 to-pink-500 animate-pulse'
+              : 'bg-gradient-to-r from-purple-600 to-pink-500 hover:scale-105'
+          }`}
+        >
+          {listening ? <MicOff className="w-12 h-12 text-white" /> : <Mic className="w-12 h-12 text-white" />}
+        </button>
+        <span lang={language.mt} dir={language.dir} className="text-lg font-semibold text-gray-600">{language.nativeName}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PatientView;
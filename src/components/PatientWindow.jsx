@@ -0,0 +1,43 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MonitorSmartphone } from 'lucide-react';
+import PatientView from './PatientView';
+import { createPatientChannel } from '../patientChannel';
+import { useI18n } from '../i18n/context';
+
+// Entry point for the second window (?view=patient). Everything it shows
+// comes from the clinician's window over the patient channel.
+const PatientWindow = () => {
+  const { t } = useI18n();
+  const [state, setState] = useState(null);
+  const [rotated, setRotated] = useState(false);
+  const channelRef = useRef(null);
+
+  useEffect(() => {
+    const channel = createPatientChannel((message) => {
+      if (message.type === 'state') setState(message.state);
+    });
+    channelRef.current = channel;
+    channel.post({ type: 'hello' });
+    return () => channel.close();
+  }, []);
+
+  if (!state) {
+    return (
+      <div className="min-h-screen flex flex-col items-center justify-center gap-4 bg-gradient-to-br from-indigo-50 via-white to-pink-50 text-gray-500">
+        <MonitorSmartphone className="w-16 h-16 text-gray-300" />
+        <p className="text-xl">{t('patientView.waiting')}</p>
+      </div>
+    );
+  }
+
+  return (
+    <PatientView
+      state={state}
+      rotated={rotated}
+      onRotate={() => setRotated(!rotated)}
+      onReply={() => channelRef.current.post({ type: 'reply' })}
+    />
+  );
+};
+
+export default PatientWindow;
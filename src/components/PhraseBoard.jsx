@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+import { AlertTriangle } from 'lucide-react';
+import { hasVettedPhrases, phraseCategories, phrases } from '../phrases';
+import { textDirection } from '../languages';
+import { useI18n } from '../i18n/context';
+
+// Tapping a phrase shows and speaks its vetted translation without a
+// round-trip to the translation provider. Languages without vetted phrases
+// get a notice instead of a board.
+const PhraseBoard = ({ speakers, onSelect }) => {
+  const { t } = useI18n();
+  const [categoryId, setCategoryId] = useState(phraseCategories[0].id);
+  const category = phraseCategories.find(c => c.id === categoryId);
+  const other = category.speaker === 'clinician' ? 'patient' : 'clinician';
+  const sourceLang = speakers[category.speaker].code;
+  const targetLang = speakers[other].code;
+
+  const available = phrases.filter(p => p.category === categoryId && p.text[sourceLang] && p.text[targetLang]);
+  const unvetted = [...new Set(
+    Object.values(speakers).filter(s => !hasVettedPhrases(s.code)).map(s => t.languageName(s.language))
+  )];
+
+  if (unvetted.length) {
+    return (
+      <p role="status" className="flex items-start gap-2 p-4 bg-amber-50 border-2 border-amber-200 rounded-xl text-sm text-amber-900">
+        <AlertTriangle className="w-5 h-5 flex-shrink-0" />
+        {t('phrases.unavailable', { languages: unvetted.join(', ') })}
+      </p>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 mb-4">
+        {phraseCategories.map(c => (
+          <button
+            key={c.id}
+            onClick={() => setCategoryId(c.id)}
+            className={`px-4 py-2 rounded-full text-sm font-semibold transition-all ${
+              c.id === categoryId
+                ? 'bg-purple-600 text-white shadow'
+                : 'bg-purple-50 text-purple-700 hover:bg-purple-100'
+            }`}
+          >
+            {t(`phrases.categories.${c.id}`)}
+          </button>
+        ))}
+      </div>
+      {available.length === 0 ? (
+        <p className="text-sm text-gray-500 italic">{t('phrases.empty')}</p>
+      ) : (
+        <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          {available.map(phrase => (
+            <button
+              key={phrase.id}
+              onClick={() => onSelect(phrase, category.speaker, sourceLang, targetLang)}
+              className="text-left px-4 py-3 bg-white hover:bg-purple-50 border-2 border-gray-100 hover:border-purple-200 rounded-xl shadow-sm transition-all"
+            >
+              <span lang={sourceLang} dir={textDirection(sourceLang)} className="block font-semibold text-gray-900">
+                {phrase.text[sourceLang]}
+              </span>
+              <span lang={targetLang} dir={textDirection(targetLang)} className="block text-sm text-gray-500 mt-1">
+                {phrase.text[targetLang]}
+              </span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PhraseBoard;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import PhraseBoard from './PhraseBoard';
+import { getLanguage } from '../languages';
+
+const speakersFor = (clinician, patient) => ({
+  clinician: { language: getLanguage(clinician), code: getLanguage(clinician).mt },
+  patient: { language: getLanguage(patient), code: getLanguage(patient).mt },
+});
+
+describe('PhraseBoard', () => {
+  it('shows vetted phrases for the language pair', () => {
+    render(<PhraseBoard speakers={speakersFor('en-US', 'it-IT')} onSelect={vi.fn()} />);
+
+    expect(screen.getByText('Ha dolore?')).toBeInTheDocument();
+  });
+
+  it('says when a language has no vetted phrases instead of hiding them', () => {
+    render(<PhraseBoard speakers={speakersFor('en-US', 'so-SO')} onSelect={vi.fn()} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('Quick phrases are unavailable for Somali');
+    expect(screen.queryByText('Are you in pain?')).not.toBeInTheDocument();
+  });
+});
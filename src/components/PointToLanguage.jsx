@@ -0,0 +1,69 @@
+import React from 'react';
+import { X } from 'lucide-react';
+import { languageList } from '../languages';
+import { useFocusTrap } from '../focusTrap';
+import { useI18n } from '../i18n/context';
+
+// "Point to your language": native-script names large enough to tap, for
+// patients whose language the staff cannot tell.
+const prompts = [
+  { lang: 'en', text: 'Point to your language' },
+  { lang: 'es', text: 'Señale su idioma' },
+  { lang: 'fr', text: 'Montrez votre langue' },
+  { lang: 'zh', text: '请指出您的语言' },
+  { lang: 'ar', text: 'أشر إلى لغتك', dir: 'rtl' },
+  { lang: 'vi', text: 'Hãy chỉ vào ngôn ngữ của bạn' },
+  { lang: 'ru', text: 'Укажите ваш язык' },
+];
+
+const PointToLanguage = ({ onSelect, onClose }) => {
+  const { t } = useI18n();
+  // One button per language; dialects of the same language are grouped.
+  const choices = languageList.filter((language, i) => languageList.findIndex(l => l.mt === language.mt) === i);
+  const dialogRef = useFocusTrap(true, onClose);
+
+  return (
+    <div
+      ref={dialogRef}
+      role="dialog"
+      aria-modal="true"
+      aria-label={t('controls.pointToLanguage')}
+      tabIndex={-1}
+      className="fixed inset-0 z-50 bg-gradient-to-br from-indigo-50 via-white to-pink-50 overflow-y-auto p-6 animate-in"
+    >
+      <button
+        onClick={onClose}
+        aria-label={t('common.close')}
+        className="absolute top-6 right-6 p-3 rounded-full bg-white shadow-lg hover:bg-gray-100 transition-colors"
+      >
+        <X className="w-6 h-6 text-gray-500" />
+      </button>
+      <div className="max-w-6xl mx-auto">
+        <div className="flex flex-wrap justify-center gap-x-6 gap-y-2 mb-8 mt-4 text-center">
+          {prompts.map(prompt => (
+            <p key={prompt.lang} lang={prompt.lang} dir={prompt.dir} className="text-xl font-bold text-gray-700">
+              {prompt.text}
+            </p>
+          ))}
+        </div>
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 gap-4">
+          {choices.map(language => (
+            <button
+              key={language.id}
+              onClick={() => onSelect(language.id)}
+              className="flex flex-col items-center gap-2 p-6 bg-white rounded-2xl shadow-lg hover:shadow-xl hover:scale-105 border-2 border-transparent hover:border-purple-300 transition-all"
+            >
+              <span className="text-5xl">{language.flag}</span>
+              <span lang={language.mt} dir={language.dir} className="text-2xl font-bold text-gray-900">
+                {language.nativeName}
+              </span>
+              <span className="text-sm text-gray-500">{t.languageName(language)}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PointToLanguage;
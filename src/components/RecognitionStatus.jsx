@@ -0,0 +1,86 @@
+import React from 'react';
+import { MicOff, Pause, RefreshCw } from 'lucide-react';
+import { recognitionStates } from '../asr';
+import { useI18n } from '../i18n/context';
+
+// Explains why the microphone is not listening and what to do about it.
+const RecognitionStatus = ({ state, silenceTimeout, onResume, onRetry, onStop }) => {
+  const { t } = useI18n();
+
+  if (state.status === recognitionStates.paused) {
+    return (
+      <div role="status" className="backdrop-blur-lg bg-blue-50/90 border-2 border-blue-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+          <div className="flex items-start gap-3 flex-1">
+            <div className="flex-shrink-0 bg-blue-100 rounded-full p-2">
+              <Pause className="w-5 h-5 text-blue-600" />
+            </div>
+            <p className="text-blue-900 text-sm font-semibold">
+              {t('recognition.paused', {
+                duration: silenceTimeout >= 60
+                  ? t('recognition.minutes', { count: silenceTimeout / 60 })
+                  : t('recognition.seconds', { count: silenceTimeout }),
+              })}
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button onClick={onResume} className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-xl font-semibold shadow">
+              {t('recognition.resume')}
+            </button>
+            <button onClick={onStop} className="px-4 py-2 text-blue-700 hover:text-blue-900 font-medium">
+              {t('common.stop')}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // no-speech restarts are routine; only real failures are announced.
+  if (state.status === recognitionStates.recovering && state.error?.code !== 'no-speech') {
+    return (
+      <div role="status" className="backdrop-blur-lg bg-amber-50/90 border-2 border-amber-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
+        <div className="flex items-start gap-3">
+          <div className="flex-shrink-0 bg-amber-100 rounded-full p-2">
+            <RefreshCw className="w-5 h-5 text-amber-600 animate-spin" />
+          </div>
+          <div>
+            <p className="text-amber-900 text-sm font-semibold">{t('recognition.reconnecting', { attempt: state.attempt })}</p>
+            <p className="text-amber-800 text-sm mt-1">{t(`recognition.errors.${state.error.code}`)}</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (state.status !== recognitionStates.error) return null;
+
+  const code = state.error?.code ?? 'unavailable';
+  const steps = t(`recognition.guidance.${code}`);
+  const guidance = Array.isArray(steps) ? steps : t('recognition.guidance.unavailable');
+  return (
+    <div role="alert" className="backdrop-blur-lg bg-red-50/90 border-2 border-red-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
+      <div className="flex items-start space-x-3">
+        <div className="flex-shrink-0 bg-red-100 rounded-full p-2">
+          <MicOff className="w-5 h-5 text-red-600" />
+        </div>
+        <div className="flex-1">
+          <p className="text-red-800 text-sm font-semibold">{t(`recognition.errors.${code}`)}</p>
+          <div className="mt-3 text-xs text-red-700 bg-red-100/50 rounded-lg p-3">
+            <p className="font-bold mb-2">{t('recognition.howToFix')}</p>
+            <ul className="list-disc list-inside space-y-1 ml-2">
+              {guidance.map(step => <li key={step}>{step}</li>)}
+            </ul>
+          </div>
+        </div>
+        {code !== 'unsupported' && (
+          <button onClick={onRetry} className="flex-shrink-0 px-4 py-2 text-sm bg-white hover:bg-red-100 text-red-700 rounded-xl font-semibold border border-red-200">
+            {t('recognition.tryAgain')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecognitionStatus;
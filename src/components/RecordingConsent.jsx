@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Circle, Volume2, X } from 'lucide-react';
+import { textDirection } from '../languages';
+import { useFocusTrap } from '../focusTrap';
+import { useI18n } from '../i18n/context';
+
+// Both parties must agree before anything is recorded.
+// `question` asks the patient in their own language; it can be read aloud.
+// Without a vetted translation the dialog says so rather than leaving the
+// patient's question out.
+const RecordingConsent = ({ question, questionLang, languageName, replacesRecording, onAsk, onConfirm, onCancel }) => {
+  const { t } = useI18n();
+  const [patientAgreed, setPatientAgreed] = useState(false);
+  const [clinicianAgreed, setClinicianAgreed] = useState(false);
+  const dialogRef = useFocusTrap(true, onCancel);
+
+  return (
+    <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center p-4 z-50 animate-in">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="recording-consent-title"
+        tabIndex={-1}
+        className="bg-white rounded-3xl shadow-2xl max-w-lg w-full p-8"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="recording-consent-title" className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <Circle className="w-6 h-6 text-red-500 fill-red-500" />
+            {t('recording.consent.title')}
+          </h2>
+          <button onClick={onCancel} aria-label={t('common.close')} className="p-2 hover:bg-gray-100 rounded-xl transition-colors">
+            <X className="w-6 h-6 text-gray-500" />
+          </button>
+        </div>
+        <p className="text-sm text-gray-700 leading-relaxed mb-4">
+          {t('recording.consent.body')}
+        </p>
+        {question ? (
+          <div className="flex items-center gap-3 p-4 mb-4 bg-purple-50 border border-purple-100 rounded-xl">
+            <p lang={questionLang} dir={textDirection(questionLang)} className="flex-1 text-lg font-semibold text-gray-900">
+              {question}
+            </p>
+            {onAsk && (
+              <button onClick={onAsk} className="p-2 rounded-lg text-purple-600 hover:bg-purple-100" title={t('recording.consent.readAloud')} aria-label={t('recording.consent.readAloud')}>
+                <Volume2 className="w-5 h-5" />
+              </button>
+            )}
+          </div>
+        ) : (
+          <p role="alert" className="text-sm font-medium text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+            {t('recording.consent.noQuestion', { language: languageName })}
+          </p>
+        )}
+        {replacesRecording && (
+          <p className="text-sm font-medium text-amber-700 bg-amber-50 rounded-lg p-3 mb-4">
+            {t('recording.consent.replaces')}
+          </p>
+        )}
+        <div className="space-y-3 mb-6">
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={patientAgreed}
+              onChange={(e) => setPatientAgreed(e.target.checked)}
+              className="mt-1 w-5 h-5 accent-purple-600"
+            />
+            <span className="text-sm text-gray-700">{t('recording.consent.patientAgreed')}</span>
+          </label>
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={clinicianAgreed}
+              onChange={(e) => setClinicianAgreed(e.target.checked)}
+              className="mt-1 w-5 h-5 accent-purple-600"
+            />
+            <span className="text-sm text-gray-700">{t('recording.consent.clinicianAgreed')}</span>
+          </label>
+        </div>
+        <div className="flex justify-end gap-3">
+          <button onClick={onCancel} className="px-5 py-3 text-gray-700 hover:bg-gray-100 rounded-xl font-semibold">
+            {t('common.cancel')}
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={!patientAgreed || !clinicianAgreed}
+            className="px-5 py-3 bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white rounded-xl font-semibold shadow-lg disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            {t('recording.consent.start')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingConsent;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { describe, expect, it, vi } from 'vitest';
+import RecordingConsent from './RecordingConsent';
+
+const renderConsent = (props) => render(
+  <RecordingConsent onAsk={vi.fn()} onConfirm={vi.fn()} onCancel={vi.fn()} {...props} />
+);
+
+describe('RecordingConsent', () => {
+  it('shows the question to ask the patient', () => {
+    renderConsent({ question: '¿Podemos grabar esta consulta?', questionLang: 'es', languageName: 'Spanish' });
+
+    expect(screen.getByText('¿Podemos grabar esta consulta?')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  it('warns when there is no vetted question in the patient\'s language', () => {
+    renderConsent({ question: undefined, questionLang: 'so', languageName: 'Somali' });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('There is no vetted Somali translation of the consent question');
+    expect(screen.queryByRole('button', { name: 'Read aloud' })).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,34 @@
+import React from 'react';
+import { AlertTriangle, EyeOff } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+
+// Audit trail for one segment: what was masked before the text left the
+// device, and whether every placeholder survived translation.
+const RedactionBadge = ({ segment }) => {
+  const { t } = useI18n();
+
+  if (!segment.redactions?.length) return null;
+
+  const details = segment.redactions.map(item => `${t(`redaction.rules.${item.rule}`)}: ${item.value}`).join('\n');
+  const lost = segment.redactionsLost ?? 0;
+
+  return (
+    <span className="inline-flex flex-wrap items-center gap-2">
+      <span
+        title={`${t('redaction.maskedTitle')}\n${details}`}
+        className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-slate-100 text-slate-700 cursor-help"
+      >
+        <EyeOff className="w-3 h-3" />
+        {t('redaction.masked', { count: segment.redactions.length })}
+      </span>
+      {lost > 0 && (
+        <span className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-semibold bg-amber-100 text-amber-800">
+          <AlertTriangle className="w-3 h-3" />
+          {t('redaction.notRestored', { count: lost })}
+        </span>
+      )}
+    </span>
+  );
+};
+
+export default RedactionBadge;
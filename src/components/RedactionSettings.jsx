@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { EyeOff, Plus, X } from 'lucide-react';
+import { redactionRules } from '../redaction';
+import { useI18n } from '../i18n/context';
+
+const RedactionSettings = ({ settings, onChange }) => {
+  const { t } = useI18n();
+  const [term, setTerm] = useState('');
+
+  const addTerm = (e) => {
+    e.preventDefault();
+    if (!term.trim() || settings.customTerms.includes(term.trim())) return;
+    onChange({ customTerms: [...settings.customTerms, term.trim()] });
+    setTerm('');
+  };
+
+  return (
+    <div>
+      <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <EyeOff className="w-5 h-5" />
+        {t('redaction.title')}
+      </h3>
+      <label className="flex items-start gap-3 cursor-pointer mb-4">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => onChange({ enabled: e.target.checked })}
+          className="mt-1 w-5 h-5 accent-purple-600"
+        />
+        <span className="text-sm text-gray-700">
+          <span className="font-semibold block">{t('redaction.enabled')}</span>
+          {t('redaction.enabledHint')}
+        </span>
+      </label>
+      {settings.enabled && (
+        <>
+          <div className="grid sm:grid-cols-2 gap-2 mb-4">
+            {redactionRules.map(rule => (
+              <label key={rule.id} className="flex items-center gap-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={settings.rules[rule.id]}
+                  onChange={(e) => onChange({ rules: { ...settings.rules, [rule.id]: e.target.checked } })}
+                  className="w-4 h-4 accent-purple-600"
+                />
+                {t(`redaction.rules.${rule.id}`)}
+              </label>
+            ))}
+          </div>
+          <form onSubmit={addTerm} className="flex gap-2">
+            <input
+              value={term}
+              onChange={(e) => setTerm(e.target.value)}
+              placeholder={t('redaction.customPlaceholder')}
+              aria-label={t('redaction.customLabel')}
+              className="flex-1 px-4 py-2 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+            />
+            <button
+              type="submit"
+              className="flex items-center gap-1 px-4 py-2 text-sm font-semibold text-white bg-purple-600 hover:bg-purple-700 rounded-xl"
+            >
+              <Plus className="w-4 h-4" />
+              {t('common.add')}
+            </button>
+          </form>
+          {settings.customTerms.length > 0 && (
+            <ul className="flex flex-wrap gap-2 mt-3">
+              {settings.customTerms.map(customTerm => (
+                <li key={customTerm} className="flex items-center gap-1 pl-3 pr-1 py-1 bg-gray-100 rounded-full text-sm text-gray-700">
+                  {customTerm}
+                  <button
+                    onClick={() => onChange({ customTerms: settings.customTerms.filter(other => other !== customTerm) })}
+                    aria-label={t('common.remove', { name: customTerm })}
+                    className="p-1 rounded-full hover:bg-gray-200"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RedactionSettings;
@@ -0,0 +1,20 @@
+import React from 'react';
+import { Play, Square } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+
+const ReplayButton = ({ segment, playing, onReplay }) => {
+  const { t } = useI18n();
+
+  return (
+    <button
+      onClick={() => onReplay(segment)}
+      title={playing ? t('common.stop') : t('recording.playOriginal')}
+      className="inline-flex items-center gap-1 text-xs font-semibold text-gray-500 hover:text-purple-700"
+    >
+      {playing ? <Square className="w-3 h-3" /> : <Play className="w-3 h-3" />}
+      {playing ? t('common.stop') : t('recording.originalAudio')}
+    </button>
+  );
+};
+
+export default ReplayButton;
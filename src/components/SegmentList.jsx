@@ -0,0 +1,101 @@
+import React from 'react';
+import { Loader2, RotateCcw, Volume2 } from 'lucide-react';
+import GlossaryText from './GlossaryText';
+import ConfidenceBadge from './ConfidenceBadge';
+import ReplayButton from './ReplayButton';
+import RedactionBadge from './RedactionBadge';
+import { needsReview } from '../confidence';
+import { textDirection } from '../languages';
+import { useI18n } from '../i18n/context';
+
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Renders each source sentence beside its translation, row by row.
+const SegmentList = ({ segments, interim, onRetry, onAcknowledge, onSpeak, onReplay, playingId }) => {
+  const { t } = useI18n();
+
+  return (
+    <ol className="divide-y divide-gray-100">
+      {segments.map((segment) => (
+        <li
+          key={segment.id}
+          className={`grid lg:grid-cols-2 gap-2 lg:gap-6 py-4 ${needsReview(segment) ? 'bg-red-50/60 -mx-3 px-3 rounded-xl' : ''}`}
+        >
+          <div>
+            <div className="flex items-center gap-3 mb-1">
+              <span className="text-xs text-gray-400">{formatTime(segment.createdAt)}</span>
+              {segment.audio && onReplay && (
+                <ReplayButton segment={segment} playing={playingId === segment.id} onReplay={onReplay} />
+              )}
+            </div>
+            <p
+              lang={segment.sourceLang}
+              dir={textDirection(segment.sourceLang)}
+              className="text-gray-800 text-lg leading-relaxed whitespace-pre-wrap font-medium"
+            >
+              {segment.sourceText}
+            </p>
+          </div>
+          <div className="lg:pt-5">
+            {segment.status === 'pending' && (
+              <p dir={textDirection(segment.targetLang)} className="flex items-center gap-2 text-gray-500 italic">
+                <Loader2 className="w-4 h-4 text-purple-600 animate-spin flex-shrink-0" />
+                {segment.provisionalText || t('transcript.translating')}
+              </p>
+            )}
+            {segment.status === 'failed' && (
+              <button
+                onClick={() => onRetry(segment)}
+                className="flex items-center gap-2 text-sm font-semibold text-red-600 hover:text-red-700"
+              >
+                <RotateCcw className="w-4 h-4" />
+                {t('transcript.failed')}
+              </button>
+            )}
+            {segment.status === 'translated' && (
+              <>
+                <div className="flex items-start gap-3">
+                  <p
+                    lang={segment.targetLang}
+                    dir={textDirection(segment.targetLang)}
+                    className="flex-1 text-gray-800 text-lg leading-relaxed whitespace-pre-wrap font-medium"
+                  >
+                    <GlossaryText text={segment.translatedText} matches={segment.glossaryMatches} />
+                  </p>
+                  {onSpeak && (
+                    <button
+                      onClick={() => onSpeak(segment)}
+                      aria-label={t('transcript.speak')}
+                      title={t('transcript.speak')}
+                      className="p-2 rounded-lg text-purple-600 hover:bg-purple-50 transition-colors"
+                    >
+                      <Volume2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+                <div className="mt-2 flex flex-wrap items-center gap-2">
+                  <ConfidenceBadge segment={segment} onAcknowledge={onAcknowledge} />
+                  <RedactionBadge segment={segment} />
+                </div>
+                {needsReview(segment) && (
+                  <p className="mt-2 text-sm text-red-700">
+                    {t('transcript.backTranslation')} <span className="italic">{segment.backTranslation}</span>
+                  </p>
+                )}
+              </>
+            )}
+          </div>
+        </li>
+      ))}
+      {interim && (
+        <li className="grid lg:grid-cols-2 gap-2 lg:gap-6 py-4">
+          <p dir={textDirection(interim.sourceLang)} className="text-gray-400 text-lg leading-relaxed italic">{interim.text}</p>
+          <p dir={textDirection(interim.targetLang)} className="text-gray-400 text-lg leading-relaxed italic">{interim.translation}</p>
+        </li>
+      )}
+    </ol>
+  );
+};
+
+export default SegmentList;
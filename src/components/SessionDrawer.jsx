@@ -0,0 +1,157 @@
+import React from 'react';
+import { ClipboardList, ScrollText, X } from 'lucide-react';
+import { useFocusTrap } from '../focusTrap';
+import { translationCacheProvider, vettedPhraseProvider } from '../audit';
+import { providerNames } from '../providers';
+import { getLanguage, languageForCode } from '../languages';
+import { useI18n } from '../i18n/context';
+
+const textFields = ['clinicianName', 'department', 'caseId'];
+
+const describeEvent = (event, t) => {
+  const languageName = (id) => t.languageName(getLanguage(id));
+  const codeName = (code) => {
+    const language = languageForCode(code);
+    return language ? t.languageName(language) : code;
+  };
+
+  switch (event.type) {
+    case 'listening-started':
+      return event.speaker
+        ? t('audit.events.listeningStartedFor', { speaker: t(`speakers.${event.speaker}`), locale: event.locale })
+        : t('audit.events.listeningStarted', { locale: event.locale });
+    case 'listening-stopped':
+      if (event.reason === 'paused') return t('audit.events.listeningPaused');
+      return event.reason === 'error'
+        ? t('audit.events.listeningFailed', { error: event.error })
+        : t('audit.events.listeningStopped');
+    case 'language-changed':
+      return t(`audit.events.${event.role}LanguageChanged`, { from: languageName(event.from), to: languageName(event.to) });
+    case 'languages-swapped':
+      return t('audit.events.languagesSwapped', { input: languageName(event.input), output: languageName(event.output) });
+    case 'translation': {
+      const params = {
+        purpose: t(`audit.purposes.${event.purpose}`),
+        source: event.source,
+        target: event.target,
+        provider: event.providerName,
+        latency: event.latencyMs,
+        error: event.error,
+        origin: providerNames[event.cachedFrom] ?? event.cachedFrom,
+      };
+      if (event.provider === vettedPhraseProvider.id) return t('audit.events.translationVetted', params);
+      if (event.provider === translationCacheProvider.id) return t('audit.events.translationCached', params);
+      return t(event.outcome === 'failed' ? 'audit.events.translationFailed' : 'audit.events.translation', params);
+    }
+    case 'speech':
+      return t(event.automatic ? 'audit.events.speechAutomatic' : 'audit.events.speech', { language: codeName(event.lang) });
+    case 'export': {
+      const format = event.format === 'print' || event.format === 'recording'
+        ? t(`export.${event.format}`)
+        : t(`export.formats.${event.format}`);
+      return t('audit.events.exported', { format });
+    }
+    case 'cleared':
+      return t('audit.events.cleared', { count: event.segments });
+    case 'details-changed':
+      if (event.field === 'interpreterDeclined') {
+        return t(event.value ? 'audit.events.interpreterDeclined' : 'audit.events.interpreterDeclinedWithdrawn');
+      }
+      return event.value
+        ? t('audit.events.detailSet', { field: t(`session.fields.${event.field}`), value: event.value })
+        : t('audit.events.detailCleared', { field: t(`session.fields.${event.field}`) });
+    case 'session-started':
+      return t('audit.events.sessionStarted', { count: event.clearedSegments });
+    case 'session-reopened':
+      return t('audit.events.reopened');
+    default:
+      return event.type;
+  }
+};
+
+const SessionDrawer = ({ details, onChange, onCommit, auditLog, onClose }) => {
+  const { locale, t } = useI18n();
+
+  // Esc and the backdrop unmount the drawer without blurring the field being
+  // edited, so pending values are committed here as well.
+  const close = () => {
+    textFields.forEach(field => onCommit(field, details[field]));
+    onClose();
+  };
+
+  const drawerRef = useFocusTrap(true, close);
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black/40 backdrop-blur-sm" onClick={close}>
+      <aside
+        ref={drawerRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="session-title"
+        tabIndex={-1}
+        className="w-full max-w-md h-full bg-white shadow-2xl p-6 overflow-y-auto animate-in"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-6">
+          <h2 id="session-title" className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ClipboardList className="w-6 h-6" />
+            {t('session.title')}
+          </h2>
+          <button onClick={close} aria-label={t('session.close')} className="p-2 rounded-full hover:bg-gray-100 transition-colors">
+            <X className="w-6 h-6 text-gray-500" />
+          </button>
+        </div>
+
+        <div className="space-y-4 pb-6 mb-6 border-b border-gray-200">
+          <p className="text-sm text-gray-600">{t('session.hint')}</p>
+          {textFields.map(field => (
+            <label key={field} className="block">
+              <span className="block text-sm font-semibold text-gray-700 mb-2">{t(`session.fields.${field}`)}</span>
+              <input
+                value={details[field]}
+                onChange={(e) => onChange({ [field]: e.target.value })}
+                onBlur={(e) => onCommit(field, e.target.value)}
+                placeholder={t(`session.placeholders.${field}`)}
+                className="w-full px-4 py-2 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+              />
+            </label>
+          ))}
+          <label className="flex items-start gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={details.interpreterDeclined}
+              onChange={(e) => {
+                onChange({ interpreterDeclined: e.target.checked });
+                onCommit('interpreterDeclined', e.target.checked);
+              }}
+              className="mt-1 w-5 h-5 accent-purple-600"
+            />
+            <span className="text-sm text-gray-700">{t('session.interpreterDeclined')}</span>
+          </label>
+        </div>
+
+        <h3 className="text-lg font-bold text-gray-900 flex items-center gap-2 mb-1">
+          <ScrollText className="w-5 h-5" />
+          {t('audit.title')}
+        </h3>
+        <p className="text-sm text-gray-600 mb-4">{t('audit.hint')}</p>
+        {auditLog.length === 0 ? (
+          <p className="text-center text-gray-400 italic py-8">{t('audit.empty')}</p>
+        ) : (
+          <ol className="space-y-2" aria-label={t('audit.title')}>
+            {auditLog.map(event => (
+              <li key={event.id} className="flex gap-3 text-sm">
+                <time dateTime={new Date(event.at).toISOString()} className="flex-shrink-0 text-gray-500 tabular-nums">
+                  {new Date(event.at).toLocaleTimeString(locale)}
+                </time>
+                <span className="text-gray-800">{describeEvent(event, t)}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default SessionDrawer;
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { Send, Stethoscope, User } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+
+// Typed input that feeds the same translation pipeline as speech.
+const TextComposer = ({ mode, speakers, onSubmit }) => {
+  const { t } = useI18n();
+  const [text, setText] = useState('');
+  const [speaker, setSpeaker] = useState('clinician');
+
+  const activeSpeaker = mode === 'conversation' ? speaker : null;
+  const language = speakers[activeSpeaker || 'clinician'].language;
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    onSubmit(text, activeSpeaker);
+    setText('');
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      submit(e);
+    }
+  };
+
+  return (
+    <form onSubmit={submit} className="flex flex-col sm:flex-row gap-3">
+      {mode === 'conversation' && (
+        <div className="inline-flex sm:flex-col p-1 bg-gray-100 rounded-xl shadow-inner self-start">
+          {['clinician', 'patient'].map(id => {
+            const Icon = id === 'clinician' ? Stethoscope : User;
+            return (
+              <button
+                key={id}
+                type="button"
+                onClick={() => setSpeaker(id)}
+                className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-semibold transition-all ${
+                  speaker === id ? 'bg-white text-purple-600 shadow' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <Icon className="w-4 h-4" />
+                {speakers[id].label}
+              </button>
+            );
+          })}
+        </div>
+      )}
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={handleKeyDown}
+        lang={language.mt}
+        dir={language.dir}
+        rows={2}
+        placeholder={t('composer.placeholder')}
+        aria-label={t('composer.label')}
+        className="flex-1 px-4 py-3 text-lg border-2 border-gray-200 rounded-xl resize-none focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+      />
+      <button
+        type="submit"
+        disabled={!text.trim()}
+        className="flex items-center justify-center gap-2 px-6 py-3 bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white rounded-xl font-semibold shadow-lg transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Send className="w-5 h-5" />
+        {t('composer.submit')}
+      </button>
+    </form>
+  );
+};
+
+export default TextComposer;
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Volume2 } from 'lucide-react';
+import { voicesFor } from '../tts';
+import { useI18n } from '../i18n/context';
+
+const sliders = [
+  { key: 'rate', min: 0.5, max: 1.5, step: 0.05 },
+  { key: 'pitch', min: 0.5, max: 1.5, step: 0.05 },
+  { key: 'volume', min: 0, max: 1, step: 0.05 },
+];
+
+const TtsSettings = ({ settings, onChange, voices, locale, languageCode, languageName, onTest }) => {
+  const { t } = useI18n();
+  const available = voicesFor(voices, locale);
+
+  return (
+    <div>
+      <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+        <Volume2 className="w-5 h-5" />
+        {t('tts.title')}
+      </h3>
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <label htmlFor="tts-voice" className="block text-sm font-semibold text-gray-700 mb-2">{t('tts.voiceFor', { language: languageName })}</label>
+          <select
+            id="tts-voice"
+            value={settings.voices[languageCode] || ''}
+            onChange={(e) => onChange({ voices: { ...settings.voices, [languageCode]: e.target.value || undefined } })}
+            className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all"
+          >
+            <option value="">{t('tts.automatic')}</option>
+            {available.map(voice => (
+              <option key={voice.voiceURI} value={voice.voiceURI}>
+                {voice.name} ({voice.lang}){voice.localService ? '' : ` · ${t('tts.online')}`}
+              </option>
+            ))}
+          </select>
+          {available.length === 0 && (
+            <p className="mt-2 text-sm text-amber-700">
+              {t('tts.noVoice', { language: languageName })}
+            </p>
+          )}
+          <label className="flex items-start gap-3 cursor-pointer mt-4">
+            <input
+              type="checkbox"
+              checked={settings.autoSpeak}
+              onChange={(e) => onChange({ autoSpeak: e.target.checked })}
+              className="mt-1 w-5 h-5 accent-purple-600"
+            />
+            <span className="text-sm text-gray-700">
+              <span className="font-semibold block">{t('tts.autoSpeak')}</span>
+              {t('tts.autoSpeakHint')}
+            </span>
+          </label>
+        </div>
+        <div className="space-y-3">
+          {sliders.map(({ key, min, max, step }) => (
+            <label key={key} className="block">
+              <span className="flex justify-between text-sm font-semibold text-gray-700 mb-1">
+                {t(`tts.${key}`)}
+                <span className="font-normal text-gray-500">{settings[key].toFixed(2)}</span>
+              </span>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={settings[key]}
+                onChange={(e) => onChange({ [key]: Number(e.target.value) })}
+                className="w-full accent-purple-600"
+              />
+            </label>
+          ))}
+          <button
+            onClick={onTest}
+            className="px-4 py-2 text-sm font-medium text-purple-600 bg-purple-50 hover:bg-purple-100 rounded-xl transition-all"
+          >
+            {t('tts.test')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TtsSettings;
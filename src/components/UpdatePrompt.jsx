@@ -0,0 +1,55 @@
+import React from 'react';
+import { useRegisterSW } from 'virtual:pwa-register/react';
+import { RefreshCw, WifiOff, X } from 'lucide-react';
+import { useI18n } from '../i18n/context';
+
+// Registers the service worker and says when the app is ready to work
+// offline, or when a new version is waiting to be installed.
+const UpdatePrompt = () => {
+  const { t } = useI18n();
+  const {
+    offlineReady: [offlineReady, setOfflineReady],
+    needRefresh: [needRefresh, setNeedRefresh],
+    updateServiceWorker,
+  } = useRegisterSW();
+
+  if (!offlineReady && !needRefresh) return null;
+
+  const close = () => {
+    setOfflineReady(false);
+    setNeedRefresh(false);
+  };
+
+  return (
+    <div role="status" className="fixed bottom-6 right-6 left-6 sm:left-auto z-40 sm:max-w-sm bg-white rounded-2xl shadow-2xl border-2 border-gray-100 p-5 animate-in">
+      <div className="flex items-start gap-3">
+        <div className="flex-shrink-0 bg-purple-100 rounded-full p-2">
+          {needRefresh ? <RefreshCw className="w-5 h-5 text-purple-600" /> : <WifiOff className="w-5 h-5 text-purple-600" />}
+        </div>
+        <div className="flex-1 text-left">
+          <p className="text-sm font-semibold text-gray-900">
+            {needRefresh ? t('update.available') : t('update.offlineReady')}
+          </p>
+          {needRefresh && (
+            <p className="text-sm text-gray-600 mt-1">
+              {t('update.reloadWarning')}
+            </p>
+          )}
+          {needRefresh && (
+            <button
+              onClick={() => updateServiceWorker(true)}
+              className="mt-3 px-4 py-2 text-sm bg-gradient-to-r from-blue-600 to-purple-600 text-white rounded-xl font-semibold shadow"
+            >
+              {t('update.reload')}
+            </button>
+          )}
+        </div>
+        <button onClick={close} aria-label={t('common.dismiss')} className="p-1 rounded-lg text-gray-400 hover:bg-gray-100">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default UpdatePrompt;
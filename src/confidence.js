@@ -0,0 +1,57 @@
+import { normalizeText } from './providers';
+
+export const confidenceThresholds = { high: 0.7, medium: 0.45 };
+
+// Scripts without spaces between words are compared character by character.
+const CJK = /[぀-ヿ㐀-鿿가-힯]/u;
+
+const tokenize = (text) => {
+  const normalized = normalizeText(text).replace(/[^\p{L}\p{N}\s]/gu, ' ');
+  return CJK.test(normalized)
+    ? [...normalized.replace(/\s+/g, '')]
+    : normalized.split(/\s+/).filter(Boolean);
+};
+
+const bigrams = (text) => {
+  const compact = normalizeText(text).replace(/[^\p{L}\p{N}]/gu, '');
+  const grams = [];
+  for (let i = 0; i < compact.length - 1; i++) grams.push(compact.slice(i, i + 2));
+  return grams;
+};
+
+// Dice coefficient over two multisets of strings.
+const dice = (a, b) => {
+  if (!a.length && !b.length) return 1;
+  if (!a.length || !b.length) return 0;
+  const counts = new Map();
+  a.forEach(item => counts.set(item, (counts.get(item) || 0) + 1));
+  let overlap = 0;
+  b.forEach((item) => {
+    const count = counts.get(item);
+    if (count) {
+      overlap += 1;
+      counts.set(item, count - 1);
+    }
+  });
+  return (2 * overlap) / (a.length + b.length);
+};
+
+// Similarity between the original text and its back-translation, 0..1.
+// Word overlap rewards the same vocabulary; character bigrams tolerate
+// inflection and small wording differences. CJK tokens are already single
+// characters, so bigrams would only penalize inserted particles.
+export const similarity = (original, backTranslation) => {
+  const words = dice(tokenize(original), tokenize(backTranslation));
+  if (CJK.test(original)) return words;
+  return (words + dice(bigrams(original), bigrams(backTranslation))) / 2;
+};
+
+export const confidenceLevel = (score) => {
+  if (score == null) return null;
+  if (score >= confidenceThresholds.high) return 'high';
+  if (score >= confidenceThresholds.medium) return 'medium';
+  return 'low';
+};
+
+export const needsReview = (segment) =>
+  confidenceLevel(segment.confidence) === 'low' && !segment.acknowledged;
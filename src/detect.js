@@ -0,0 +1,105 @@
+import { languageForCode, languages } from './languages';
+
+// Lightweight text-based language identification for the first utterance.
+// Non-Latin scripts are identified by Unicode range; Latin-script languages
+// by how many of their most common words appear in the text.
+const scripts = [
+  { mt: 'ko', pattern: /[가-힯]/gu },
+  { mt: 'zh', pattern: /[一-鿿]/gu },
+  { mt: 'ru', pattern: /[Ѐ-ӿ]/gu },
+  { mt: 'hi', pattern: /[ऀ-ॿ]/gu },
+  { mt: 'pa', pattern: /[਀-੿]/gu },
+  { mt: 'bn', pattern: /[ঀ-৿]/gu },
+  { mt: 'ar', pattern: /[؀-ۿ]/gu },
+];
+
+// Letters that Urdu and Persian add to the Arabic script.
+const urduLetters = /[ٹڈڑںےۓھ]/u;
+const persianLetters = /[پچژگکی]/u;
+
+const commonWords = {
+  en: 'the and is are i you my it to of in have not what this that with do me a pain',
+  es: 'el la los las de que y es en un una me mi no tengo duele por con para está estoy dolor',
+  fr: 'le la les de des et est je j ai un une mal pas ne vous que dans pour avec suis',
+  de: 'der die das und ist ich nicht ein eine habe mir mein meine es zu mit tut weh sie',
+  it: 'il lo la di che e è sono ho un una non mi male per con del della',
+  pt: 'o a os as de que e é um uma não eu tenho dor estou com para meu minha do da',
+  pl: 'i w nie się jest to na mam mnie boli że z co jak ja do',
+  vi: 'tôi không có là và của bị đau người này được cho một rất bác sĩ',
+  tl: 'ang ng sa ako ko mo na hindi ay masakit po ka siya mga may ito',
+  so: 'waan iyo ku oo ma aan waxaan xanuun waa in la ah ka u qabaa',
+  ht: 'mwen ou li nou yo pa ak gen fè mal se nan sa la pou m',
+};
+
+const wordSets = Object.fromEntries(
+  Object.entries(commonWords).map(([mt, words]) => [mt, new Set(words.split(' '))])
+);
+
+const diacriticHints = [
+  { mt: 'vi', pattern: /[ăâđêôơưạảấầẩẫậắằẳẵặẹẻẽếềểễệỉịọỏốồổỗộớờởỡợụủứừửữựỳỵỷỹ]/u },
+  { mt: 'pl', pattern: /[ąćęłńśźż]/u },
+  { mt: 'de', pattern: /[äöüß]/u },
+  { mt: 'pt', pattern: /[ãõç]/u },
+  { mt: 'es', pattern: /[ñ¿¡]/u },
+];
+
+const kana = /[぀-ヿ]/u;
+
+const detectScript = (text) => {
+  const letters = text.replace(/[^\p{L}]/gu, '').length;
+  if (!letters) return null;
+  // Any kana marks Japanese, even when most characters are kanji.
+  if (kana.test(text)) return { mt: 'ja', confidence: 0.95 };
+
+  for (const { mt, pattern } of scripts) {
+    const count = (text.match(pattern) || []).length;
+    if (count / letters > 0.5) {
+      if (mt === 'ar') {
+        if (urduLetters.test(text)) return { mt: 'ur', confidence: 0.85 };
+        if (persianLetters.test(text)) return { mt: 'fa', confidence: 0.75 };
+      }
+      // Han characters without kana are most likely Chinese.
+      return { mt, confidence: mt === 'zh' ? 0.8 : 0.95 };
+    }
+  }
+  return null;
+};
+
+const detectLatin = (text) => {
+  const words = text.toLowerCase().split(/[^\p{L}']+/u).filter(Boolean);
+  if (!words.length) return [];
+
+  const hits = Object.fromEntries(
+    Object.entries(wordSets).map(([mt, set]) => [mt, words.filter(word => set.has(word)).length])
+  );
+  diacriticHints.forEach(({ mt, pattern }) => {
+    if (pattern.test(text)) hits[mt] += 2;
+  });
+
+  const total = Object.values(hits).reduce((sum, n) => sum + n, 0);
+  if (!total) return [];
+
+  return Object.entries(hits)
+    .filter(([, n]) => n > 0)
+    .map(([mt, n]) => ({
+      mt,
+      // Share of all matches, damped for short texts with little evidence.
+      confidence: (n / total) * Math.min(1, n / Math.max(2, words.length * 0.3)),
+    }))
+    .sort((a, b) => b.confidence - a.confidence);
+};
+
+// Returns candidates sorted by confidence: [{ id, mt, confidence }]. The
+// registry id prefers `preferredIds` (the dialects already selected).
+export const detectLanguage = (text, preferredIds = []) => {
+  const script = detectScript(text);
+  const candidates = script ? [script] : detectLatin(text);
+
+  return candidates
+    .map(({ mt, confidence }) => {
+      const id = preferredIds.find(pid => languages[pid]?.mt === mt) || languageForCode(mt)?.id;
+      return id ? { id, mt, confidence: Math.round(confidence * 100) / 100 } : null;
+    })
+    .filter(Boolean)
+    .slice(0, 3);
+};
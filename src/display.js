@@ -0,0 +1,25 @@
+// High-contrast and large-text theme, applied as classes on <html> so that
+// dialogs and rem-based sizes follow it too.
+const SETTINGS_KEY = 'meditranslate.display';
+
+export const defaultDisplaySettings = {
+  highContrast: window.matchMedia?.('(prefers-contrast: more)').matches ?? false,
+  largeText: false,
+};
+
+export const loadDisplaySettings = () => {
+  try {
+    return { ...defaultDisplaySettings, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return defaultDisplaySettings;
+  }
+};
+
+export const saveDisplaySettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const applyDisplaySettings = (settings, root = document.documentElement) => {
+  root.classList.toggle('high-contrast', settings.highContrast);
+  root.classList.toggle('large-text', settings.largeText);
+};
@@ -0,0 +1,267 @@
+import { languages, textDirection } from '../languages';
+import { translationCacheProvider, vettedPhraseProvider } from '../audit';
+import { providerNames } from '../providers';
+
+// Client-side transcript formatters. Each takes the same session object:
+// { segments, sourceLang, targetLang, details, audit, startedAt, exportedAt, languageName, recording }
+// where details and audit are described in ../audit, and recording is
+// { consentedAt, mimeType } when the encounter audio was recorded.
+const speakerLabels = { clinician: 'Clinician', patient: 'Patient' };
+
+const detailLabels = {
+  clinicianName: 'Clinician',
+  department: 'Department',
+  caseId: 'Encounter / case ID',
+  interpreterDeclined: 'Interpreter',
+};
+
+const exportLabels = { text: 'plain text', json: 'JSON', html: 'HTML', vtt: 'WebVTT', print: 'print / PDF', recording: 'recording' };
+
+const pad = (n, width = 2) => String(n).padStart(width, '0');
+
+const formatClock = (timestamp) => new Date(timestamp).toLocaleTimeString();
+
+const languagePair = ({ sourceLang, targetLang, languageName }) =>
+  `${languageName(sourceLang)} → ${languageName(targetLang)}`;
+
+const exportable = (segments) => segments.filter(segment => segment.sourceText);
+
+const languageLabel = (id) => languages[id]?.name ?? id;
+
+// The interpreter row is only filled in once the refusal is acknowledged.
+const detailRows = (details = {}) => Object.keys(detailLabels)
+  .map(field => [detailLabels[field], field === 'interpreterDeclined' ? details[field] && 'Offered and declined' : details[field]])
+  .filter(([, value]) => value);
+
+export const describeAuditEvent = (event, languageName) => {
+  switch (event.type) {
+    case 'listening-started':
+      return `Listening started (${event.locale}${event.speaker ? `, ${speakerLabels[event.speaker]}` : ''})`;
+    case 'listening-stopped':
+      if (event.reason === 'paused') return 'Listening paused after silence';
+      return event.reason === 'error' ? `Listening stopped by an error (${event.error})` : 'Listening stopped';
+    case 'language-changed':
+      return `${event.role === 'input' ? 'Input' : 'Output'} language changed from ${languageLabel(event.from)} to ${languageLabel(event.to)}`;
+    case 'languages-swapped':
+      return `Languages swapped: ${languageLabel(event.input)} → ${languageLabel(event.output)}`;
+    case 'translation': {
+      const request = `${event.purpose === 'back-translation' ? 'Back-translation' : 'Translation'} ${event.source} → ${event.target}`;
+      if (event.provider === vettedPhraseProvider.id) return `${request} from the vetted phrase list`;
+      if (event.provider === translationCacheProvider.id) {
+        return `${request} from the translation cache (first translated by ${providerNames[event.cachedFrom] ?? event.cachedFrom})`;
+      }
+      return event.outcome === 'failed'
+        ? `${request} by ${event.providerName} failed after ${event.latencyMs} ms (${event.error})`
+        : `${request} by ${event.providerName} in ${event.latencyMs} ms`;
+    }
+    case 'speech':
+      return `Translation spoken in ${languageName(event.lang)}${event.automatic ? ' automatically' : ''}${event.voice ? ` (${event.voice})` : ''}`;
+    case 'export':
+      return `Transcript exported (${exportLabels[event.format] ?? event.format})`;
+    case 'cleared':
+      return `Transcript cleared (${event.segments} segments)`;
+    case 'details-changed':
+      if (event.field === 'interpreterDeclined') {
+        return event.value ? 'Interpreter offered and declined' : 'Interpreter declined acknowledgement withdrawn';
+      }
+      return event.value ? `${detailLabels[event.field]} set to "${event.value}"` : `${detailLabels[event.field]} cleared`;
+    case 'session-started':
+      return `New session started after clearing the previous one (${event.clearedSegments} segments)`;
+    case 'session-reopened':
+      return 'Saved session reopened';
+    default:
+      return event.type;
+  }
+};
+
+const auditEntries = (session) => (session.audit ?? []).map(event => ({
+  time: formatClock(event.at),
+  text: describeAuditEvent(event, session.languageName),
+}));
+
+export const toText = (session) => {
+  const lines = [
+    'MediTranslate session transcript',
+    `Date: ${new Date(session.exportedAt).toLocaleString()}`,
+    `Languages: ${languagePair(session)}`,
+  ];
+  detailRows(session.details).forEach(([label, value]) => lines.push(`${label}: ${value}`));
+  if (session.recording) lines.push(`Audio recorded with consent given at ${formatClock(session.recording.consentedAt)}`);
+  lines.push('');
+
+  exportable(session.segments).forEach((segment) => {
+    const speaker = speakerLabels[segment.speaker];
+    lines.push(`[${formatClock(segment.createdAt)}]${speaker ? ` ${speaker}` : ''} (${segment.sourceLang} → ${segment.targetLang})`);
+    lines.push(`  ${segment.sourceText}`);
+    lines.push(`  ${segment.translatedText || '(not translated)'}`);
+    lines.push('');
+  });
+
+  const audit = auditEntries(session);
+  if (audit.length) {
+    lines.push('Audit log');
+    audit.forEach(({ time, text }) => lines.push(`[${time}] ${text}`));
+  }
+
+  return lines.join('\n');
+};
+
+export const toJson = (session) =>
+  JSON.stringify(
+    {
+      exportedAt: new Date(session.exportedAt).toISOString(),
+      startedAt: session.startedAt ? new Date(session.startedAt).toISOString() : null,
+      details: session.details ?? null,
+      recording: session.recording
+        ? { consentedAt: new Date(session.recording.consentedAt).toISOString(), mimeType: session.recording.mimeType }
+        : null,
+      sourceLang: session.sourceLang,
+      targetLang: session.targetLang,
+      segments: exportable(session.segments).map(segment => ({
+        id: segment.id,
+        timestamp: new Date(segment.createdAt).toISOString(),
+        speaker: segment.speaker,
+        sourceLang: segment.sourceLang,
+        targetLang: segment.targetLang,
+        sourceText: segment.sourceText,
+        translatedText: segment.translatedText,
+        status: segment.status,
+        audio: segment.audio ?? null,
+        maskedIdentifiers: (segment.redactions ?? []).map(item => item.rule),
+      })),
+      audit: (session.audit ?? []).map(({ at, ...event }) => ({ ...event, at: new Date(at).toISOString() })),
+    },
+    null,
+    2
+  );
+
+const escapeHtml = (text = '') =>
+  text.replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+
+export const toHtml = (session) => {
+  const rows = exportable(session.segments)
+    .map(segment => `
+      <tr>
+        <td class="time">${escapeHtml(formatClock(segment.createdAt))}${
+          segment.speaker ? `<br><span class="speaker">${speakerLabels[segment.speaker]}</span>` : ''
+        }</td>
+        <td lang="${segment.sourceLang}" dir="${textDirection(segment.sourceLang)}">${escapeHtml(segment.sourceText)}</td>
+        <td lang="${segment.targetLang}" dir="${textDirection(segment.targetLang)}">${escapeHtml(segment.translatedText) || '<em>not translated</em>'}</td>
+      </tr>`)
+    .join('');
+
+  const audit = auditEntries(session);
+  const auditRows = audit
+    .map(({ time, text }) => `
+      <tr><td class="time">${escapeHtml(time)}</td><td>${escapeHtml(text)}</td></tr>`)
+    .join('');
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>MediTranslate transcript ${escapeHtml(new Date(session.exportedAt).toLocaleDateString())}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; margin: 2rem; }
+  h1 { font-size: 1.4rem; margin-bottom: 0.5rem; }
+  h2 { font-size: 1.1rem; margin: 2rem 0 0.5rem; }
+  dl { display: grid; grid-template-columns: max-content 1fr; gap: 0.25rem 1rem; margin: 0 0 1.5rem; }
+  dt { font-weight: 600; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { border: 1px solid #ccc; padding: 0.5rem; text-align: left; vertical-align: top; }
+  th { background: #f3f4f6; }
+  .time { white-space: nowrap; width: 1%; font-size: 0.85rem; }
+  .speaker { color: #555; font-size: 0.8rem; }
+  .audit td { font-size: 0.85rem; }
+  @media print { body { margin: 0; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>MediTranslate session transcript</h1>
+<dl>
+  <dt>Date</dt><dd>${escapeHtml(new Date(session.exportedAt).toLocaleString())}</dd>
+  <dt>Languages</dt><dd>${escapeHtml(languagePair(session))}</dd>
+  <dt>Clinician</dt><dd>${escapeHtml(session.details?.clinicianName) || '—'}</dd>${
+    detailRows(session.details)
+      .filter(([label]) => label !== detailLabels.clinicianName)
+      .map(([label, value]) => `\n  <dt>${label}</dt><dd>${escapeHtml(value)}</dd>`)
+      .join('')
+  }${
+    session.recording
+      ? `\n  <dt>Recording</dt><dd>Consent given at ${escapeHtml(formatClock(session.recording.consentedAt))}</dd>`
+      : ''
+  }
+</dl>
+<table>
+  <thead><tr><th>Time</th><th>Original</th><th>Translation</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>${
+  audit.length
+    ? `
+<h2>Audit log</h2>
+<table class="audit">
+  <thead><tr><th>Time</th><th>Event</th></tr></thead>
+  <tbody>${auditRows}
+  </tbody>
+</table>`
+    : ''
+}
+</body>
+</html>
+`;
+};
+
+const formatVttTime = (ms) => {
+  const total = Math.max(0, Math.round(ms));
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor((total % 3600000) / 60000);
+  const seconds = Math.floor((total % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(total % 1000, 3)}`;
+};
+
+// Cue times are relative to the start of the session. A segment is created
+// when its utterance ends, so each cue runs from the previous segment's end.
+// With `audio`, cues use the segments' offsets into the encounter recording
+// instead, so the captions line up with the downloaded audio file.
+const sessionTimings = (segments, origin) => segments.map((segment, i) => {
+  const end = segment.createdAt - origin;
+  const previousEnd = i > 0 ? segments[i - 1].createdAt - origin : 0;
+  return { start: Math.max(previousEnd, end - 10000), end };
+});
+
+// Cue text is markup too: "<", "&" and a stray "-->" would break the file,
+// and a blank line would end the cue early.
+const escapeVtt = (text = '') => text
+  .replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[char]))
+  .replace(/\r\n?/g, '\n')
+  .replace(/\n\s*\n/g, '\n')
+  .trim();
+
+// Comment blocks players ignore. They end at a blank line and may not
+// contain "-->", so each entry stays on one line.
+const vttNote = (title, lines) =>
+  lines.length ? [`NOTE ${title}\n${lines.map(line => line.replace(/\s+/g, ' ').replace(/-->/g, '->')).join('\n')}`] : [];
+
+export const toWebVtt = (session, { audio = false } = {}) => {
+  const segments = exportable(session.segments).filter(segment => !audio || segment.audio);
+  const origin = session.startedAt ?? segments[0]?.createdAt ?? session.exportedAt;
+  const timings = audio ? segments.map(segment => segment.audio) : sessionTimings(segments, origin);
+
+  const cues = segments.map((segment, i) => {
+    const { start, end } = timings[i];
+    const speaker = speakerLabels[segment.speaker];
+    const text = [
+      speaker ? `<v ${speaker}>${escapeVtt(segment.sourceText)}` : escapeVtt(segment.sourceText),
+      escapeVtt(segment.translatedText),
+    ].filter(Boolean).join('\n');
+    return `${i + 1}\n${formatVttTime(start)} --> ${formatVttTime(Math.max(end, start + 1000))}\n${text}`;
+  });
+
+  const notes = [
+    ...vttNote('Session details', detailRows(session.details).map(([label, value]) => `${label}: ${value}`)),
+    ...vttNote('Audit log', auditEntries(session).map(({ time, text }) => `[${time}] ${text}`)),
+  ];
+
+  return ['WEBVTT', ...notes, ...cues].join('\n\n') + '\n';
+};
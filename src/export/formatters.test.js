@@ -0,0 +1,126 @@
+import { describe, expect, it } from 'vitest';
+import { createAuditEvent } from '../audit';
+import { languageNameForCode } from '../languages';
+import { createSegment } from '../transcript';
+import { describeAuditEvent, toHtml, toJson, toText, toWebVtt } from './formatters';
+
+const translation = (fields) => createAuditEvent('translation', {
+  purpose: 'segment',
+  segmentId: 'segment-1',
+  provider: 'mymemory',
+  providerName: 'MyMemory',
+  source: 'en',
+  target: 'es',
+  latencyMs: 412,
+  outcome: 'translated',
+  error: null,
+  ...fields,
+});
+
+const session = {
+  segments: [{
+    ...createSegment({ sourceText: 'My back hurts', sourceLang: 'en', targetLang: 'es' }),
+    translatedText: 'Me duele la espalda',
+    status: 'translated',
+  }],
+  sourceLang: 'en',
+  targetLang: 'es',
+  details: { clinicianName: 'Dr. Chen', department: 'Emergency', caseId: 'E-42', interpreterDeclined: true },
+  audit: [
+    createAuditEvent('listening-started', { locale: 'en-US', speaker: null }),
+    translation(),
+    createAuditEvent('listening-stopped', { reason: 'stopped', error: null }),
+  ],
+  startedAt: Date.now(),
+  exportedAt: Date.now(),
+  languageName: languageNameForCode,
+  recording: null,
+};
+
+describe('describeAuditEvent', () => {
+  it('names the provider and latency of each translation', () => {
+    expect(describeAuditEvent(translation(), languageNameForCode)).toBe('Translation en → es by MyMemory in 412 ms');
+    expect(describeAuditEvent(translation({ purpose: 'back-translation', source: 'es', target: 'en' }), languageNameForCode))
+      .toBe('Back-translation es → en by MyMemory in 412 ms');
+    expect(describeAuditEvent(translation({ outcome: 'failed', error: 'network' }), languageNameForCode))
+      .toBe('Translation en → es by MyMemory failed after 412 ms (network)');
+    expect(describeAuditEvent(translation({ provider: 'phrases' }), languageNameForCode))
+      .toBe('Translation en → es from the vetted phrase list');
+    expect(describeAuditEvent(translation({ provider: 'cache', cachedFrom: 'libretranslate' }), languageNameForCode))
+      .toBe('Translation en → es from the translation cache (first translated by LibreTranslate-compatible server)');
+  });
+
+  it('describes language changes and session details', () => {
+    expect(describeAuditEvent(createAuditEvent('language-changed', { role: 'output', from: 'es-ES', to: 'fr-FR' }), languageNameForCode))
+      .toMatch(/^Output language changed from Spanish.* to French/);
+    expect(describeAuditEvent(createAuditEvent('details-changed', { field: 'caseId', value: 'E-42' }), languageNameForCode))
+      .toBe('Encounter / case ID set to "E-42"');
+    expect(describeAuditEvent(createAuditEvent('details-changed', { field: 'interpreterDeclined', value: true }), languageNameForCode))
+      .toBe('Interpreter offered and declined');
+  });
+});
+
+describe('session details and audit log in exports', () => {
+  it('lists them in plain text', () => {
+    const text = toText(session);
+
+    expect(text).toContain('Clinician: Dr. Chen');
+    expect(text).toContain('Department: Emergency');
+    expect(text).toContain('Encounter / case ID: E-42');
+    expect(text).toContain('Interpreter: Offered and declined');
+    expect(text).toMatch(/Audit log\n\[.+\] Listening started \(en-US\)\n\[.+\] Translation en → es by MyMemory in 412 ms/);
+  });
+
+  it('includes them in JSON with ISO timestamps', () => {
+    const json = JSON.parse(toJson(session));
+
+    expect(json.details).toEqual(session.details);
+    expect(json.audit).toHaveLength(3);
+    expect(json.audit[1]).toMatchObject({ type: 'translation', provider: 'mymemory', latencyMs: 412 });
+    expect(json.audit[1].at).toBe(new Date(session.audit[1].at).toISOString());
+  });
+
+  it('adds an audit table to HTML and escapes the details', () => {
+    const html = toHtml({ ...session, details: { ...session.details, department: '<Emergency>' } });
+
+    expect(html).toContain('<dt>Department</dt><dd>&lt;Emergency&gt;</dd>');
+    expect(html).toContain('<h2>Audit log</h2>');
+    expect(html).toContain('Translation en → es by MyMemory in 412 ms');
+  });
+
+  it('leaves the audit section out when nothing was logged', () => {
+    expect(toText({ ...session, audit: [] })).not.toContain('Audit log');
+    expect(toHtml({ ...session, audit: [] })).not.toContain('Audit log');
+  });
+});
+
+describe('toWebVtt', () => {
+  it('adds the session details and audit log as notes after the header', () => {
+    const vtt = toWebVtt({ ...session, details: { ...session.details, caseId: 'E-42 --> ward' } });
+
+    expect(vtt).toMatch(/^WEBVTT\n\nNOTE Session details\nClinician: Dr\. Chen\nDepartment: Emergency\nEncounter \/ case ID: E-42 -> ward\n/);
+    expect(vtt).toMatch(/\n\nNOTE Audit log\n\[.+\] Listening started \(en-US\)\n\[.+\] Translation en → es by MyMemory in 412 ms\n/);
+    expect(vtt.match(/-->/g)).toHaveLength(1);
+  });
+
+  it('escapes markup in cue text', () => {
+    const vtt = toWebVtt({
+      ...session,
+      segments: [{ ...session.segments[0], speaker: 'patient', sourceText: 'BP <90 & falling --> call', translatedText: 'PA <90 y bajando' }],
+    });
+
+    expect(vtt).toContain('<v Patient>BP &lt;90 &amp; falling --&gt; call\nPA &lt;90 y bajando');
+    expect(vtt.match(/-->/g)).toHaveLength(1);
+  });
+
+  it('keeps a typed message with blank lines in one cue', () => {
+    const vtt = toWebVtt({
+      ...session,
+      audit: [],
+      details: {},
+      segments: [{ ...session.segments[0], sourceText: 'Take one tablet.\n\n\r\n  \nCall if worse.', translatedText: 'Tome una pastilla.\n\nLlame si empeora.' }],
+    });
+
+    expect(vtt).toMatch(/--> [\d:.]+\nTake one tablet\.\nCall if worse\.\nTome una pastilla\.\nLlame si empeora\.\n$/);
+  });
+});
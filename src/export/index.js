@@ -0,0 +1,53 @@
+import { toHtml, toJson, toText, toWebVtt } from './formatters';
+import { recordingExtension } from '../recording';
+
+export { toHtml, toJson, toText, toWebVtt };
+
+export const exportFormats = {
+  text: { extension: 'txt', mimeType: 'text/plain', format: toText },
+  json: { extension: 'json', mimeType: 'application/json', format: toJson },
+  html: { extension: 'html', mimeType: 'text/html', format: toHtml },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt', format: toWebVtt },
+};
+
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+export const downloadFile = (content, filename, mimeType) =>
+  downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }), filename);
+
+const filenameFor = (session, extension) => {
+  const stamp = new Date(session.exportedAt).toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  return `meditranslate-${stamp}.${extension}`;
+};
+
+export const exportSession = (session, formatId) => {
+  const { extension, mimeType, format } = exportFormats[formatId];
+  downloadFile(format(session), filenameFor(session, extension), mimeType);
+};
+
+// The encounter audio plus captions timed against it, under the same name so
+// media players pick the captions up automatically.
+export const exportRecording = (session, audio) => {
+  downloadBlob(audio, filenameFor(session, recordingExtension(audio.type)));
+  downloadFile(toWebVtt(session, { audio: true }), filenameFor(session, 'vtt'), 'text/vtt');
+};
+
+// The browser's print dialog doubles as the PDF exporter ("Save as PDF").
+export const printSession = (session) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) return false;
+  printWindow.document.write(toHtml(session));
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  return true;
+};
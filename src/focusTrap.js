@@ -0,0 +1,69 @@
+import { useEffect, useRef } from 'react';
+
+const focusableSelector = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+const focusableIn = (container) =>
+  [...container.querySelectorAll(focusableSelector)].filter(element => element.getClientRects().length > 0);
+
+// Keeps keyboard focus inside a dialog while it is open, closes it on Escape
+// and returns focus to whatever was focused before. Attach the returned ref
+// to the dialog element.
+export const useFocusTrap = (active, onEscape) => {
+  const containerRef = useRef(null);
+  const onEscapeRef = useRef(onEscape);
+
+  useEffect(() => {
+    onEscapeRef.current = onEscape;
+  });
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!active || !container) return;
+
+    const previous = document.activeElement;
+    // Something inside may already have taken focus, e.g. an autofocused field.
+    if (!container.contains(document.activeElement)) {
+      (focusableIn(container)[0] || container).focus();
+    }
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' && onEscapeRef.current) {
+        event.preventDefault();
+        event.stopPropagation();
+        onEscapeRef.current();
+        return;
+      }
+      if (event.key !== 'Tab') return;
+
+      const focusable = focusableIn(container);
+      if (focusable.length === 0) {
+        event.preventDefault();
+        return;
+      }
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      if (event.shiftKey && (document.activeElement === first || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        last.focus();
+      } else if (!event.shiftKey && (document.activeElement === last || !container.contains(document.activeElement))) {
+        event.preventDefault();
+        first.focus();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown, true);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown, true);
+      if (previous instanceof HTMLElement && previous.isConnected) previous.focus();
+    };
+  }, [active]);
+
+  return containerRef;
+};
@@ -0,0 +1,102 @@
+import { medicalTerms, protectedTerms } from './terms';
+
+const STORAGE_KEY = 'meditranslate.glossary';
+
+// Glossary entry: { source, target, origin, protected }. Protected entries
+// keep the source term unchanged in the translation.
+export const bundledEntries = (sourceLang, targetLang) => [
+  ...medicalTerms
+    .filter(term => term[sourceLang] && term[targetLang])
+    .map(term => ({ source: term[sourceLang], target: term[targetLang], origin: 'bundled', protected: false })),
+  ...protectedTerms.map(term => ({ source: term, target: term, origin: 'bundled', protected: true })),
+];
+
+export const loadCustomEntries = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+export const saveCustomEntries = (entries) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+export const createCustomEntry = ({ sourceLang, targetLang, source, target }) => ({
+  id: crypto.randomUUID(),
+  sourceLang,
+  targetLang,
+  source: source.trim(),
+  target: target.trim() || source.trim(),
+  origin: 'custom',
+  protected: !target.trim(),
+});
+
+// Custom entries override bundled ones for the same source term.
+export const glossaryFor = (customEntries, sourceLang, targetLang) => {
+  const custom = customEntries.filter(e => e.sourceLang === sourceLang && e.targetLang === targetLang);
+  const overridden = new Set(custom.map(e => e.source.toLowerCase()));
+  return [
+    ...custom,
+    ...bundledEntries(sourceLang, targetLang).filter(e => !overridden.has(e.source.toLowerCase())),
+  ];
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const termPattern = (term) =>
+  new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term)}(?![\\p{L}\\p{N}])`, 'giu');
+
+// MT engines leave these tokens alone far more reliably than bare words.
+const placeholder = (index) => `{{${index}}}`;
+const placeholderPattern = /\{\{\s*(\d+)\s*\}\}/g;
+
+export const protectTerms = (text, entries) => {
+  const matches = [];
+  let protectedText = text;
+
+  // Longest terms first so "blood pressure" wins over "pressure".
+  [...entries]
+    .sort((a, b) => b.source.length - a.source.length)
+    .forEach((entry) => {
+      protectedText = protectedText.replace(termPattern(entry.source), () => {
+        matches.push(entry);
+        return placeholder(matches.length - 1);
+      });
+    });
+
+  return { text: protectedText, matches };
+};
+
+export const restoreTerms = (text, matches) =>
+  text.replace(placeholderPattern, (token, index) => matches[Number(index)]?.target ?? token);
+
+export const translateWithGlossary = async (provider, text, sourceLang, targetLang, entries, options) => {
+  const { text: protectedText, matches } = protectTerms(text, entries);
+  const translation = await provider.translate(protectedText, sourceLang, targetLang, options);
+  const unique = matches.filter((entry, i) => matches.findIndex(m => m.source === entry.source) === i);
+  return { text: restoreTerms(translation, matches), matches: unique };
+};
+
+// Splits translated text into plain and glossary-term parts for highlighting.
+export const splitByGlossary = (text, matches = []) => {
+  if (!matches.length) return [{ text }];
+
+  const targets = [...matches].sort((a, b) => b.target.length - a.target.length);
+  const pattern = new RegExp(
+    targets.map(entry => `(?<![\\p{L}\\p{N}])${escapeRegExp(entry.target)}(?![\\p{L}\\p{N}])`).join('|'),
+    'giu'
+  );
+
+  const parts = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    const entry = targets.find(e => e.target.toLowerCase() === match[0].toLowerCase());
+    parts.push({ text: match[0], entry });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) parts.push({ text: text.slice(last) });
+  return parts;
+};
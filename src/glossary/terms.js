@@ -0,0 +1,49 @@
+// Approved translations for common clinical terms, keyed by MT language code.
+// A term is used for a language pair when it has an entry for both languages.
+export const medicalTerms = [
+  { en: 'hypertension', es: 'hipertensión', fr: 'hypertension', de: 'Bluthochdruck', pt: 'hipertensão' },
+  { en: 'diabetes', es: 'diabetes', fr: 'diabète', de: 'Diabetes', pt: 'diabetes' },
+  { en: 'blood pressure', es: 'presión arterial', fr: 'tension artérielle', de: 'Blutdruck', pt: 'pressão arterial' },
+  { en: 'heart attack', es: 'infarto', fr: 'crise cardiaque', de: 'Herzinfarkt', pt: 'ataque cardíaco' },
+  { en: 'stroke', es: 'derrame cerebral', fr: 'accident vasculaire cérébral', de: 'Schlaganfall', pt: 'acidente vascular cerebral' },
+  { en: 'chest pain', es: 'dolor de pecho', fr: 'douleur thoracique', de: 'Brustschmerzen', pt: 'dor no peito' },
+  { en: 'shortness of breath', es: 'falta de aire', fr: 'essoufflement', de: 'Atemnot', pt: 'falta de ar' },
+  { en: 'allergy', es: 'alergia', fr: 'allergie', de: 'Allergie', pt: 'alergia' },
+  { en: 'asthma', es: 'asma', fr: 'asthme', de: 'Asthma', pt: 'asma' },
+  { en: 'fever', es: 'fiebre', fr: 'fièvre', de: 'Fieber', pt: 'febre' },
+  { en: 'nausea', es: 'náuseas', fr: 'nausée', de: 'Übelkeit', pt: 'náusea' },
+  { en: 'dizziness', es: 'mareo', fr: 'vertiges', de: 'Schwindel', pt: 'tontura' },
+  { en: 'abdomen', es: 'abdomen', fr: 'abdomen', de: 'Bauch', pt: 'abdômen' },
+  { en: 'kidney', es: 'riñón', fr: 'rein', de: 'Niere', pt: 'rim' },
+  { en: 'liver', es: 'hígado', fr: 'foie', de: 'Leber', pt: 'fígado' },
+  { en: 'lungs', es: 'pulmones', fr: 'poumons', de: 'Lunge', pt: 'pulmões' },
+  { en: 'pregnant', es: 'embarazada', fr: 'enceinte', de: 'schwanger', pt: 'grávida' },
+  { en: 'blood test', es: 'análisis de sangre', fr: 'prise de sang', de: 'Bluttest', pt: 'exame de sangue' },
+  { en: 'once daily', es: 'una vez al día', fr: 'une fois par jour', de: 'einmal täglich', pt: 'uma vez ao dia' },
+  { en: 'twice daily', es: 'dos veces al día', fr: 'deux fois par jour', de: 'zweimal täglich', pt: 'duas vezes ao dia' },
+  { en: 'three times a day', es: 'tres veces al día', fr: 'trois fois par jour', de: 'dreimal täglich', pt: 'três vezes ao dia' },
+  { en: 'as needed', es: 'según sea necesario', fr: 'au besoin', de: 'bei Bedarf', pt: 'conforme necessário' },
+  { en: 'before meals', es: 'antes de las comidas', fr: 'avant les repas', de: 'vor den Mahlzeiten', pt: 'antes das refeições' },
+  { en: 'after meals', es: 'después de las comidas', fr: 'après les repas', de: 'nach den Mahlzeiten', pt: 'após as refeições' },
+  { en: 'on an empty stomach', es: 'en ayunas', fr: 'à jeun', de: 'auf nüchternen Magen', pt: 'em jejum' },
+  { en: 'milligrams', es: 'miligramos', fr: 'milligrammes', de: 'Milligramm', pt: 'miligramas' },
+];
+
+// Drug names are kept verbatim in every language so MT cannot mistranslate them.
+export const protectedTerms = [
+  'acetaminophen',
+  'albuterol',
+  'amlodipine',
+  'amoxicillin',
+  'atorvastatin',
+  'heparin',
+  'ibuprofen',
+  'levothyroxine',
+  'lisinopril',
+  'metformin',
+  'omeprazole',
+  'paracetamol',
+  'prednisone',
+  'salbutamol',
+  'warfarin',
+];
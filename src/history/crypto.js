@@ -0,0 +1,29 @@
+// AES-GCM encryption with a key derived from the user's passphrase (PBKDF2).
+const PBKDF2_ITERATIONS = 250000;
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+export const randomBytes = (length) => crypto.getRandomValues(new Uint8Array(length));
+
+export const deriveKey = async (passphrase, salt) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+export const encryptJson = async (key, value) => {
+  const iv = randomBytes(12);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(value)));
+  return { iv, ciphertext };
+};
+
+// Rejects (OperationError) when the key is wrong or the data was tampered with.
+export const decryptJson = async (key, { iv, ciphertext }) => {
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+  return JSON.parse(decoder.decode(plaintext));
+};
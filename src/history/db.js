@@ -0,0 +1,38 @@
+// Minimal promise wrapper around the IndexedDB stores used for history.
+const DB_NAME = 'meditranslate';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('sessions', { keyPath: 'id' });
+      db.createObjectStore('meta', { keyPath: 'key' });
+    };
+    dbPromise = promisify(request).catch((err) => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (name, mode, fn) => {
+  const db = await openDb();
+  return promisify(fn(db.transaction(name, mode).objectStore(name)));
+};
+
+export const getRecord = (store, key) => withStore(store, 'readonly', s => s.get(key));
+export const getAllRecords = (store) => withStore(store, 'readonly', s => s.getAll());
+export const putRecord = (store, record) => withStore(store, 'readwrite', s => s.put(record));
+export const deleteRecord = (store, key) => withStore(store, 'readwrite', s => s.delete(key));
+export const clearStore = (store) => withStore(store, 'readwrite', s => s.clear());
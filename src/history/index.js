@@ -0,0 +1,90 @@
+import { decryptJson, deriveKey, encryptJson, randomBytes } from './crypto';
+import { clearStore, deleteRecord, getAllRecords, getRecord, putRecord } from './db';
+import { sessionDetailsOf } from '../audit';
+
+const SETTINGS_KEY = 'meditranslate.history';
+const VERIFIER = 'meditranslate-history';
+
+// In days; 0 keeps sessions until they are deleted.
+export const retentionOptions = [1, 7, 30, 90, 0];
+
+export const defaultHistorySettings = { enabled: false, retentionDays: 7 };
+
+export const loadHistorySettings = () => {
+  try {
+    return { ...defaultHistorySettings, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return defaultHistorySettings;
+  }
+};
+
+export const saveHistorySettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+export const hasPassphrase = async () => Boolean(await getRecord('meta', 'keyCheck'));
+
+// Returns the session key, creating the salt and verifier on first use.
+// Rejects with a readable message when the passphrase does not match.
+export const unlockHistory = async (passphrase) => {
+  const existing = await getRecord('meta', 'keyCheck');
+
+  if (!existing) {
+    const salt = randomBytes(16);
+    const key = await deriveKey(passphrase, salt);
+    await putRecord('meta', { key: 'keyCheck', salt, ...(await encryptJson(key, VERIFIER)) });
+    return key;
+  }
+
+  const key = await deriveKey(passphrase, existing.salt);
+  try {
+    if ((await decryptJson(key, existing)) === VERIFIER) return key;
+  } catch {
+    // wrong key: fall through
+  }
+  const error = new Error('Incorrect passphrase.');
+  error.code = 'incorrect-passphrase';
+  throw error;
+};
+
+// Only the id and timestamps are stored in the clear, for listing and purging.
+export const saveSession = async (key, session) => {
+  const encrypted = await encryptJson(key, session);
+  await putRecord('sessions', { id: session.id, updatedAt: session.updatedAt, ...encrypted });
+};
+
+export const listSessions = async (key) => {
+  const records = await getAllRecords('sessions');
+  const sessions = await Promise.all(
+    records.map(record => decryptJson(key, record).catch(() => null))
+  );
+  return sessions.filter(Boolean).sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const deleteSession = (id) => deleteRecord('sessions', id);
+
+export const purgeExpiredSessions = async (retentionDays) => {
+  if (!retentionDays) return 0;
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  const expired = (await getAllRecords('sessions')).filter(record => record.updatedAt < cutoff);
+  await Promise.all(expired.map(record => deleteRecord('sessions', record.id)));
+  return expired.length;
+};
+
+// Forgetting the passphrase makes stored sessions unreadable, so resetting
+// removes them along with the key check.
+export const resetHistory = async () => {
+  await clearStore('sessions');
+  await clearStore('meta');
+};
+
+export const matchesQuery = (session, query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return true;
+  return session.segments.some(segment =>
+    segment.sourceText.toLowerCase().includes(needle) ||
+    segment.translatedText?.toLowerCase().includes(needle)
+  ) || Object.values(sessionDetailsOf(session)).some(value =>
+    typeof value === 'string' && value.toLowerCase().includes(needle)
+  );
+};
@@ -0,0 +1,17 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { I18nContext } from './context';
+import { createTranslator, loadUiLocale, saveUiLocale } from './index';
+
+const I18nProvider = ({ locale: initialLocale, children }) => {
+  const [locale, setLocale] = useState(() => initialLocale || loadUiLocale());
+  const value = useMemo(() => ({ locale, setLocale, t: createTranslator(locale) }), [locale]);
+
+  useEffect(() => {
+    saveUiLocale(locale);
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  return <I18nContext.Provider value={value}>{children}</I18nContext.Provider>;
+};
+
+export default I18nProvider;
@@ -0,0 +1,11 @@
+import { createContext, useContext } from 'react';
+import { createTranslator, defaultUiLocale } from './index';
+
+// Without an I18nProvider the interface is English and the locale is fixed.
+export const I18nContext = createContext({
+  locale: defaultUiLocale,
+  setLocale: null,
+  t: createTranslator(defaultUiLocale),
+});
+
+export const useI18n = () => useContext(I18nContext);
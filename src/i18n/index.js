@@ -0,0 +1,76 @@
+import en from './messages/en';
+import es from './messages/es';
+import fr from './messages/fr';
+
+// Catalogs for the app's own interface. Patient-facing phrases and
+// translations are separate: they follow the languages chosen for the session.
+const STORAGE_KEY = 'meditranslate.uiLocale';
+
+export const defaultUiLocale = 'en';
+
+export const uiLocales = {
+  en: { name: 'English', messages: en },
+  es: { name: 'Español', messages: es },
+  fr: { name: 'Français', messages: fr },
+};
+
+export const detectUiLocale = (languages = navigator.languages ?? [navigator.language]) =>
+  languages.map(language => language?.toLowerCase().split('-')[0]).find(code => code in uiLocales) ?? defaultUiLocale;
+
+export const loadUiLocale = () => {
+  const saved = localStorage.getItem(STORAGE_KEY);
+  return saved in uiLocales ? saved : detectUiLocale();
+};
+
+export const saveUiLocale = (locale) => {
+  localStorage.setItem(STORAGE_KEY, locale);
+};
+
+const lookup = (messages, key) => key.split('.').reduce((node, part) => node?.[part], messages);
+
+const isPlural = (entry) => typeof entry?.other === 'string';
+
+// Builds t(key, params) for a locale. Keys are dotted paths into the catalog;
+// missing entries fall back to English, then to the key itself. {name}
+// placeholders are filled from params, with numbers formatted for the locale.
+// Plural entries ({ one, other, ... }, optionally zero) are chosen by
+// params.count with the locale's plural rules. Arrays are returned as arrays.
+export const createTranslator = (locale) => {
+  const messages = uiLocales[locale]?.messages ?? en;
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  const interpolate = (text, params) =>
+    text.replace(/\{(\w+)\}/g, (token, name) => {
+      const value = params[name];
+      if (value === undefined || value === null) return token;
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+
+  const resolve = (entry, params) => {
+    if (typeof entry === 'string') return interpolate(entry, params);
+    if (Array.isArray(entry)) return entry.map(item => resolve(item, params));
+    if (isPlural(entry)) {
+      const count = params.count ?? 0;
+      const form = count === 0 && entry.zero ? 'zero' : pluralRules.select(count);
+      return interpolate(entry[form] ?? entry.other, params);
+    }
+    return undefined;
+  };
+
+  const t = (key, params = {}) => resolve(lookup(messages, key), params) ?? resolve(lookup(en, key), params) ?? key;
+  t.locale = locale;
+
+  // The language registry's names are English; other locales ask Intl.
+  const displayNames = locale === defaultUiLocale ? null : new Intl.DisplayNames([locale], { type: 'language' });
+  t.languageName = (language) => {
+    if (!displayNames) return language.name;
+    try {
+      return displayNames.of(language.id) ?? language.name;
+    } catch {
+      return language.name;
+    }
+  };
+
+  return t;
+};
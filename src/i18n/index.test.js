@@ -0,0 +1,50 @@
+import { describe, expect, it } from 'vitest';
+import { createTranslator, detectUiLocale } from './index';
+
+describe('createTranslator', () => {
+  it('looks up dotted keys and fills placeholders', () => {
+    const t = createTranslator('en');
+
+    expect(t('header.settings')).toBe('Settings');
+    expect(t('detection.use', { language: 'Spanish' })).toBe('Use Spanish');
+  });
+
+  it('picks plural forms with the locale rules', () => {
+    const t = createTranslator('fr');
+
+    expect(t('redaction.masked', { count: 1 })).toBe('1 masqué');
+    expect(t('redaction.masked', { count: 3 })).toBe('3 masqués');
+    expect(t('glossary.summary', { count: 0, source: 'en', target: 'fr' })).toMatch(/^Aucun terme/);
+  });
+
+  it('formats numbers for the locale', () => {
+    expect(createTranslator('en')('history.segments', { count: 1200 })).toBe('1,200 segments');
+    expect(createTranslator('es')('history.segments', { count: 2 })).toBe('2 segmentos');
+  });
+
+  it('falls back to English, then to the key', () => {
+    expect(createTranslator('xx')('header.settings')).toBe('Settings');
+    expect(createTranslator('es')('no.such.key')).toBe('no.such.key');
+  });
+
+  it('returns arrays as arrays', () => {
+    expect(createTranslator('en')('recognition.guidance.no-speech')).toHaveLength(2);
+  });
+
+  it('names languages in the interface language', () => {
+    const language = { id: 'es-MX', name: 'Spanish (Mexico)' };
+
+    expect(createTranslator('en').languageName(language)).toBe('Spanish (Mexico)');
+    expect(createTranslator('fr').languageName(language)).toMatch(/^espagnol/);
+  });
+});
+
+describe('detectUiLocale', () => {
+  it('picks the first supported browser language', () => {
+    expect(detectUiLocale(['de-DE', 'fr-CA', 'es'])).toBe('fr');
+  });
+
+  it('defaults to English', () => {
+    expect(detectUiLocale(['de-DE'])).toBe('en');
+  });
+});
@@ -0,0 +1,443 @@
+export default {
+  app: {
+    tagline: 'AI-Powered Healthcare Communication',
+  },
+  common: {
+    add: 'Add',
+    cancel: 'Cancel',
+    close: 'Close',
+    dismiss: 'Dismiss',
+    remove: 'Remove {name}',
+    stop: 'Stop',
+  },
+  header: {
+    offline: 'Offline',
+    history: 'Session history',
+    sessionDetails: 'Session details',
+    settings: 'Settings',
+    settingsShortcut: 'Settings (Ctrl+K)',
+    interfaceLanguage: 'Interface language',
+  },
+  speakers: {
+    clinician: 'Clinician',
+    patient: 'Patient',
+    unattributed: 'Unattributed',
+  },
+  settings: {
+    title: 'Language Settings',
+    close: 'Close settings',
+    inputLanguage: '🎤 Input Language (Speaking)',
+    outputLanguage: '🔊 Output Language (Translation)',
+    searchLanguages: 'Search languages',
+    searchLabel: 'Search {label}',
+    noLanguages: 'No languages match "{query}".',
+    swap: 'Swap Languages',
+    provider: {
+      title: 'Translation Provider',
+      label: 'Translation provider',
+      hostProvided: 'Using {name} (set by the host application).',
+      serverUrl: 'Server URL',
+      apiKey: 'API Key (optional)',
+      pairUnsupported: '{provider} does not support this language pair.',
+      names: {
+        mymemory: 'MyMemory (public API)',
+        libretranslate: 'LibreTranslate-compatible server',
+        mock: 'Local mock (offline)',
+      },
+    },
+    recognition: {
+      title: 'Speech Recognition',
+      label: 'Speech recognition engine',
+      engines: {
+        webspeech: 'Browser speech recognition',
+        whisper: 'Whisper server (self-hosted)',
+        local: 'In-browser model',
+      },
+      webSpeechNote: "Audio is sent to your browser vendor's speech service. Not available in Firefox.",
+      endpoint: 'Transcription endpoint',
+      model: 'Model',
+      silence: 'Pause listening when nobody speaks',
+      silenceOptions: {
+        0: 'Never',
+        30: 'After 30 seconds',
+        60: 'After 1 minute',
+        120: 'After 2 minutes',
+        300: 'After 5 minutes',
+      },
+      localNote: 'Audio is transcribed on this device and never leaves the browser.',
+      unsupported: 'This engine is not available in this browser.',
+    },
+    cache: {
+      title: 'Translation Cache',
+      keep: 'Keep translations on this device',
+      keepHint: 'Repeated sentences are translated instantly and remain available offline. Translations are stored unencrypted in this browser, so leave this off on shared devices.',
+      clear: 'Clear cache',
+    },
+    confidence: {
+      title: 'Confidence Check',
+      backTranslate: 'Back-translate every segment',
+      backTranslateHint: 'Translates the output back into the source language and scores how closely it matches.',
+      hold: 'Hold playback of low-confidence translations',
+      holdHint: 'Segments are not spoken or shown to the patient until their check finishes, and flagged ones not until marked as reviewed.',
+    },
+    captions: {
+      title: 'Live Captions',
+      provisional: 'Provisional translation while speaking',
+      provisionalHint: 'Translates the in-progress caption as the speaker talks. Sends more requests to the translation provider.',
+    },
+    display: {
+      title: 'Display',
+      highContrast: 'High contrast',
+      highContrastHint: 'Solid backgrounds, darker text and a strong focus outline.',
+      largeText: 'Large text',
+      largeTextHint: 'Enlarges all text and controls by a quarter.',
+    },
+    shortcuts: {
+      title: 'Keyboard Shortcuts',
+      note: 'Shortcuts are ignored while typing in a text field.',
+      actions: {
+        'push-to-talk': 'Hold to talk',
+        speak: 'Speak the latest translation',
+        languages: 'Choose languages',
+        close: 'Close the open dialog',
+      },
+    },
+  },
+  tts: {
+    title: 'Speech Output',
+    voiceFor: 'Voice for {language}',
+    automatic: 'Automatic',
+    online: 'online',
+    noVoice: 'This browser has no voice for {language}; playback may use a default voice.',
+    autoSpeak: 'Speak translations automatically',
+    autoSpeakHint: 'New segments are read aloud in order as soon as they are translated.',
+    rate: 'Speed',
+    pitch: 'Pitch',
+    volume: 'Volume',
+    test: 'Test voice',
+  },
+  redaction: {
+    title: 'Identifier Masking',
+    enabled: 'Mask identifiers before translation',
+    enabledHint: 'Names, dates, phone numbers and record numbers are replaced with placeholders before text is sent to the translation provider, then restored in the translation on this device.',
+    customPlaceholder: "Always mask, e.g. the patient's name",
+    customLabel: 'Term to always mask',
+    rules: {
+      email: 'Email address',
+      ssn: 'Social security number',
+      date: 'Date',
+      phone: 'Phone number',
+      record: 'Record number',
+      number: 'Long number',
+      name: 'Name',
+      custom: 'Custom term',
+    },
+    masked: {
+      one: '{count} masked',
+      other: '{count} masked',
+    },
+    maskedTitle: 'Masked before translation:',
+    notRestored: {
+      one: '{count} not restored — check the translation',
+      other: '{count} not restored — check the translation',
+    },
+  },
+  glossary: {
+    title: 'Medical Glossary',
+    summary: {
+      zero: 'No built-in terms apply to {source} → {target}. Your entries take precedence.',
+      one: '{count} built-in term applies to {source} → {target}. Your entries take precedence.',
+      other: '{count} built-in terms apply to {source} → {target}. Your entries take precedence.',
+    },
+    emptyHint: 'Leave the translation empty to keep a term unchanged.',
+    term: 'Term ({lang})',
+    approved: 'Approved translation ({lang})',
+    keptAsIs: 'kept as is',
+    tooltip: {
+      translated: 'Glossary: "{source}" → "{target}" ({origin})',
+      protected: 'Glossary: "{source}" kept as is ({origin})',
+    },
+    origins: {
+      bundled: 'built-in',
+      custom: 'your entry',
+    },
+  },
+  offline: {
+    title: "You're offline. Live machine translation is unavailable.",
+    body: 'Quick phrases still work, and so do typed messages already translated in this session or kept on this device.',
+    webSpeech: "Voice input needs a connection to the browser's speech service.",
+  },
+  errors: {
+    playbackFailed: 'Audio playback failed',
+    recordingStopped: 'Recording stopped unexpectedly. The audio captured so far is kept.',
+    historySaveFailed: 'Could not save this session to history.',
+    heldForReview: 'Review the flagged low-confidence translation before playing it to the patient.',
+    heldForCheck: 'Wait for the confidence check to finish before playing this translation to the patient.',
+    printBlocked: 'Could not open the print window. Please allow pop-ups for this site.',
+    recordingFailed: 'Could not start recording. Please allow microphone access and try again.',
+    replayFailed: 'Could not play the recording.',
+  },
+  translationErrors: {
+    network: 'Translation failed. Please check your internet connection and try again.',
+    unavailable: 'Translation service unavailable. Please try again shortly.',
+    'rate-limited': 'Translation service limit reached. Please wait a moment and try again.',
+    'unsupported-pair': 'This language pair is not supported by the selected translation provider.',
+    'invalid-response': 'Translation failed. The service returned an unexpected response.',
+    aborted: 'Translation was cancelled.',
+    offline: "You're offline. Only saved translations and quick phrases are available until the connection returns.",
+  },
+  recognition: {
+    paused: 'Listening paused after {duration} without speech.',
+    minutes: '{count} min',
+    seconds: '{count} s',
+    resume: 'Resume',
+    reconnecting: 'Reconnecting speech recognition (attempt {attempt})…',
+    howToFix: 'How to fix:',
+    tryAgain: 'Try again',
+    errors: {
+      'not-allowed': 'Microphone access denied. Please allow microphone access in your browser settings and reload the page.',
+      'audio-capture': 'No microphone was found. Check that one is connected and not in use by another application.',
+      'no-speech': 'No speech was detected. Please try again.',
+      network: 'Speech recognition failed. The recognition service could not be reached.',
+      'language-not-supported': 'This language is not supported by the selected speech recognition engine.',
+      unsupported: 'Speech recognition not supported in this browser',
+      unavailable: 'Speech recognition service unavailable. Please try again shortly.',
+      'invalid-response': 'Speech recognition failed. The service returned an unexpected response.',
+      aborted: 'Speech recognition was cancelled.',
+    },
+    // What staff can do about each error, shown under the message.
+    guidance: {
+      'not-allowed': [
+        "Click the 🔒 or 🎤 icon in your browser's address bar",
+        'Select "Allow" for microphone access',
+        'Reload the page and try again',
+      ],
+      'audio-capture': [
+        'Check that the microphone is plugged in and not muted',
+        'Close other applications that may be using it, such as video calls',
+        'Pick the right input device in your system sound settings',
+      ],
+      'no-speech': [
+        'Move closer to the microphone and speak clearly',
+        'Check that the right microphone is selected',
+      ],
+      network: [
+        'Check the internet connection',
+        'For a Whisper server, check the transcription endpoint in Settings',
+        'Listening restarts automatically once the service can be reached',
+      ],
+      'language-not-supported': [
+        'Choose another dialect of the language in Settings',
+        'Or switch to a Whisper server under Speech Recognition',
+      ],
+      unsupported: [
+        'Use Chrome, Edge or Safari',
+        'Or choose a Whisper server under Settings → Speech Recognition',
+      ],
+      unavailable: [
+        'Wait a moment and press the microphone again',
+        'If it keeps failing, choose another engine under Settings → Speech Recognition',
+      ],
+      'invalid-response': [
+        'Check that the transcription endpoint in Settings is an OpenAI-compatible /v1/audio/transcriptions URL',
+      ],
+    },
+  },
+  detection: {
+    soundsLike: 'This sounds like {language}',
+    confidence: '{percent}% confident',
+    use: 'Use {language}',
+    pointToLanguage: 'Point to language',
+  },
+  controls: {
+    single: 'Single Speaker',
+    conversation: 'Conversation',
+    detecting: 'Detecting patient language…',
+    autoDetect: 'Auto-detect patient language',
+    pointToLanguage: 'Point to your language',
+    patientView: 'Patient view',
+    secondScreen: 'Open on second screen',
+    startListening: 'Start Recording',
+    stopListening: 'Stop Recording',
+    listenHint: 'Start or stop listening (hold Space to talk)',
+    live: 'LIVE',
+    clearAll: 'Clear All',
+  },
+  recording: {
+    record: 'Record',
+    recording: 'REC',
+    paused: 'PAUSED',
+    pause: 'Pause recording',
+    resume: 'Resume recording',
+    stop: 'Stop recording',
+    playOriginal: 'Play the original speech',
+    originalAudio: 'Original audio',
+    consent: {
+      title: 'Record this encounter?',
+      body: 'The audio is kept in memory on this device, linked to the transcript so each sentence can be replayed. It is not uploaded or saved to session history, and is deleted when you clear the session unless you download it.',
+      noQuestion: 'There is no vetted {language} translation of the consent question. Ask the patient through a professional interpreter before recording.',
+      readAloud: 'Read aloud',
+      replaces: 'Starting a new recording replaces the current one.',
+      patientAgreed: 'The patient was asked in their language and agreed to be recorded.',
+      clinicianAgreed: 'I agree to be recorded and will handle the recording under our data policy.',
+      start: 'Start recording',
+    },
+  },
+  transcript: {
+    original: 'Original Text',
+    translation: 'Translation',
+    speak: 'Speak translation',
+    stopSpeaking: 'Stop speaking',
+    speakShortcut: 'Speak translation (S)',
+    stopSpeakingShortcut: 'Stop speaking (S)',
+    emptySource: 'Click "Start Recording" to begin speaking...',
+    emptyTranslation: 'Translation will appear here...',
+    emptyConversation: 'Tap the clinician or patient microphone to start the conversation...',
+    translating: 'Translating...',
+    failed: 'Translation failed — retry',
+    backTranslation: 'Back-translation:',
+    backTranslationTitle: 'Back-translation: {text}',
+    vettedPhrase: 'Vetted phrase',
+    checking: 'Checking',
+    match: '{percent}% match',
+    reviewed: 'Reviewed',
+  },
+  composer: {
+    placeholder: 'Type a message to translate...',
+    label: 'Message to translate',
+    submit: 'Translate',
+  },
+  phrases: {
+    categories: {
+      pain: 'Pain',
+      allergies: 'Allergies',
+      exam: 'Examination',
+      consent: 'Consent',
+      general: 'General',
+      replies: 'Patient replies',
+    },
+    empty: 'No vetted phrases for this language pair yet.',
+    unavailable: 'Quick phrases are unavailable for {languages}: there are no vetted translations yet. Type or speak the message instead.',
+  },
+  export: {
+    button: 'Export',
+    print: 'Print / Save as PDF',
+    formats: {
+      text: 'Plain text (.txt)',
+      json: 'Structured JSON (.json)',
+      html: 'HTML document (.html)',
+      vtt: 'WebVTT subtitles (.vtt)',
+    },
+    recording: 'Recording + captions (.vtt)',
+  },
+  history: {
+    title: 'Session History',
+    close: 'Close history',
+    save: 'Save sessions on this device',
+    saveHint: 'Transcripts are encrypted with your passphrase and never leave this browser.',
+    retention: 'Delete sessions after',
+    retentionOptions: {
+      0: 'Keep until deleted',
+      1: '24 hours',
+      7: '7 days',
+      30: '30 days',
+      90: '90 days',
+    },
+    choosePassphrase: 'Choose a passphrase to encrypt saved sessions.',
+    enterPassphrase: 'Enter your passphrase to open saved sessions.',
+    passphrase: 'Passphrase',
+    confirmPassphrase: 'Confirm passphrase',
+    mismatch: 'Passphrases do not match.',
+    tooShort: 'Use at least 8 characters.',
+    incorrect: 'Incorrect passphrase.',
+    setPassphrase: 'Set passphrase',
+    unlock: 'Unlock',
+    forgot: 'Forgot passphrase? Delete all saved sessions',
+    confirmReset: 'Delete all saved sessions and the passphrase? This cannot be undone.',
+    search: 'Search transcripts',
+    lock: 'Lock history',
+    noMatches: 'No sessions match your search.',
+    empty: 'No saved sessions yet.',
+    segments: {
+      one: '{count} segment',
+      other: '{count} segments',
+    },
+    reopen: 'Reopen session',
+    delete: 'Delete session',
+  },
+  session: {
+    title: 'Session details',
+    close: 'Close session details',
+    hint: 'Included in exported and printed transcripts.',
+    fields: {
+      clinicianName: 'Clinician name',
+      department: 'Department',
+      caseId: 'Encounter / case ID',
+    },
+    placeholders: {
+      clinicianName: 'e.g. Dr. Rivera',
+      department: 'e.g. Emergency',
+      caseId: 'As in the patient record',
+    },
+    interpreterDeclined: 'The patient was offered a professional interpreter and declined',
+  },
+  audit: {
+    title: 'Audit log',
+    hint: 'Everything that happened in this session, in order. Entries cannot be edited or removed.',
+    empty: 'Nothing recorded yet.',
+    purposes: {
+      segment: 'Translation',
+      'back-translation': 'Back-translation',
+    },
+    events: {
+      listeningStarted: 'Listening started ({locale})',
+      listeningStartedFor: 'Listening started: {speaker} ({locale})',
+      listeningStopped: 'Listening stopped',
+      listeningPaused: 'Listening paused after silence',
+      listeningFailed: 'Listening stopped by an error ({error})',
+      inputLanguageChanged: 'Input language changed from {from} to {to}',
+      outputLanguageChanged: 'Output language changed from {from} to {to}',
+      languagesSwapped: 'Languages swapped: {input} → {output}',
+      translation: '{purpose} {source} → {target} by {provider} in {latency} ms',
+      translationFailed: '{purpose} {source} → {target} by {provider} failed after {latency} ms ({error})',
+      translationCached: '{purpose} {source} → {target} from the translation cache (first translated by {origin})',
+      translationVetted: '{purpose} {source} → {target} from the vetted phrase list',
+      speech: 'Translation spoken in {language}',
+      speechAutomatic: 'Translation spoken automatically in {language}',
+      exported: 'Transcript exported: {format}',
+      cleared: {
+        one: 'Transcript cleared ({count} segment)',
+        other: 'Transcript cleared ({count} segments)',
+      },
+      detailSet: '{field} set to “{value}”',
+      detailCleared: '{field} cleared',
+      interpreterDeclined: 'Interpreter offered and declined',
+      interpreterDeclinedWithdrawn: 'Interpreter refusal withdrawn',
+      sessionStarted: {
+        one: 'New session started after clearing the previous one ({count} segment)',
+        other: 'New session started after clearing the previous one ({count} segments)',
+      },
+      reopened: 'Saved session reopened',
+    },
+  },
+  patientView: {
+    label: 'Patient view',
+    rotate: 'Rotate 180°',
+    close: 'Close patient view',
+    reply: 'Reply',
+    stopReply: 'Stop replying',
+    waiting: "Waiting for the clinician's screen…",
+  },
+  update: {
+    available: 'A new version of MediTranslate is available.',
+    reloadWarning: 'Reloading clears the current transcript unless session history is turned on.',
+    reload: 'Reload and update',
+    offlineReady: 'MediTranslate can now open without a connection.',
+  },
+  info: {
+    privacyTitle: 'Privacy & Security',
+    privacy: 'Names, dates, phone numbers and record numbers are masked before text is sent for translation. Nothing is stored unless you turn it on: session history keeps transcripts encrypted with your passphrase, and the translation cache keeps translations unencrypted, both on this device only.',
+    browserTitle: 'Best Experience',
+    browser: 'Optimized for Chrome, Edge, and Safari browsers. In Firefox, choose a Whisper server under Settings → Speech Recognition. Requires HTTPS or localhost with microphone permissions for voice input.',
+  },
+};
@@ -0,0 +1,442 @@
+export default {
+  app: {
+    tagline: 'Comunicación sanitaria asistida por IA',
+  },
+  common: {
+    add: 'Añadir',
+    cancel: 'Cancelar',
+    close: 'Cerrar',
+    dismiss: 'Descartar',
+    remove: 'Quitar {name}',
+    stop: 'Detener',
+  },
+  header: {
+    offline: 'Sin conexión',
+    history: 'Historial de sesiones',
+    sessionDetails: 'Datos de la sesión',
+    settings: 'Configuración',
+    settingsShortcut: 'Configuración (Ctrl+K)',
+    interfaceLanguage: 'Idioma de la interfaz',
+  },
+  speakers: {
+    clinician: 'Profesional',
+    patient: 'Paciente',
+    unattributed: 'Sin atribuir',
+  },
+  settings: {
+    title: 'Configuración de idiomas',
+    close: 'Cerrar configuración',
+    inputLanguage: '🎤 Idioma de entrada (habla)',
+    outputLanguage: '🔊 Idioma de salida (traducción)',
+    searchLanguages: 'Buscar idiomas',
+    searchLabel: 'Buscar: {label}',
+    noLanguages: 'Ningún idioma coincide con «{query}».',
+    swap: 'Intercambiar idiomas',
+    provider: {
+      title: 'Proveedor de traducción',
+      label: 'Proveedor de traducción',
+      hostProvided: 'Se usa {name} (definido por la aplicación anfitriona).',
+      serverUrl: 'URL del servidor',
+      apiKey: 'Clave de API (opcional)',
+      pairUnsupported: '{provider} no admite este par de idiomas.',
+      names: {
+        mymemory: 'MyMemory (API pública)',
+        libretranslate: 'Servidor compatible con LibreTranslate',
+        mock: 'Simulación local (sin conexión)',
+      },
+    },
+    recognition: {
+      title: 'Reconocimiento de voz',
+      label: 'Motor de reconocimiento de voz',
+      engines: {
+        webspeech: 'Reconocimiento de voz del navegador',
+        whisper: 'Servidor Whisper (autoalojado)',
+        local: 'Modelo en el navegador',
+      },
+      webSpeechNote: 'El audio se envía al servicio de voz del fabricante del navegador. No disponible en Firefox.',
+      endpoint: 'Punto de transcripción',
+      model: 'Modelo',
+      silence: 'Pausar la escucha cuando nadie habla',
+      silenceOptions: {
+        0: 'Nunca',
+        30: 'Tras 30 segundos',
+        60: 'Tras 1 minuto',
+        120: 'Tras 2 minutos',
+        300: 'Tras 5 minutos',
+      },
+      localNote: 'El audio se transcribe en este dispositivo y nunca sale del navegador.',
+      unsupported: 'Este motor no está disponible en este navegador.',
+    },
+    cache: {
+      title: 'Caché de traducciones',
+      keep: 'Guardar las traducciones en este dispositivo',
+      keepHint: 'Las frases repetidas se traducen al instante y siguen disponibles sin conexión. Las traducciones se guardan sin cifrar en este navegador, así que no lo active en equipos compartidos.',
+      clear: 'Vaciar caché',
+    },
+    confidence: {
+      title: 'Control de fiabilidad',
+      backTranslate: 'Retrotraducir cada segmento',
+      backTranslateHint: 'Traduce el resultado de vuelta al idioma de origen y puntúa cuánto se parece.',
+      hold: 'Retener la reproducción de traducciones poco fiables',
+      holdHint: 'Los segmentos no se leen en voz alta ni se muestran al paciente hasta que termina su control, y los marcados hasta que se revisan.',
+    },
+    captions: {
+      title: 'Subtítulos en directo',
+      provisional: 'Traducción provisional mientras se habla',
+      provisionalHint: 'Traduce el subtítulo en curso mientras la persona habla. Envía más solicitudes al proveedor de traducción.',
+    },
+    display: {
+      title: 'Pantalla',
+      highContrast: 'Alto contraste',
+      highContrastHint: 'Fondos sólidos, texto más oscuro y un contorno de foco marcado.',
+      largeText: 'Texto grande',
+      largeTextHint: 'Amplía todo el texto y los controles una cuarta parte.',
+    },
+    shortcuts: {
+      title: 'Atajos de teclado',
+      note: 'Los atajos se ignoran mientras se escribe en un campo de texto.',
+      actions: {
+        'push-to-talk': 'Mantener pulsado para hablar',
+        speak: 'Leer en voz alta la última traducción',
+        languages: 'Elegir idiomas',
+        close: 'Cerrar el cuadro de diálogo abierto',
+      },
+    },
+  },
+  tts: {
+    title: 'Salida de voz',
+    voiceFor: 'Voz para {language}',
+    automatic: 'Automática',
+    online: 'en línea',
+    noVoice: 'Este navegador no tiene voz para {language}; puede usarse una voz predeterminada.',
+    autoSpeak: 'Leer las traducciones automáticamente',
+    autoSpeakHint: 'Los segmentos nuevos se leen en orden en cuanto se traducen.',
+    rate: 'Velocidad',
+    pitch: 'Tono',
+    volume: 'Volumen',
+    test: 'Probar voz',
+  },
+  redaction: {
+    title: 'Enmascaramiento de identificadores',
+    enabled: 'Enmascarar identificadores antes de traducir',
+    enabledHint: 'Los nombres, fechas, teléfonos y números de historia se sustituyen por marcadores antes de enviar el texto al proveedor de traducción y se restauran en la traducción en este dispositivo.',
+    customPlaceholder: 'Enmascarar siempre, p. ej. el nombre del paciente',
+    customLabel: 'Término que se enmascara siempre',
+    rules: {
+      email: 'Correo electrónico',
+      ssn: 'Número de la seguridad social',
+      date: 'Fecha',
+      phone: 'Número de teléfono',
+      record: 'Número de historia',
+      number: 'Número largo',
+      name: 'Nombre',
+      custom: 'Término personalizado',
+    },
+    masked: {
+      one: '{count} enmascarado',
+      other: '{count} enmascarados',
+    },
+    maskedTitle: 'Enmascarado antes de traducir:',
+    notRestored: {
+      one: '{count} sin restaurar: revise la traducción',
+      other: '{count} sin restaurar: revise la traducción',
+    },
+  },
+  glossary: {
+    title: 'Glosario médico',
+    summary: {
+      zero: 'No hay términos integrados para {source} → {target}. Sus entradas tienen prioridad.',
+      one: '{count} término integrado se aplica a {source} → {target}. Sus entradas tienen prioridad.',
+      other: '{count} términos integrados se aplican a {source} → {target}. Sus entradas tienen prioridad.',
+    },
+    emptyHint: 'Deje la traducción vacía para mantener un término sin cambios.',
+    term: 'Término ({lang})',
+    approved: 'Traducción aprobada ({lang})',
+    keptAsIs: 'se mantiene igual',
+    tooltip: {
+      translated: 'Glosario: «{source}» → «{target}» ({origin})',
+      protected: 'Glosario: «{source}» se mantiene igual ({origin})',
+    },
+    origins: {
+      bundled: 'integrado',
+      custom: 'entrada propia',
+    },
+  },
+  offline: {
+    title: 'Sin conexión. La traducción automática en directo no está disponible.',
+    body: 'Las frases rápidas siguen funcionando, y también los mensajes escritos ya traducidos en esta sesión o guardados en este dispositivo.',
+    webSpeech: 'La entrada de voz necesita conexión con el servicio de voz del navegador.',
+  },
+  errors: {
+    playbackFailed: 'No se pudo reproducir el audio',
+    recordingStopped: 'La grabación se detuvo inesperadamente. Se conserva el audio capturado hasta ahora.',
+    historySaveFailed: 'No se pudo guardar esta sesión en el historial.',
+    heldForReview: 'Revise la traducción marcada como poco fiable antes de reproducirla al paciente.',
+    heldForCheck: 'Espere a que termine el control de fiabilidad antes de reproducir esta traducción al paciente.',
+    printBlocked: 'No se pudo abrir la ventana de impresión. Permita las ventanas emergentes para este sitio.',
+    recordingFailed: 'No se pudo iniciar la grabación. Permita el acceso al micrófono e inténtelo de nuevo.',
+    replayFailed: 'No se pudo reproducir la grabación.',
+  },
+  translationErrors: {
+    network: 'La traducción falló. Compruebe la conexión a internet e inténtelo de nuevo.',
+    unavailable: 'El servicio de traducción no está disponible. Inténtelo de nuevo en breve.',
+    'rate-limited': 'Se alcanzó el límite del servicio de traducción. Espere un momento e inténtelo de nuevo.',
+    'unsupported-pair': 'El proveedor de traducción seleccionado no admite este par de idiomas.',
+    'invalid-response': 'La traducción falló. El servicio devolvió una respuesta inesperada.',
+    aborted: 'Se canceló la traducción.',
+    offline: 'Sin conexión. Solo están disponibles las traducciones guardadas y las frases rápidas hasta que vuelva la conexión.',
+  },
+  recognition: {
+    paused: 'Escucha en pausa tras {duration} sin voz.',
+    minutes: '{count} min',
+    seconds: '{count} s',
+    resume: 'Reanudar',
+    reconnecting: 'Reconectando el reconocimiento de voz (intento {attempt})…',
+    howToFix: 'Cómo solucionarlo:',
+    tryAgain: 'Reintentar',
+    errors: {
+      'not-allowed': 'Acceso al micrófono denegado. Permita el acceso al micrófono en la configuración del navegador y recargue la página.',
+      'audio-capture': 'No se encontró ningún micrófono. Compruebe que hay uno conectado y que no lo usa otra aplicación.',
+      'no-speech': 'No se detectó voz. Inténtelo de nuevo.',
+      network: 'El reconocimiento de voz falló. No se pudo contactar con el servicio de reconocimiento.',
+      'language-not-supported': 'El motor de reconocimiento de voz seleccionado no admite este idioma.',
+      unsupported: 'Este navegador no admite el reconocimiento de voz',
+      unavailable: 'El servicio de reconocimiento de voz no está disponible. Inténtelo de nuevo en breve.',
+      'invalid-response': 'El reconocimiento de voz falló. El servicio devolvió una respuesta inesperada.',
+      aborted: 'Se canceló el reconocimiento de voz.',
+    },
+    guidance: {
+      'not-allowed': [
+        'Haga clic en el icono 🔒 o 🎤 de la barra de direcciones del navegador',
+        'Seleccione «Permitir» para el acceso al micrófono',
+        'Recargue la página e inténtelo de nuevo',
+      ],
+      'audio-capture': [
+        'Compruebe que el micrófono está conectado y no silenciado',
+        'Cierre otras aplicaciones que puedan estar usándolo, como videollamadas',
+        'Elija el dispositivo de entrada correcto en la configuración de sonido del sistema',
+      ],
+      'no-speech': [
+        'Acérquese al micrófono y hable con claridad',
+        'Compruebe que está seleccionado el micrófono correcto',
+      ],
+      network: [
+        'Compruebe la conexión a internet',
+        'Con un servidor Whisper, revise el punto de transcripción en Configuración',
+        'La escucha se reanuda automáticamente cuando se puede contactar con el servicio',
+      ],
+      'language-not-supported': [
+        'Elija otra variante del idioma en Configuración',
+        'O cambie a un servidor Whisper en Reconocimiento de voz',
+      ],
+      unsupported: [
+        'Use Chrome, Edge o Safari',
+        'O elija un servidor Whisper en Configuración → Reconocimiento de voz',
+      ],
+      unavailable: [
+        'Espere un momento y vuelva a pulsar el micrófono',
+        'Si sigue fallando, elija otro motor en Configuración → Reconocimiento de voz',
+      ],
+      'invalid-response': [
+        'Compruebe que el punto de transcripción en Configuración es una URL /v1/audio/transcriptions compatible con OpenAI',
+      ],
+    },
+  },
+  detection: {
+    soundsLike: 'Idioma probable: {language}',
+    confidence: '{percent} % de confianza',
+    use: 'Usar {language}',
+    pointToLanguage: 'Señalar el idioma',
+  },
+  controls: {
+    single: 'Un solo hablante',
+    conversation: 'Conversación',
+    detecting: 'Detectando el idioma del paciente…',
+    autoDetect: 'Detectar el idioma del paciente',
+    pointToLanguage: 'Señale su idioma',
+    patientView: 'Vista del paciente',
+    secondScreen: 'Abrir en una segunda pantalla',
+    startListening: 'Empezar a grabar',
+    stopListening: 'Dejar de grabar',
+    listenHint: 'Iniciar o detener la escucha (mantenga pulsado Espacio para hablar)',
+    live: 'EN DIRECTO',
+    clearAll: 'Borrar todo',
+  },
+  recording: {
+    record: 'Grabar',
+    recording: 'GRAB',
+    paused: 'EN PAUSA',
+    pause: 'Pausar la grabación',
+    resume: 'Reanudar la grabación',
+    stop: 'Detener la grabación',
+    playOriginal: 'Reproducir la voz original',
+    originalAudio: 'Audio original',
+    consent: {
+      title: '¿Grabar esta consulta?',
+      body: 'El audio se guarda en la memoria de este dispositivo, vinculado a la transcripción para poder volver a escuchar cada frase. No se sube ni se guarda en el historial de sesiones, y se elimina al borrar la sesión salvo que lo descargue.',
+      noQuestion: 'No hay una traducción validada al {language} de la pregunta de consentimiento. Pregunte al paciente mediante un intérprete profesional antes de grabar.',
+      readAloud: 'Leer en voz alta',
+      replaces: 'Iniciar una nueva grabación sustituye a la actual.',
+      patientAgreed: 'Se preguntó al paciente en su idioma y aceptó que se le grabe.',
+      clinicianAgreed: 'Acepto que se me grabe y trataré la grabación según nuestra política de datos.',
+      start: 'Iniciar la grabación',
+    },
+  },
+  transcript: {
+    original: 'Texto original',
+    translation: 'Traducción',
+    speak: 'Leer la traducción',
+    stopSpeaking: 'Dejar de leer',
+    speakShortcut: 'Leer la traducción (S)',
+    stopSpeakingShortcut: 'Dejar de leer (S)',
+    emptySource: 'Pulse «Empezar a grabar» para comenzar a hablar...',
+    emptyTranslation: 'La traducción aparecerá aquí...',
+    emptyConversation: 'Pulse el micrófono del profesional o del paciente para empezar la conversación...',
+    translating: 'Traduciendo...',
+    failed: 'La traducción falló: reintentar',
+    backTranslation: 'Retrotraducción:',
+    backTranslationTitle: 'Retrotraducción: {text}',
+    vettedPhrase: 'Frase verificada',
+    checking: 'Comprobando',
+    match: '{percent} % de coincidencia',
+    reviewed: 'Revisado',
+  },
+  composer: {
+    placeholder: 'Escriba un mensaje para traducir...',
+    label: 'Mensaje para traducir',
+    submit: 'Traducir',
+  },
+  phrases: {
+    categories: {
+      pain: 'Dolor',
+      allergies: 'Alergias',
+      exam: 'Exploración',
+      consent: 'Consentimiento',
+      general: 'General',
+      replies: 'Respuestas del paciente',
+    },
+    empty: 'Todavía no hay frases verificadas para este par de idiomas.',
+    unavailable: 'Las frases rápidas no están disponibles en {languages}: aún no hay traducciones validadas. Escriba o dicte el mensaje.',
+  },
+  export: {
+    button: 'Exportar',
+    print: 'Imprimir / Guardar como PDF',
+    formats: {
+      text: 'Texto sin formato (.txt)',
+      json: 'JSON estructurado (.json)',
+      html: 'Documento HTML (.html)',
+      vtt: 'Subtítulos WebVTT (.vtt)',
+    },
+    recording: 'Grabación + subtítulos (.vtt)',
+  },
+  history: {
+    title: 'Historial de sesiones',
+    close: 'Cerrar el historial',
+    save: 'Guardar las sesiones en este dispositivo',
+    saveHint: 'Las transcripciones se cifran con su frase de contraseña y nunca salen de este navegador.',
+    retention: 'Eliminar las sesiones tras',
+    retentionOptions: {
+      0: 'Conservar hasta eliminarlas',
+      1: '24 horas',
+      7: '7 días',
+      30: '30 días',
+      90: '90 días',
+    },
+    choosePassphrase: 'Elija una frase de contraseña para cifrar las sesiones guardadas.',
+    enterPassphrase: 'Introduzca su frase de contraseña para abrir las sesiones guardadas.',
+    passphrase: 'Frase de contraseña',
+    confirmPassphrase: 'Confirmar la frase de contraseña',
+    mismatch: 'Las frases de contraseña no coinciden.',
+    tooShort: 'Use al menos 8 caracteres.',
+    incorrect: 'Frase de contraseña incorrecta.',
+    setPassphrase: 'Definir frase de contraseña',
+    unlock: 'Desbloquear',
+    forgot: '¿Ha olvidado la frase de contraseña? Eliminar todas las sesiones guardadas',
+    confirmReset: '¿Eliminar todas las sesiones guardadas y la frase de contraseña? No se puede deshacer.',
+    search: 'Buscar en las transcripciones',
+    lock: 'Bloquear el historial',
+    noMatches: 'Ninguna sesión coincide con la búsqueda.',
+    empty: 'Todavía no hay sesiones guardadas.',
+    segments: {
+      one: '{count} segmento',
+      other: '{count} segmentos',
+    },
+    reopen: 'Reabrir la sesión',
+    delete: 'Eliminar la sesión',
+  },
+  session: {
+    title: 'Datos de la sesión',
+    close: 'Cerrar los datos de la sesión',
+    hint: 'Se incluyen en las transcripciones exportadas e impresas.',
+    fields: {
+      clinicianName: 'Nombre del profesional',
+      department: 'Servicio',
+      caseId: 'N.º de episodio o caso',
+    },
+    placeholders: {
+      clinicianName: 'p. ej., Dra. Rivera',
+      department: 'p. ej., Urgencias',
+      caseId: 'Como en la historia clínica',
+    },
+    interpreterDeclined: 'Se ofreció al paciente un intérprete profesional y lo rechazó',
+  },
+  audit: {
+    title: 'Registro de auditoría',
+    hint: 'Todo lo ocurrido en esta sesión, en orden. Las entradas no se pueden modificar ni eliminar.',
+    empty: 'Aún no hay nada registrado.',
+    purposes: {
+      segment: 'Traducción',
+      'back-translation': 'Retrotraducción',
+    },
+    events: {
+      listeningStarted: 'Escucha iniciada ({locale})',
+      listeningStartedFor: 'Escucha iniciada: {speaker} ({locale})',
+      listeningStopped: 'Escucha detenida',
+      listeningPaused: 'Escucha en pausa tras un silencio',
+      listeningFailed: 'Escucha detenida por un error ({error})',
+      inputLanguageChanged: 'Idioma de entrada cambiado de {from} a {to}',
+      outputLanguageChanged: 'Idioma de salida cambiado de {from} a {to}',
+      languagesSwapped: 'Idiomas intercambiados: {input} → {output}',
+      translation: '{purpose} {source} → {target} con {provider} en {latency} ms',
+      translationFailed: '{purpose} {source} → {target} con {provider} fallida tras {latency} ms ({error})',
+      translationCached: '{purpose} {source} → {target} desde la caché de traducciones (traducida antes con {origin})',
+      translationVetted: '{purpose} {source} → {target} de la lista de frases validadas',
+      speech: 'Traducción leída en voz alta en {language}',
+      speechAutomatic: 'Traducción leída automáticamente en {language}',
+      exported: 'Transcripción exportada: {format}',
+      cleared: {
+        one: 'Transcripción borrada ({count} segmento)',
+        other: 'Transcripción borrada ({count} segmentos)',
+      },
+      detailSet: '{field}: «{value}»',
+      detailCleared: '{field} borrado',
+      interpreterDeclined: 'Intérprete ofrecido y rechazado',
+      interpreterDeclinedWithdrawn: 'Rechazo del intérprete retirado',
+      sessionStarted: {
+        one: 'Nueva sesión iniciada tras borrar la anterior ({count} segmento)',
+        other: 'Nueva sesión iniciada tras borrar la anterior ({count} segmentos)',
+      },
+      reopened: 'Sesión guardada reabierta',
+    },
+  },
+  patientView: {
+    label: 'Vista del paciente',
+    rotate: 'Girar 180°',
+    close: 'Cerrar la vista del paciente',
+    reply: 'Responder',
+    stopReply: 'Dejar de responder',
+    waiting: 'Esperando la pantalla del profesional…',
+  },
+  update: {
+    available: 'Hay una nueva versión de MediTranslate disponible.',
+    reloadWarning: 'Al recargar se borra la transcripción actual, salvo que el historial de sesiones esté activado.',
+    reload: 'Recargar y actualizar',
+    offlineReady: 'MediTranslate ya puede abrirse sin conexión.',
+  },
+  info: {
+    privacyTitle: 'Privacidad y seguridad',
+    privacy: 'Los nombres, fechas, teléfonos y números de historia se enmascaran antes de enviar el texto para su traducción. No se guarda nada salvo que usted lo active: el historial de sesiones conserva las transcripciones cifradas con su frase de contraseña y la caché de traducciones guarda las traducciones sin cifrar, ambos solo en este dispositivo.',
+    browserTitle: 'Mejor experiencia',
+    browser: 'Optimizado para Chrome, Edge y Safari. En Firefox, elija un servidor Whisper en Configuración → Reconocimiento de voz. La entrada de voz requiere HTTPS o localhost y permiso de micrófono.',
+  },
+};
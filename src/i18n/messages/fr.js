@@ -0,0 +1,442 @@
+export default {
+  app: {
+    tagline: 'Communication médicale assistée par IA',
+  },
+  common: {
+    add: 'Ajouter',
+    cancel: 'Annuler',
+    close: 'Fermer',
+    dismiss: 'Ignorer',
+    remove: 'Retirer {name}',
+    stop: 'Arrêter',
+  },
+  header: {
+    offline: 'Hors ligne',
+    history: 'Historique des séances',
+    sessionDetails: 'Informations de séance',
+    settings: 'Paramètres',
+    settingsShortcut: 'Paramètres (Ctrl+K)',
+    interfaceLanguage: "Langue de l'interface",
+  },
+  speakers: {
+    clinician: 'Soignant',
+    patient: 'Patient',
+    unattributed: 'Non attribué',
+  },
+  settings: {
+    title: 'Paramètres de langue',
+    close: 'Fermer les paramètres',
+    inputLanguage: "🎤 Langue d'entrée (parole)",
+    outputLanguage: '🔊 Langue de sortie (traduction)',
+    searchLanguages: 'Rechercher une langue',
+    searchLabel: 'Rechercher : {label}',
+    noLanguages: 'Aucune langue ne correspond à « {query} ».',
+    swap: 'Inverser les langues',
+    provider: {
+      title: 'Service de traduction',
+      label: 'Service de traduction',
+      hostProvided: "{name} est utilisé (défini par l'application hôte).",
+      serverUrl: 'URL du serveur',
+      apiKey: 'Clé API (facultative)',
+      pairUnsupported: '{provider} ne prend pas en charge cette paire de langues.',
+      names: {
+        mymemory: 'MyMemory (API publique)',
+        libretranslate: 'Serveur compatible LibreTranslate',
+        mock: 'Simulation locale (hors ligne)',
+      },
+    },
+    recognition: {
+      title: 'Reconnaissance vocale',
+      label: 'Moteur de reconnaissance vocale',
+      engines: {
+        webspeech: 'Reconnaissance vocale du navigateur',
+        whisper: 'Serveur Whisper (auto-hébergé)',
+        local: 'Modèle dans le navigateur',
+      },
+      webSpeechNote: "L'audio est envoyé au service vocal de l'éditeur du navigateur. Non disponible dans Firefox.",
+      endpoint: 'Point de transcription',
+      model: 'Modèle',
+      silence: "Mettre l'écoute en pause quand personne ne parle",
+      silenceOptions: {
+        0: 'Jamais',
+        30: 'Après 30 secondes',
+        60: 'Après 1 minute',
+        120: 'Après 2 minutes',
+        300: 'Après 5 minutes',
+      },
+      localNote: "L'audio est transcrit sur cet appareil et ne quitte jamais le navigateur.",
+      unsupported: "Ce moteur n'est pas disponible dans ce navigateur.",
+    },
+    cache: {
+      title: 'Cache des traductions',
+      keep: 'Conserver les traductions sur cet appareil',
+      keepHint: "Les phrases répétées sont traduites instantanément et restent disponibles hors ligne. Les traductions sont enregistrées sans chiffrement dans ce navigateur : laissez cette option désactivée sur un appareil partagé.",
+      clear: 'Vider le cache',
+    },
+    confidence: {
+      title: 'Contrôle de fiabilité',
+      backTranslate: 'Rétrotraduire chaque segment',
+      backTranslateHint: 'Retraduit le résultat dans la langue source et évalue sa ressemblance avec l’original.',
+      hold: 'Bloquer la lecture des traductions peu fiables',
+      holdHint: "Les segments ne sont ni lus ni montrés au patient avant la fin de leur contrôle, et les segments signalés tant qu'ils n'ont pas été vérifiés.",
+    },
+    captions: {
+      title: 'Sous-titres en direct',
+      provisional: 'Traduction provisoire pendant la parole',
+      provisionalHint: "Traduit le sous-titre en cours pendant que la personne parle. Envoie davantage de requêtes au service de traduction.",
+    },
+    display: {
+      title: 'Affichage',
+      highContrast: 'Contraste élevé',
+      highContrastHint: 'Fonds unis, texte plus foncé et contour de focus marqué.',
+      largeText: 'Grand texte',
+      largeTextHint: "Agrandit d'un quart tout le texte et les commandes.",
+    },
+    shortcuts: {
+      title: 'Raccourcis clavier',
+      note: 'Les raccourcis sont ignorés pendant la saisie dans un champ de texte.',
+      actions: {
+        'push-to-talk': 'Maintenir pour parler',
+        speak: 'Lire la dernière traduction',
+        languages: 'Choisir les langues',
+        close: 'Fermer la boîte de dialogue ouverte',
+      },
+    },
+  },
+  tts: {
+    title: 'Sortie vocale',
+    voiceFor: 'Voix pour {language}',
+    automatic: 'Automatique',
+    online: 'en ligne',
+    noVoice: "Ce navigateur n'a pas de voix pour {language} ; une voix par défaut peut être utilisée.",
+    autoSpeak: 'Lire les traductions automatiquement',
+    autoSpeakHint: 'Les nouveaux segments sont lus dans l’ordre dès leur traduction.',
+    rate: 'Vitesse',
+    pitch: 'Hauteur',
+    volume: 'Volume',
+    test: 'Tester la voix',
+  },
+  redaction: {
+    title: 'Masquage des identifiants',
+    enabled: 'Masquer les identifiants avant la traduction',
+    enabledHint: "Les noms, dates, numéros de téléphone et numéros de dossier sont remplacés par des marqueurs avant l'envoi du texte au service de traduction, puis rétablis dans la traduction sur cet appareil.",
+    customPlaceholder: 'Toujours masquer, p. ex. le nom du patient',
+    customLabel: 'Terme à toujours masquer',
+    rules: {
+      email: 'Adresse e-mail',
+      ssn: 'Numéro de sécurité sociale',
+      date: 'Date',
+      phone: 'Numéro de téléphone',
+      record: 'Numéro de dossier',
+      number: 'Nombre long',
+      name: 'Nom',
+      custom: 'Terme personnalisé',
+    },
+    masked: {
+      one: '{count} masqué',
+      other: '{count} masqués',
+    },
+    maskedTitle: 'Masqué avant la traduction :',
+    notRestored: {
+      one: '{count} non rétabli — vérifiez la traduction',
+      other: '{count} non rétablis — vérifiez la traduction',
+    },
+  },
+  glossary: {
+    title: 'Glossaire médical',
+    summary: {
+      zero: "Aucun terme intégré pour {source} → {target}. Vos entrées sont prioritaires.",
+      one: "{count} terme intégré s'applique à {source} → {target}. Vos entrées sont prioritaires.",
+      other: "{count} termes intégrés s'appliquent à {source} → {target}. Vos entrées sont prioritaires.",
+    },
+    emptyHint: 'Laissez la traduction vide pour conserver un terme tel quel.',
+    term: 'Terme ({lang})',
+    approved: 'Traduction validée ({lang})',
+    keptAsIs: 'conservé tel quel',
+    tooltip: {
+      translated: 'Glossaire : « {source} » → « {target} » ({origin})',
+      protected: 'Glossaire : « {source} » conservé tel quel ({origin})',
+    },
+    origins: {
+      bundled: 'intégré',
+      custom: 'votre entrée',
+    },
+  },
+  offline: {
+    title: "Vous êtes hors ligne. La traduction automatique en direct n'est pas disponible.",
+    body: 'Les phrases rapides fonctionnent toujours, ainsi que les messages saisis déjà traduits pendant cette séance ou conservés sur cet appareil.',
+    webSpeech: 'La saisie vocale nécessite une connexion au service vocal du navigateur.',
+  },
+  errors: {
+    playbackFailed: "La lecture audio a échoué",
+    recordingStopped: "L'enregistrement s'est arrêté de façon inattendue. L'audio capturé jusqu'ici est conservé.",
+    historySaveFailed: "Impossible d'enregistrer cette séance dans l'historique.",
+    heldForReview: 'Vérifiez la traduction signalée comme peu fiable avant de la faire entendre au patient.',
+    heldForCheck: 'Attendez la fin du contrôle de fiabilité avant de faire entendre cette traduction au patient.',
+    printBlocked: "Impossible d'ouvrir la fenêtre d'impression. Autorisez les fenêtres contextuelles pour ce site.",
+    recordingFailed: "Impossible de démarrer l'enregistrement. Autorisez l'accès au micro et réessayez.",
+    replayFailed: "Impossible de lire l'enregistrement.",
+  },
+  translationErrors: {
+    network: 'La traduction a échoué. Vérifiez votre connexion internet et réessayez.',
+    unavailable: 'Service de traduction indisponible. Réessayez dans un instant.',
+    'rate-limited': 'Limite du service de traduction atteinte. Patientez un instant et réessayez.',
+    'unsupported-pair': "Cette paire de langues n'est pas prise en charge par le service de traduction choisi.",
+    'invalid-response': 'La traduction a échoué. Le service a renvoyé une réponse inattendue.',
+    aborted: 'La traduction a été annulée.',
+    offline: "Vous êtes hors ligne. Seules les traductions enregistrées et les phrases rapides sont disponibles jusqu'au retour de la connexion.",
+  },
+  recognition: {
+    paused: 'Écoute en pause après {duration} sans parole.',
+    minutes: '{count} min',
+    seconds: '{count} s',
+    resume: 'Reprendre',
+    reconnecting: 'Reconnexion de la reconnaissance vocale (tentative {attempt})…',
+    howToFix: 'Pour corriger :',
+    tryAgain: 'Réessayer',
+    errors: {
+      'not-allowed': "Accès au micro refusé. Autorisez l'accès au micro dans les paramètres du navigateur et rechargez la page.",
+      'audio-capture': "Aucun micro détecté. Vérifiez qu'un micro est branché et qu'aucune autre application ne l'utilise.",
+      'no-speech': "Aucune parole détectée. Réessayez.",
+      network: 'La reconnaissance vocale a échoué. Le service de reconnaissance est injoignable.',
+      'language-not-supported': "Cette langue n'est pas prise en charge par le moteur de reconnaissance vocale choisi.",
+      unsupported: "La reconnaissance vocale n'est pas prise en charge par ce navigateur",
+      unavailable: 'Service de reconnaissance vocale indisponible. Réessayez dans un instant.',
+      'invalid-response': 'La reconnaissance vocale a échoué. Le service a renvoyé une réponse inattendue.',
+      aborted: 'La reconnaissance vocale a été annulée.',
+    },
+    guidance: {
+      'not-allowed': [
+        "Cliquez sur l'icône 🔒 ou 🎤 dans la barre d'adresse du navigateur",
+        "Choisissez « Autoriser » pour l'accès au micro",
+        'Rechargez la page et réessayez',
+      ],
+      'audio-capture': [
+        "Vérifiez que le micro est branché et n'est pas coupé",
+        "Fermez les autres applications qui pourraient l'utiliser, comme les appels vidéo",
+        "Choisissez le bon périphérique d'entrée dans les réglages audio du système",
+      ],
+      'no-speech': [
+        'Rapprochez-vous du micro et parlez distinctement',
+        'Vérifiez que le bon micro est sélectionné',
+      ],
+      network: [
+        'Vérifiez la connexion internet',
+        'Avec un serveur Whisper, vérifiez le point de transcription dans les Paramètres',
+        "L'écoute reprend automatiquement dès que le service est joignable",
+      ],
+      'language-not-supported': [
+        'Choisissez une autre variante de la langue dans les Paramètres',
+        'Ou passez à un serveur Whisper dans Reconnaissance vocale',
+      ],
+      unsupported: [
+        'Utilisez Chrome, Edge ou Safari',
+        'Ou choisissez un serveur Whisper dans Paramètres → Reconnaissance vocale',
+      ],
+      unavailable: [
+        'Patientez un instant et appuyez de nouveau sur le micro',
+        "Si l'échec persiste, choisissez un autre moteur dans Paramètres → Reconnaissance vocale",
+      ],
+      'invalid-response': [
+        'Vérifiez que le point de transcription dans les Paramètres est une URL /v1/audio/transcriptions compatible OpenAI',
+      ],
+    },
+  },
+  detection: {
+    soundsLike: 'Langue probable : {language}',
+    confidence: 'fiabilité {percent} %',
+    use: 'Utiliser {language}',
+    pointToLanguage: 'Montrer la langue',
+  },
+  controls: {
+    single: 'Un seul interlocuteur',
+    conversation: 'Conversation',
+    detecting: 'Détection de la langue du patient…',
+    autoDetect: 'Détecter la langue du patient',
+    pointToLanguage: 'Montrez votre langue',
+    patientView: 'Vue patient',
+    secondScreen: 'Ouvrir sur un second écran',
+    startListening: "Démarrer l'enregistrement",
+    stopListening: "Arrêter l'enregistrement",
+    listenHint: "Démarrer ou arrêter l'écoute (maintenez Espace pour parler)",
+    live: 'EN DIRECT',
+    clearAll: 'Tout effacer',
+  },
+  recording: {
+    record: 'Enregistrer',
+    recording: 'REC',
+    paused: 'EN PAUSE',
+    pause: "Mettre l'enregistrement en pause",
+    resume: "Reprendre l'enregistrement",
+    stop: "Arrêter l'enregistrement",
+    playOriginal: 'Écouter la parole originale',
+    originalAudio: 'Audio original',
+    consent: {
+      title: 'Enregistrer cette consultation ?',
+      body: "L'audio est conservé en mémoire sur cet appareil, lié à la transcription pour pouvoir réécouter chaque phrase. Il n'est ni envoyé ni enregistré dans l'historique des séances, et il est supprimé quand vous effacez la séance, sauf si vous le téléchargez.",
+      noQuestion: "Aucune traduction validée en {language} de la question de consentement n'est disponible. Posez la question au patient par l'intermédiaire d'un interprète professionnel avant d'enregistrer.",
+      readAloud: 'Lire à voix haute',
+      replaces: "Démarrer un nouvel enregistrement remplace l'enregistrement actuel.",
+      patientAgreed: "Le patient a été interrogé dans sa langue et a accepté d'être enregistré.",
+      clinicianAgreed: "J'accepte d'être enregistré et traiterai l'enregistrement selon notre politique de données.",
+      start: "Démarrer l'enregistrement",
+    },
+  },
+  transcript: {
+    original: 'Texte original',
+    translation: 'Traduction',
+    speak: 'Lire la traduction',
+    stopSpeaking: 'Arrêter la lecture',
+    speakShortcut: 'Lire la traduction (S)',
+    stopSpeakingShortcut: 'Arrêter la lecture (S)',
+    emptySource: "Cliquez sur « Démarrer l'enregistrement » pour commencer à parler...",
+    emptyTranslation: 'La traduction apparaîtra ici...',
+    emptyConversation: 'Touchez le micro du soignant ou du patient pour commencer la conversation...',
+    translating: 'Traduction...',
+    failed: 'Échec de la traduction — réessayer',
+    backTranslation: 'Rétrotraduction :',
+    backTranslationTitle: 'Rétrotraduction : {text}',
+    vettedPhrase: 'Phrase validée',
+    checking: 'Vérification',
+    match: 'correspondance {percent} %',
+    reviewed: 'Vérifié',
+  },
+  composer: {
+    placeholder: 'Saisissez un message à traduire...',
+    label: 'Message à traduire',
+    submit: 'Traduire',
+  },
+  phrases: {
+    categories: {
+      pain: 'Douleur',
+      allergies: 'Allergies',
+      exam: 'Examen',
+      consent: 'Consentement',
+      general: 'Général',
+      replies: 'Réponses du patient',
+    },
+    empty: 'Pas encore de phrases validées pour cette paire de langues.',
+    unavailable: "Les phrases rapides ne sont pas disponibles en {languages} : il n'existe pas encore de traductions validées. Saisissez ou dictez le message.",
+  },
+  export: {
+    button: 'Exporter',
+    print: 'Imprimer / Enregistrer en PDF',
+    formats: {
+      text: 'Texte brut (.txt)',
+      json: 'JSON structuré (.json)',
+      html: 'Document HTML (.html)',
+      vtt: 'Sous-titres WebVTT (.vtt)',
+    },
+    recording: 'Enregistrement + sous-titres (.vtt)',
+  },
+  history: {
+    title: 'Historique des séances',
+    close: "Fermer l'historique",
+    save: 'Enregistrer les séances sur cet appareil',
+    saveHint: 'Les transcriptions sont chiffrées avec votre phrase secrète et ne quittent jamais ce navigateur.',
+    retention: 'Supprimer les séances après',
+    retentionOptions: {
+      0: "Conserver jusqu'à suppression",
+      1: '24 heures',
+      7: '7 jours',
+      30: '30 jours',
+      90: '90 jours',
+    },
+    choosePassphrase: 'Choisissez une phrase secrète pour chiffrer les séances enregistrées.',
+    enterPassphrase: 'Saisissez votre phrase secrète pour ouvrir les séances enregistrées.',
+    passphrase: 'Phrase secrète',
+    confirmPassphrase: 'Confirmer la phrase secrète',
+    mismatch: 'Les phrases secrètes ne correspondent pas.',
+    tooShort: 'Utilisez au moins 8 caractères.',
+    incorrect: 'Phrase secrète incorrecte.',
+    setPassphrase: 'Définir la phrase secrète',
+    unlock: 'Déverrouiller',
+    forgot: 'Phrase secrète oubliée ? Supprimer toutes les séances enregistrées',
+    confirmReset: 'Supprimer toutes les séances enregistrées et la phrase secrète ? Cette action est irréversible.',
+    search: 'Rechercher dans les transcriptions',
+    lock: "Verrouiller l'historique",
+    noMatches: 'Aucune séance ne correspond à votre recherche.',
+    empty: 'Aucune séance enregistrée pour le moment.',
+    segments: {
+      one: '{count} segment',
+      other: '{count} segments',
+    },
+    reopen: 'Rouvrir la séance',
+    delete: 'Supprimer la séance',
+  },
+  session: {
+    title: 'Informations de séance',
+    close: 'Fermer les informations de séance',
+    hint: 'Incluses dans les transcriptions exportées et imprimées.',
+    fields: {
+      clinicianName: 'Nom du soignant',
+      department: 'Service',
+      caseId: 'N° de séjour ou de dossier',
+    },
+    placeholders: {
+      clinicianName: 'ex. Dr Rivera',
+      department: 'ex. Urgences',
+      caseId: 'Comme dans le dossier patient',
+    },
+    interpreterDeclined: "Un interprète professionnel a été proposé au patient, qui l'a refusé",
+  },
+  audit: {
+    title: "Journal d'audit",
+    hint: "Tout ce qui s'est passé pendant cette séance, dans l'ordre. Les entrées ne peuvent être ni modifiées ni supprimées.",
+    empty: "Rien n'a encore été enregistré.",
+    purposes: {
+      segment: 'Traduction',
+      'back-translation': 'Rétrotraduction',
+    },
+    events: {
+      listeningStarted: 'Écoute démarrée ({locale})',
+      listeningStartedFor: 'Écoute démarrée : {speaker} ({locale})',
+      listeningStopped: 'Écoute arrêtée',
+      listeningPaused: 'Écoute en pause après un silence',
+      listeningFailed: 'Écoute arrêtée par une erreur ({error})',
+      inputLanguageChanged: "Langue d'entrée changée de {from} à {to}",
+      outputLanguageChanged: 'Langue de sortie changée de {from} à {to}',
+      languagesSwapped: 'Langues inversées : {input} → {output}',
+      translation: '{purpose} {source} → {target} par {provider} en {latency} ms',
+      translationFailed: '{purpose} {source} → {target} par {provider} échouée après {latency} ms ({error})',
+      translationCached: '{purpose} {source} → {target} depuis le cache des traductions (traduite auparavant par {origin})',
+      translationVetted: '{purpose} {source} → {target} depuis la liste de phrases validées',
+      speech: 'Traduction lue à voix haute en {language}',
+      speechAutomatic: 'Traduction lue automatiquement en {language}',
+      exported: 'Transcription exportée : {format}',
+      cleared: {
+        one: 'Transcription effacée ({count} segment)',
+        other: 'Transcription effacée ({count} segments)',
+      },
+      detailSet: '{field} : « {value} »',
+      detailCleared: '{field} effacé',
+      interpreterDeclined: 'Interprète proposé et refusé',
+      interpreterDeclinedWithdrawn: "Refus de l'interprète retiré",
+      sessionStarted: {
+        one: 'Nouvelle séance commencée après effacement de la précédente ({count} segment)',
+        other: 'Nouvelle séance commencée après effacement de la précédente ({count} segments)',
+      },
+      reopened: 'Séance enregistrée rouverte',
+    },
+  },
+  patientView: {
+    label: 'Vue patient',
+    rotate: 'Pivoter de 180°',
+    close: 'Fermer la vue patient',
+    reply: 'Répondre',
+    stopReply: 'Arrêter de répondre',
+    waiting: "En attente de l'écran du soignant…",
+  },
+  update: {
+    available: 'Une nouvelle version de MediTranslate est disponible.',
+    reloadWarning: "Le rechargement efface la transcription en cours, sauf si l'historique des séances est activé.",
+    reload: 'Recharger et mettre à jour',
+    offlineReady: "MediTranslate peut désormais s'ouvrir sans connexion.",
+  },
+  info: {
+    privacyTitle: 'Confidentialité et sécurité',
+    privacy: "Les noms, dates, numéros de téléphone et numéros de dossier sont masqués avant l'envoi du texte à traduire. Rien n'est conservé sans votre accord : l'historique des séances garde les transcriptions chiffrées avec votre phrase secrète, et le cache des traductions les garde sans chiffrement, uniquement sur cet appareil.",
+    browserTitle: 'Meilleure expérience',
+    browser: 'Optimisé pour Chrome, Edge et Safari. Dans Firefox, choisissez un serveur Whisper dans Paramètres → Reconnaissance vocale. La saisie vocale nécessite HTTPS ou localhost et l’autorisation du micro.',
+  },
+};
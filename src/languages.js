@@ -0,0 +1,58 @@
+// Language registry. Each entry keeps the codes the different engines need
+// apart: `recognition` is the Web Speech recognition locale, `mt` the code
+// sent to translation providers (and used by the glossary and phrase board),
+// `tts` the speech synthesis locale, and `dir` the script direction.
+const entries = [
+  { id: 'en-US', name: 'English (US)', nativeName: 'English', flag: '🇺🇸', recognition: 'en-US', mt: 'en', tts: 'en-US' },
+  { id: 'en-GB', name: 'English (UK)', nativeName: 'English', flag: '🇬🇧', recognition: 'en-GB', mt: 'en', tts: 'en-GB' },
+  { id: 'es-ES', name: 'Spanish (Spain)', nativeName: 'Español', flag: '🇪🇸', recognition: 'es-ES', mt: 'es', tts: 'es-ES' },
+  { id: 'es-MX', name: 'Spanish (Mexico)', nativeName: 'Español (México)', flag: '🇲🇽', recognition: 'es-MX', mt: 'es', tts: 'es-MX' },
+  { id: 'es-US', name: 'Spanish (US)', nativeName: 'Español (EE. UU.)', flag: '🇺🇸', recognition: 'es-US', mt: 'es', tts: 'es-US' },
+  { id: 'fr-FR', name: 'French', nativeName: 'Français', flag: '🇫🇷', recognition: 'fr-FR', mt: 'fr', tts: 'fr-FR' },
+  { id: 'fr-CA', name: 'French (Canada)', nativeName: 'Français (Canada)', flag: '🇨🇦', recognition: 'fr-CA', mt: 'fr', tts: 'fr-CA' },
+  { id: 'de-DE', name: 'German', nativeName: 'Deutsch', flag: '🇩🇪', recognition: 'de-DE', mt: 'de', tts: 'de-DE' },
+  { id: 'it-IT', name: 'Italian', nativeName: 'Italiano', flag: '🇮🇹', recognition: 'it-IT', mt: 'it', tts: 'it-IT' },
+  { id: 'pl-PL', name: 'Polish', nativeName: 'Polski', flag: '🇵🇱', recognition: 'pl-PL', mt: 'pl', tts: 'pl-PL' },
+  { id: 'pt-BR', name: 'Portuguese (Brazil)', nativeName: 'Português (Brasil)', flag: '🇧🇷', recognition: 'pt-BR', mt: 'pt', tts: 'pt-BR' },
+  { id: 'pt-PT', name: 'Portuguese (Portugal)', nativeName: 'Português (Portugal)', flag: '🇵🇹', recognition: 'pt-PT', mt: 'pt', tts: 'pt-PT' },
+  { id: 'ru-RU', name: 'Russian', nativeName: 'Русский', flag: '🇷🇺', recognition: 'ru-RU', mt: 'ru', tts: 'ru-RU' },
+  { id: 'ht-HT', name: 'Haitian Creole', nativeName: 'Kreyòl ayisyen', flag: '🇭🇹', recognition: 'ht-HT', mt: 'ht', tts: 'ht-HT' },
+  { id: 'so-SO', name: 'Somali', nativeName: 'Soomaali', flag: '🇸🇴', recognition: 'so-SO', mt: 'so', tts: 'so-SO' },
+  { id: 'ar-SA', name: 'Arabic', nativeName: 'العربية', flag: '🇸🇦', recognition: 'ar-SA', mt: 'ar', tts: 'ar-SA', dir: 'rtl' },
+  { id: 'ar-EG', name: 'Arabic (Egypt)', nativeName: 'العربية (مصر)', flag: '🇪🇬', recognition: 'ar-EG', mt: 'ar', tts: 'ar-EG', dir: 'rtl' },
+  { id: 'fa-IR', name: 'Persian (Farsi)', nativeName: 'فارسی', flag: '🇮🇷', recognition: 'fa-IR', mt: 'fa', tts: 'fa-IR', dir: 'rtl' },
+  { id: 'ur-PK', name: 'Urdu', nativeName: 'اردو', flag: '🇵🇰', recognition: 'ur-PK', mt: 'ur', tts: 'ur-PK', dir: 'rtl' },
+  { id: 'hi-IN', name: 'Hindi', nativeName: 'हिन्दी', flag: '🇮🇳', recognition: 'hi-IN', mt: 'hi', tts: 'hi-IN' },
+  { id: 'pa-IN', name: 'Punjabi', nativeName: 'ਪੰਜਾਬੀ', flag: '🇮🇳', recognition: 'pa-IN', mt: 'pa', tts: 'pa-IN' },
+  { id: 'bn-BD', name: 'Bengali', nativeName: 'বাংলা', flag: '🇧🇩', recognition: 'bn-BD', mt: 'bn', tts: 'bn-BD' },
+  { id: 'zh-CN', name: 'Chinese (Simplified)', nativeName: '中文（简体）', flag: '🇨🇳', recognition: 'zh-CN', mt: 'zh', tts: 'zh-CN' },
+  { id: 'zh-TW', name: 'Chinese (Traditional)', nativeName: '中文（繁體）', flag: '🇹🇼', recognition: 'zh-TW', mt: 'zh-TW', tts: 'zh-TW' },
+  { id: 'ja-JP', name: 'Japanese', nativeName: '日本語', flag: '🇯🇵', recognition: 'ja-JP', mt: 'ja', tts: 'ja-JP' },
+  { id: 'ko-KR', name: 'Korean', nativeName: '한국어', flag: '🇰🇷', recognition: 'ko-KR', mt: 'ko', tts: 'ko-KR' },
+  { id: 'vi-VN', name: 'Vietnamese', nativeName: 'Tiếng Việt', flag: '🇻🇳', recognition: 'vi-VN', mt: 'vi', tts: 'vi-VN' },
+  { id: 'tl-PH', name: 'Tagalog (Filipino)', nativeName: 'Tagalog', flag: '🇵🇭', recognition: 'fil-PH', mt: 'tl', tts: 'fil-PH' },
+];
+
+export const languages = Object.fromEntries(entries.map(entry => [entry.id, { dir: 'ltr', ...entry }]));
+
+export const languageList = Object.values(languages);
+
+export const defaultInputLang = 'en-US';
+export const defaultOutputLang = 'es-ES';
+
+export const getLanguage = (id) => languages[id] || languages[defaultInputLang];
+
+// First registry entry for a translation code, e.g. 'es' -> Spanish (Spain).
+export const languageForCode = (code) => languageList.find(language => language.mt === code);
+
+export const languageNameForCode = (code) => languageForCode(code)?.name || code;
+
+export const textDirection = (code) => languageForCode(code)?.dir || 'ltr';
+
+export const searchLanguages = (query) => {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return languageList;
+  return languageList.filter(language =>
+    [language.name, language.nativeName, language.id, language.mt].some(value => value.toLowerCase().includes(needle))
+  );
+};
@@ -0,0 +1,33 @@
+// Keeps a patient-facing window in sync with the clinician's window on the
+// same device. Messages:
+//   { type: 'state', state }  clinician -> patient, see patientViewState()
+//   { type: 'hello' }         patient -> clinician, asks for the current state
+//   { type: 'reply' }         patient -> clinician, toggles the patient's mic
+const CHANNEL_NAME = 'meditranslate.patient-view';
+
+export const isPatientChannelSupported = 'BroadcastChannel' in window;
+
+export const createPatientChannel = (onMessage) => {
+  if (!isPatientChannelSupported) {
+    return { post: () => {}, close: () => {} };
+  }
+  const channel = new BroadcastChannel(CHANNEL_NAME);
+  channel.onmessage = (event) => onMessage(event.data);
+  return {
+    post: (message) => channel.postMessage(message),
+    close: () => channel.close(),
+  };
+};
+
+export const isPatientWindow = () => new URLSearchParams(window.location.search).get('view') === 'patient';
+
+export const openPatientWindow = () =>
+  window.open(`${window.location.pathname}?view=patient`, 'meditranslate-patient', 'popup,width=1024,height=768');
+
+// Only plain data crosses the channel.
+export const patientViewState = ({ language, segment, listening, interim }) => ({
+  language: { mt: language.mt, name: language.name, nativeName: language.nativeName, flag: language.flag, dir: language.dir || 'ltr' },
+  message: segment ? { id: segment.id, text: segment.translatedText, lang: segment.targetLang } : null,
+  listening,
+  interim,
+});
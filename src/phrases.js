@@ -0,0 +1,376 @@
+import { normalizeText } from './providers';
+
+// Pre-vetted clinical phrases keyed by MT code. Every phrase has a vetted
+// translation for every language in `phraseLanguages`; languages still
+// waiting for one get no board rather than a partial one. Phrases in a
+// category marked `speaker: 'patient'` are replies, so they translate from
+// the patient's language.
+export const phraseLanguages = ['en', 'es', 'fr', 'de', 'it', 'pt', 'pl', 'ru', 'ar', 'ur', 'hi', 'zh', 'zh-TW', 'ja', 'ko', 'vi'];
+
+export const hasVettedPhrases = (code) => phraseLanguages.includes(code);
+
+export const phraseCategories = [
+  { id: 'pain', speaker: 'clinician' },
+  { id: 'allergies', speaker: 'clinician' },
+  { id: 'exam', speaker: 'clinician' },
+  { id: 'consent', speaker: 'clinician' },
+  { id: 'general', speaker: 'clinician' },
+  { id: 'replies', speaker: 'patient' },
+];
+
+export const phrases = [
+  {
+    id: 'pain-any',
+    category: 'pain',
+    text: {
+      en: 'Are you in pain?',
+      es: '¿Tiene dolor?',
+      fr: 'Avez-vous mal ?',
+      de: 'Haben Sie Schmerzen?',
+      zh: '您感到疼痛吗？',
+      ar: 'هل تشعر بألم؟',
+      hi: 'क्या आपको दर्द हो रहा है?',
+      pt: 'Você está com dor?',
+      ru: 'У вас что-нибудь болит?',
+      ja: '痛みはありますか？',
+      ko: '통증이 있으세요?',
+      vi: 'Bạn có bị đau không?',
+      pl: 'Czy odczuwa Pan/Pani ból?',
+      ur: 'کیا آپ کو درد ہو رہا ہے؟',
+      it: 'Ha dolore?',
+      'zh-TW': '您會痛嗎？',
+    },
+  },
+  {
+    id: 'pain-scale',
+    category: 'pain',
+    text: {
+      en: 'On a scale from 0 to 10, how bad is your pain?',
+      es: 'En una escala del 0 al 10, ¿qué tan fuerte es su dolor?',
+      fr: "Sur une échelle de 0 à 10, quelle est l'intensité de votre douleur ?",
+      de: 'Wie stark sind Ihre Schmerzen auf einer Skala von 0 bis 10?',
+      zh: '如果用0到10来衡量，您的疼痛有多严重？',
+      ar: 'على مقياس من 0 إلى 10، ما مدى شدة ألمك؟',
+      hi: '0 से 10 के पैमाने पर, आपका दर्द कितना तेज़ है?',
+      pt: 'Numa escala de 0 a 10, qual é a intensidade da sua dor?',
+      ru: 'Оцените свою боль по шкале от 0 до 10.',
+      ja: '0から10の段階で、痛みはどのくらいですか？',
+      ko: '0부터 10까지 중에서 통증이 어느 정도인가요?',
+      vi: 'Trên thang điểm từ 0 đến 10, bạn đau mức nào?',
+      pl: 'W skali od 0 do 10, jak silny jest ból?',
+      ur: '0 سے 10 کے پیمانے پر آپ کا درد کتنا شدید ہے؟',
+      it: 'Su una scala da 0 a 10, quanto è forte il dolore?',
+      'zh-TW': '如果用0到10來衡量，您的疼痛有多嚴重？',
+    },
+  },
+  {
+    id: 'pain-where',
+    category: 'pain',
+    text: {
+      en: 'Show me where it hurts.',
+      es: 'Muéstreme dónde le duele.',
+      fr: 'Montrez-moi où vous avez mal.',
+      de: 'Zeigen Sie mir, wo es wehtut.',
+      zh: '请指给我看哪里疼。',
+      ar: 'أرني أين يؤلمك.',
+      hi: 'मुझे दिखाइए कि दर्द कहाँ हो रहा है।',
+      pt: 'Mostre-me onde dói.',
+      ru: 'Покажите, где болит.',
+      ja: 'どこが痛いか指してください。',
+      ko: '어디가 아픈지 보여 주세요.',
+      vi: 'Hãy chỉ cho tôi chỗ bị đau.',
+      pl: 'Proszę pokazać, gdzie boli.',
+      ur: 'مجھے دکھائیں کہ درد کہاں ہے۔',
+      it: 'Mi mostri dove le fa male.',
+      'zh-TW': '請指給我看哪裡痛。',
+    },
+  },
+  {
+    id: 'allergies-any',
+    category: 'allergies',
+    text: {
+      en: 'Do you have any allergies?',
+      es: '¿Tiene alguna alergia?',
+      fr: 'Avez-vous des allergies ?',
+      de: 'Haben Sie Allergien?',
+      zh: '您有过敏吗？',
+      ar: 'هل لديك أي حساسية؟',
+      hi: 'क्या आपको किसी चीज़ से एलर्जी है?',
+      pt: 'Você tem alguma alergia?',
+      ru: 'У вас есть аллергия?',
+      ja: 'アレルギーはありますか？',
+      ko: '알레르기가 있으세요?',
+      vi: 'Bạn có bị dị ứng gì không?',
+      pl: 'Czy ma Pan/Pani jakieś alergie?',
+      ur: 'کیا آپ کو کسی چیز سے الرجی ہے؟',
+      it: 'Ha delle allergie?',
+      'zh-TW': '您有任何過敏嗎？',
+    },
+  },
+  {
+    id: 'allergies-medication',
+    category: 'allergies',
+    text: {
+      en: 'Are you allergic to any medication?',
+      es: '¿Es alérgico a algún medicamento?',
+      fr: 'Êtes-vous allergique à un médicament ?',
+      de: 'Sind Sie gegen ein Medikament allergisch?',
+      zh: '您对任何药物过敏吗？',
+      ar: 'هل لديك حساسية من أي دواء؟',
+      hi: 'क्या आपको किसी दवा से एलर्जी है?',
+      pt: 'Você é alérgico a algum medicamento?',
+      ru: 'У вас есть аллергия на какие-либо лекарства?',
+      ja: '薬に対するアレルギーはありますか？',
+      ko: '약물 알레르기가 있으세요?',
+      vi: 'Bạn có bị dị ứng với loại thuốc nào không?',
+      pl: 'Czy ma Pan/Pani alergię na jakieś leki?',
+      ur: 'کیا آپ کو کسی دوا سے الرجی ہے؟',
+      it: 'È allergico a qualche farmaco?',
+      'zh-TW': '您對任何藥物過敏嗎？',
+    },
+  },
+  {
+    id: 'exam-breath',
+    category: 'exam',
+    text: {
+      en: 'Please take a deep breath.',
+      es: 'Por favor, respire hondo.',
+      fr: "Respirez profondément, s'il vous plaît.",
+      de: 'Bitte atmen Sie tief ein.',
+      zh: '请深呼吸。',
+      ar: 'من فضلك خذ نفسًا عميقًا.',
+      hi: 'कृपया गहरी साँस लीजिए।',
+      pt: 'Por favor, respire fundo.',
+      ru: 'Пожалуйста, сделайте глубокий вдох.',
+      ja: '深く息を吸ってください。',
+      ko: '숨을 깊게 들이쉬세요.',
+      vi: 'Hãy hít thở sâu.',
+      pl: 'Proszę wziąć głęboki oddech.',
+      ur: 'براہ کرم گہری سانس لیں۔',
+      it: 'Faccia un respiro profondo, per favore.',
+      'zh-TW': '請深呼吸。',
+    },
+  },
+  {
+    id: 'exam-lie-down',
+    category: 'exam',
+    text: {
+      en: 'Please lie down on the bed.',
+      es: 'Por favor, acuéstese en la camilla.',
+      fr: "Allongez-vous sur le lit, s'il vous plaît.",
+      de: 'Bitte legen Sie sich auf die Liege.',
+      zh: '请躺到床上。',
+      ar: 'من فضلك استلقِ على السرير.',
+      hi: 'कृपया बिस्तर पर लेट जाइए।',
+      pt: 'Por favor, deite-se na maca.',
+      ru: 'Пожалуйста, лягте на кушетку.',
+      ja: 'ベッドに横になってください。',
+      ko: '침대에 누워 주세요.',
+      vi: 'Hãy nằm xuống giường.',
+      pl: 'Proszę położyć się na łóżku.',
+      ur: 'براہ کرم بستر پر لیٹ جائیں۔',
+      it: 'Si sdrai sul lettino, per favore.',
+      'zh-TW': '請躺到床上。',
+    },
+  },
+  {
+    id: 'exam-heart',
+    category: 'exam',
+    text: {
+      en: 'I am going to listen to your heart.',
+      es: 'Voy a escuchar su corazón.',
+      fr: 'Je vais écouter votre cœur.',
+      de: 'Ich werde jetzt Ihr Herz abhören.',
+      zh: '我要听一下您的心脏。',
+      ar: 'سأستمع إلى قلبك الآن.',
+      hi: 'अब आपके दिल की धड़कन सुनी जाएगी।',
+      pt: 'Vou auscultar o seu coração.',
+      ru: 'Сейчас я послушаю ваше сердце.',
+      ja: '心臓の音を聞きます。',
+      ko: '심장 소리를 들어 보겠습니다.',
+      vi: 'Tôi sẽ nghe tim của bạn.',
+      pl: 'Teraz osłucham serce.',
+      ur: 'اب آپ کے دل کی دھڑکن سنی جائے گی۔',
+      it: 'Adesso le ascolto il cuore.',
+      'zh-TW': '我現在要聽您的心跳。',
+    },
+  },
+  {
+    id: 'consent-understand',
+    category: 'consent',
+    text: {
+      en: 'Do you understand?',
+      es: '¿Entiende?',
+      fr: 'Comprenez-vous ?',
+      de: 'Verstehen Sie das?',
+      zh: '您明白吗？',
+      ar: 'هل تفهم؟',
+      hi: 'क्या आपको समझ आया?',
+      pt: 'Você entendeu?',
+      ru: 'Вам понятно?',
+      ja: 'おわかりになりましたか？',
+      ko: '이해하셨어요?',
+      vi: 'Bạn có hiểu không?',
+      pl: 'Czy to jest zrozumiałe?',
+      ur: 'کیا آپ کو سمجھ آیا؟',
+      it: 'Ha capito?',
+      'zh-TW': '您明白嗎？',
+    },
+  },
+  {
+    id: 'consent-procedure',
+    category: 'consent',
+    text: {
+      en: 'Do you agree to this procedure?',
+      es: '¿Está de acuerdo con este procedimiento?',
+      fr: 'Acceptez-vous cette intervention ?',
+      de: 'Sind Sie mit diesem Eingriff einverstanden?',
+      zh: '您同意进行这项操作吗？',
+      ar: 'هل توافق على هذا الإجراء؟',
+      hi: 'क्या इस प्रक्रिया के लिए आपकी सहमति है?',
+      pt: 'Você concorda com este procedimento?',
+      ru: 'Вы согласны на эту процедуру?',
+      ja: 'この処置に同意されますか？',
+      ko: '이 시술에 동의하십니까?',
+      vi: 'Bạn có đồng ý với thủ thuật này không?',
+      pl: 'Czy zgadza się Pan/Pani na ten zabieg?',
+      ur: 'کیا آپ اس طریقۂ کار کے لیے رضامند ہیں؟',
+      it: 'Acconsente a questa procedura?',
+      'zh-TW': '您同意進行這項處置嗎？',
+    },
+  },
+  {
+    id: 'consent-interpreter',
+    category: 'consent',
+    text: {
+      en: 'Would you like an interpreter?',
+      es: '¿Desea un intérprete?',
+      fr: 'Souhaitez-vous un interprète ?',
+      de: 'Möchten Sie einen Dolmetscher?',
+      zh: '您需要翻译员吗？',
+      ar: 'هل تريد مترجمًا؟',
+      hi: 'क्या आपको दुभाषिया चाहिए?',
+      pt: 'Você quer um intérprete?',
+      ru: 'Вам нужен переводчик?',
+      ja: '通訳が必要ですか？',
+      ko: '통역사가 필요하세요?',
+      vi: 'Bạn có muốn có thông dịch viên không?',
+      pl: 'Czy potrzebuje Pan/Pani tłumacza?',
+      ur: 'کیا آپ کو ترجمان چاہیے؟',
+      it: 'Desidera un interprete?',
+      'zh-TW': '您需要口譯員嗎？',
+    },
+  },
+  {
+    id: 'consent-recording',
+    category: 'consent',
+    text: {
+      en: 'May we record this conversation?',
+      es: '¿Podemos grabar esta conversación?',
+      fr: 'Pouvons-nous enregistrer cette conversation ?',
+      de: 'Dürfen wir dieses Gespräch aufnehmen?',
+      zh: '我们可以录下这次谈话吗？',
+      ar: 'هل يمكننا تسجيل هذه المحادثة؟',
+      hi: 'क्या हम इस बातचीत को रिकॉर्ड कर सकते हैं?',
+      pt: 'Podemos gravar esta conversa?',
+      ru: 'Можно записать этот разговор?',
+      ja: 'この会話を録音してもよろしいですか？',
+      ko: '이 대화를 녹음해도 될까요?',
+      vi: 'Chúng tôi có thể ghi âm cuộc trò chuyện này không?',
+      pl: 'Czy możemy nagrać tę rozmowę?',
+      ur: 'کیا ہم اس گفتگو کو ریکارڈ کر سکتے ہیں؟',
+      it: 'Possiamo registrare questa conversazione?',
+      'zh-TW': '我們可以錄下這段對話嗎？',
+    },
+  },
+  {
+    id: 'general-wait',
+    category: 'general',
+    text: {
+      en: 'Please wait here.',
+      es: 'Por favor, espere aquí.',
+      fr: 'Veuillez patienter ici.',
+      de: 'Bitte warten Sie hier.',
+      zh: '请在这里稍等。',
+      ar: 'من فضلك انتظر هنا.',
+      hi: 'कृपया यहाँ प्रतीक्षा कीजिए।',
+      pt: 'Por favor, aguarde aqui.',
+      ru: 'Пожалуйста, подождите здесь.',
+      ja: 'こちらでお待ちください。',
+      ko: '여기서 기다려 주세요.',
+      vi: 'Vui lòng đợi ở đây.',
+      pl: 'Proszę tu poczekać.',
+      ur: 'براہ کرم یہاں انتظار کریں۔',
+      it: 'Attenda qui, per favore.',
+      'zh-TW': '請在這裡稍候。',
+    },
+  },
+  {
+    id: 'general-doctor-soon',
+    category: 'general',
+    text: {
+      en: 'A doctor will see you soon.',
+      es: 'Un médico le atenderá pronto.',
+      fr: 'Un médecin va bientôt vous recevoir.',
+      de: 'Ein Arzt wird gleich zu Ihnen kommen.',
+      zh: '医生很快就会来看您。',
+      ar: 'سيراك الطبيب قريبًا.',
+      hi: 'डॉक्टर जल्द ही आपको देखेंगे।',
+      pt: 'Um médico vai atendê-lo em breve.',
+      ru: 'Врач скоро вас примет.',
+      ja: 'まもなく医師が診察します。',
+      ko: '곧 의사가 진료해 드릴 거예요.',
+      vi: 'Bác sĩ sẽ khám cho bạn ngay.',
+      pl: 'Lekarz wkrótce Pana/Panią przyjmie.',
+      ur: 'ڈاکٹر جلد ہی آپ کو دیکھیں گے۔',
+      it: 'Un medico la visiterà a breve.',
+      'zh-TW': '醫生很快就會來看您。',
+    },
+  },
+  {
+    id: 'replies-yes',
+    category: 'replies',
+    text: { en: 'Yes', es: 'Sí', fr: 'Oui', de: 'Ja', zh: '是的', ar: 'نعم', hi: 'हाँ', pt: 'Sim', ru: 'Да', ja: 'はい', ko: '네', vi: 'Có', pl: 'Tak', ur: 'جی ہاں', it: 'Sì', 'zh-TW': '是的' },
+  },
+  {
+    id: 'replies-no',
+    category: 'replies',
+    text: { en: 'No', es: 'No', fr: 'Non', de: 'Nein', zh: '不是', ar: 'لا', hi: 'नहीं', pt: 'Não', ru: 'Нет', ja: 'いいえ', ko: '아니요', vi: 'Không', pl: 'Nie', ur: 'نہیں', it: 'No', 'zh-TW': '不是' },
+  },
+  {
+    id: 'replies-not-understand',
+    category: 'replies',
+    text: {
+      en: "I don't understand.",
+      es: 'No entiendo.',
+      fr: 'Je ne comprends pas.',
+      de: 'Ich verstehe nicht.',
+      zh: '我不明白。',
+      ar: 'لا أفهم.',
+      hi: 'मुझे समझ नहीं आया।',
+      pt: 'Não entendo.',
+      ru: 'Я не понимаю.',
+      ja: 'わかりません。',
+      ko: '이해가 안 돼요.',
+      vi: 'Tôi không hiểu.',
+      pl: 'Nie rozumiem.',
+      ur: 'مجھے سمجھ نہیں آیا۔',
+      it: 'Non capisco.',
+      'zh-TW': '我不明白。',
+    },
+  },
+];
+
+export const phraseCategory = (phrase) => phraseCategories.find(category => category.id === phrase.category);
+
+// Typed or spoken text that exactly matches a vetted phrase uses its
+// translation, which also keeps these phrases working offline.
+const phraseKey = (text) => normalizeText(text).replace(/^[¿¡]+|[.?!。？！]+$/gu, '');
+
+export const findPhraseTranslation = (text, sourceLang, targetLang) => {
+  const needle = phraseKey(text);
+  const phrase = phrases.find(p =>
+    p.text[sourceLang] && p.text[targetLang] && phraseKey(p.text[sourceLang]) === needle
+  );
+  return phrase?.text[targetLang];
+};
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+import { languageList } from './languages';
+import { findPhraseTranslation, hasVettedPhrases, phraseLanguages, phrases } from './phrases';
+
+describe('phrases', () => {
+  it('have a vetted translation for every phrase language', () => {
+    phrases.forEach((phrase) => {
+      expect(Object.keys(phrase.text).sort(), phrase.id).toEqual([...phraseLanguages].sort());
+    });
+  });
+
+  it('only list languages from the registry', () => {
+    const codes = new Set(languageList.map(language => language.mt));
+    expect(phraseLanguages.filter(code => !codes.has(code))).toEqual([]);
+  });
+
+  it('tell languages waiting for vetted phrases apart', () => {
+    expect(hasVettedPhrases('zh-TW')).toBe(true);
+    expect(hasVettedPhrases('so')).toBe(false);
+  });
+
+  it('match typed text to a vetted translation', () => {
+    expect(findPhraseTranslation('please take a deep breath', 'en', 'it')).toBe('Faccia un respiro profondo, per favore.');
+    expect(findPhraseTranslation('please take a deep breath', 'en', 'so')).toBeUndefined();
+  });
+});
@@ -0,0 +1,74 @@
+// LRU cache of translations keyed by provider, language pair and text. A Map
+// keeps insertion order, so the first key is always the least recently used.
+const STORAGE_KEY = 'meditranslate.translationCache';
+
+const collapseWhitespace = (text) => text.normalize('NFC').trim().replace(/\s+/g, ' ');
+
+export const normalizeText = (text) => collapseWhitespace(text).toLowerCase();
+
+// The scope names the provider and its endpoint, so switching providers never
+// serves another one's output. Case is kept: "SOB" and "sob" differ.
+export const cacheKey = (scope, text, source, target) => `${scope}|${source}|${target}|${collapseWhitespace(text)}`;
+
+export const createTranslationCache = ({ capacity = 500, persistent = false } = {}) => {
+  const entries = new Map();
+  let isPersistent = persistent;
+
+  const persist = () => {
+    if (!isPersistent) return;
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify([...entries]));
+    } catch {
+      // Quota exceeded or storage disabled: the in-memory cache still works.
+    }
+  };
+
+  if (isPersistent) {
+    try {
+      (JSON.parse(localStorage.getItem(STORAGE_KEY)) || [])
+        .slice(-capacity)
+        .forEach(([key, value]) => entries.set(key, value));
+    } catch {
+      // Ignore a corrupt cache and start empty.
+    }
+  }
+
+  return {
+    get(scope, text, source, target) {
+      const key = cacheKey(scope, text, source, target);
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+
+    set(scope, text, source, target, value) {
+      const key = cacheKey(scope, text, source, target);
+      entries.delete(key);
+      entries.set(key, value);
+      while (entries.size > capacity) {
+        entries.delete(entries.keys().next().value);
+      }
+      persist();
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    setPersistent(value) {
+      isPersistent = value;
+      if (value) {
+        persist();
+      } else {
+        localStorage.removeItem(STORAGE_KEY);
+      }
+    },
+
+    clear() {
+      entries.clear();
+      localStorage.removeItem(STORAGE_KEY);
+    },
+  };
+};
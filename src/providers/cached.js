@@ -0,0 +1,63 @@
+import { cacheKey } from './cache';
+import { offlineError } from './errors';
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+// Wraps a provider with the translation cache and de-duplicates identical
+// in-flight requests. A shared request is only aborted once every caller
+// waiting on it has aborted. Entries remember which provider produced them,
+// and onCacheHit(providerId) tells the caller when one answers a request.
+export const createCachedProvider = (provider, cache) => {
+  const inFlight = new Map();
+  const scope = provider.endpoint ? `${provider.id}@${provider.endpoint}` : provider.id;
+
+  const request = (key, text, source, target) => {
+    const controller = new AbortController();
+    const entry = { controller, waiting: 0 };
+    entry.promise = provider
+      .translate(text, source, target, { signal: controller.signal })
+      .then((translation) => {
+        cache.set(scope, text, source, target, { text: translation, provider: provider.id });
+        return translation;
+      })
+      .finally(() => {
+        if (inFlight.get(key) === entry) inFlight.delete(key);
+      });
+    inFlight.set(key, entry);
+    return entry;
+  };
+
+  return {
+    ...provider,
+
+    translate: (text, source, target, { signal, onCacheHit } = {}) => {
+      const cached = cache.get(scope, text, source, target);
+      if (cached !== undefined) {
+        onCacheHit?.(cached.provider);
+        return Promise.resolve(cached.text);
+      }
+      if (!navigator.onLine) return Promise.reject(offlineError(provider.id));
+      if (signal?.aborted) return Promise.reject(abortError());
+
+      const key = cacheKey(scope, text, source, target);
+      const entry = inFlight.get(key) || request(key, text, source, target);
+      entry.waiting += 1;
+
+      return new Promise((resolve, reject) => {
+        const onAbort = () => {
+          entry.waiting -= 1;
+          if (entry.waiting === 0) {
+            inFlight.delete(key);
+            entry.controller.abort();
+          }
+          reject(abortError());
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        entry.promise.then(resolve, reject).finally(() => {
+          signal?.removeEventListener('abort', onAbort);
+        });
+      });
+    },
+  };
+};
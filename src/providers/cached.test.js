@@ -0,0 +1,51 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createTranslationCache } from './cache';
+import { createCachedProvider } from './cached';
+
+const fakeProvider = (id, fields = {}) => ({
+  id,
+  name: id,
+  translate: vi.fn(async (text, source, target) => `${id}:${target}:${text}`),
+  ...fields,
+});
+
+describe('createCachedProvider', () => {
+  it('answers repeated requests from the cache', async () => {
+    const provider = fakeProvider('mymemory');
+    const cached = createCachedProvider(provider, createTranslationCache({ persistent: false }));
+
+    await cached.translate('My back hurts', 'en', 'es');
+    expect(await cached.translate('My  back hurts ', 'en', 'es')).toBe('mymemory:es:My back hurts');
+    expect(provider.translate).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports which provider produced a cached answer', async () => {
+    const cache = createTranslationCache({ persistent: false });
+    const cached = createCachedProvider(fakeProvider('mymemory'), cache);
+    const onCacheHit = vi.fn();
+
+    await cached.translate('Pain', 'en', 'es', { onCacheHit });
+    expect(onCacheHit).not.toHaveBeenCalled();
+    await cached.translate('Pain', 'en', 'es', { onCacheHit });
+    expect(onCacheHit).toHaveBeenCalledWith('mymemory');
+  });
+
+  it('never serves another provider or endpoint its entries', async () => {
+    const cache = createTranslationCache({ persistent: false });
+    await createCachedProvider(fakeProvider('mock'), cache).translate('Pain', 'en', 'es');
+    await createCachedProvider(fakeProvider('libretranslate', { endpoint: 'http://a' }), cache).translate('Pain', 'en', 'es');
+
+    const other = fakeProvider('libretranslate', { endpoint: 'http://b' });
+    expect(await createCachedProvider(other, cache).translate('Pain', 'en', 'es')).toBe('libretranslate:es:Pain');
+    expect(other.translate).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps case apart so abbreviations are not confused', async () => {
+    const provider = fakeProvider('mymemory');
+    const cached = createCachedProvider(provider, createTranslationCache({ persistent: false }));
+
+    await cached.translate('SOB', 'en', 'es');
+    expect(await cached.translate('sob', 'en', 'es')).toBe('mymemory:es:sob');
+    expect(provider.translate).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,45 @@
+// Every provider rejects with a TranslationError so the UI can show one
+// consistent message regardless of which backend is configured.
+export class TranslationError extends Error {
+  constructor(code, message, { provider, cause } = {}) {
+    super(message);
+    this.name = 'TranslationError';
+    this.code = code;
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+const messages = {
+  network: 'Translation failed. Please check your internet connection and try again.',
+  unavailable: 'Translation service unavailable. Please try again shortly.',
+  'rate-limited': 'Translation service limit reached. Please wait a moment and try again.',
+  'unsupported-pair': 'This language pair is not supported by the selected translation provider.',
+  'invalid-response': 'Translation failed. The service returned an unexpected response.',
+  aborted: 'Translation was cancelled.',
+  offline: "You're offline. Only saved translations and quick phrases are available until the connection returns.",
+};
+
+export const normalizeError = (err, provider) => {
+  if (err instanceof TranslationError) return err;
+  if (err?.name === 'AbortError') {
+    return new TranslationError('aborted', messages.aborted, { provider, cause: err });
+  }
+  // fetch rejects with a TypeError when the request never reaches the server
+  if (err instanceof TypeError) {
+    return new TranslationError('network', messages.network, { provider, cause: err });
+  }
+  return new TranslationError('unavailable', messages.unavailable, { provider, cause: err });
+};
+
+export const errorForStatus = (status, provider) => {
+  if (status === 429) return new TranslationError('rate-limited', messages['rate-limited'], { provider });
+  if (status === 400) return new TranslationError('unsupported-pair', messages['unsupported-pair'], { provider });
+  return new TranslationError('unavailable', messages.unavailable, { provider });
+};
+
+export const invalidResponse = (provider) =>
+  new TranslationError('invalid-response', messages['invalid-response'], { provider });
+
+export const offlineError = (provider) =>
+  new TranslationError('offline', messages.offline, { provider });
@@ -0,0 +1,45 @@
+import { createMyMemoryProvider } from './mymemory';
+import { createLibreTranslateProvider } from './libretranslate';
+import { createMockProvider } from './mock';
+
+export { TranslationError } from './errors';
+export { createTranslationCache, normalizeText } from './cache';
+export { createCachedProvider } from './cached';
+
+// A translation provider implements:
+//   id, name
+//   endpoint  (optional: the server URL, when it decides what comes back)
+//   translate(text, source, target, { signal }) -> Promise<string>
+//   listLanguagePairs() -> Promise<[source, target][] | null>  (null = any pair)
+//   normalizeError(err) -> TranslationError
+export const providerNames = {
+  mymemory: 'MyMemory (public API)',
+  libretranslate: 'LibreTranslate-compatible server',
+  mock: 'Local mock (offline)',
+};
+
+const env = import.meta.env;
+
+export const defaultProviderConfig = {
+  id: providerNames[env.VITE_TRANSLATION_PROVIDER] ? env.VITE_TRANSLATION_PROVIDER : 'mymemory',
+  libreTranslateUrl: env.VITE_LIBRETRANSLATE_URL || 'http://localhost:5000',
+  libreTranslateApiKey: env.VITE_LIBRETRANSLATE_API_KEY || '',
+  myMemoryEmail: env.VITE_MYMEMORY_EMAIL || '',
+};
+
+export const createProvider = (config = defaultProviderConfig) => {
+  switch (config.id) {
+    case 'libretranslate':
+      return createLibreTranslateProvider({ url: config.libreTranslateUrl, apiKey: config.libreTranslateApiKey });
+    case 'mock':
+      return createMockProvider();
+    default:
+      return createMyMemoryProvider({ email: config.myMemoryEmail || undefined });
+  }
+};
+
+export const isPairSupported = async (provider, source, target) => {
+  const pairs = await provider.listLanguagePairs();
+  if (!pairs) return true;
+  return pairs.some(([s, t]) => s === source && t === target);
+};
@@ -0,0 +1,57 @@
+import { errorForStatus, invalidResponse, normalizeError } from './errors';
+
+// Any server speaking the LibreTranslate HTTP API, e.g. a self-hosted
+// instance inside the hospital network.
+export const createLibreTranslateProvider = ({ url = 'http://localhost:5000', apiKey } = {}) => {
+  const id = 'libretranslate';
+  const baseUrl = url.replace(/\/+$/, '');
+  let pairsPromise = null;
+
+  const loadPairs = async () => {
+    const response = await fetch(`${baseUrl}/languages`);
+    if (!response.ok) {
+      throw errorForStatus(response.status, id);
+    }
+    const languages = await response.json();
+    if (!Array.isArray(languages)) {
+      throw invalidResponse(id);
+    }
+    return languages.flatMap(({ code, targets = [] }) =>
+      targets.filter(t => t !== code).map(target => [code, target])
+    );
+  };
+
+  return {
+    id,
+    name: 'LibreTranslate',
+    endpoint: baseUrl,
+    listLanguagePairs: () => {
+      if (!pairsPromise) {
+        pairsPromise = loadPairs().catch((err) => {
+          pairsPromise = null;
+          throw normalizeError(err, id);
+        });
+      }
+      return pairsPromise;
+    },
+    normalizeError: (err) => normalizeError(err, id),
+
+    translate: async (text, source, target, { signal } = {}) => {
+      const response = await fetch(`${baseUrl}/translate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ q: text, source, target, format: 'text', ...(apiKey && { api_key: apiKey }) }),
+        signal,
+      });
+      if (!response.ok) {
+        throw errorForStatus(response.status, id);
+      }
+
+      const data = await response.json();
+      if (typeof data?.translatedText !== 'string') {
+        throw invalidResponse(id);
+      }
+      return data.translatedText;
+    },
+  };
+};
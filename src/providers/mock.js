@@ -0,0 +1,33 @@
+import { TranslationError, normalizeError } from './errors';
+
+// Offline provider for development and tests: tags the text with the target
+// language instead of translating it, so output is deterministic.
+export const createMockProvider = ({ delay = 150, failWith, pairs = null } = {}) => {
+  const id = 'mock';
+
+  return {
+    id,
+    name: 'Local mock (offline)',
+    listLanguagePairs: async () => pairs,
+    normalizeError: (err) => normalizeError(err, id),
+
+    translate: (text, source, target, { signal } = {}) =>
+      new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+          reject(new DOMException('Aborted', 'AbortError'));
+          return;
+        }
+        const timer = setTimeout(() => {
+          if (failWith) {
+            reject(new TranslationError(failWith, `Mock translation failed (${failWith})`, { provider: id }));
+          } else {
+            resolve(`[${target}] ${text}`);
+          }
+        }, delay);
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new DOMException('Aborted', 'AbortError'));
+        });
+      }),
+  };
+};
@@ -0,0 +1,34 @@
+import { errorForStatus, invalidResponse, normalizeError } from './errors';
+
+// MyMemory Translation API (free, no API key required)
+export const createMyMemoryProvider = ({ url = 'https://api.mymemory.translated.net', email } = {}) => {
+  const id = 'mymemory';
+
+  return {
+    id,
+    name: 'MyMemory',
+    endpoint: url,
+    // MyMemory accepts any ISO 639-1 pair, so there is nothing to restrict.
+    listLanguagePairs: async () => null,
+    normalizeError: (err) => normalizeError(err, id),
+
+    translate: async (text, source, target, { signal } = {}) => {
+      const params = new URLSearchParams({ q: text, langpair: `${source}|${target}` });
+      if (email) params.set('de', email);
+
+      const response = await fetch(`${url}/get?${params}`, { signal });
+      if (!response.ok) {
+        throw errorForStatus(response.status, id);
+      }
+
+      const data = await response.json();
+      if (data.responseStatus === 429) {
+        throw errorForStatus(429, id);
+      }
+      if (data.responseStatus !== 200 || !data.responseData) {
+        throw invalidResponse(id);
+      }
+      return data.responseData.translatedText;
+    },
+  };
+};
@@ -0,0 +1,169 @@
+// Encounter audio recording. Audio stays in memory on this device; segment
+// offsets are milliseconds of recorded audio, so time spent paused is skipped.
+export const isRecordingSupported = 'MediaRecorder' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+const mimeTypes = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
+export const recordingExtension = (mimeType = '') => {
+  if (mimeType.includes('ogg')) return 'ogg';
+  if (mimeType.includes('mp4')) return 'm4a';
+  return 'webm';
+};
+
+// status: 'idle' | 'recording' | 'paused' | 'stopped'
+export const createEncounterRecorder = ({ onChange, onError } = {}) => {
+  let stream = null;
+  let recorder = null;
+  let chunks = [];
+  let status = 'idle';
+  let startedAt = null;
+  let stoppedAt = null;
+  // Closed pauses as [from, to] wall-clock pairs, plus the one in progress.
+  let pauses = [];
+  let pausedAt = null;
+  let url = null;
+
+  const setStatus = (next) => {
+    status = next;
+    onChange?.(status);
+  };
+
+  const releaseStream = () => {
+    stream?.getTracks().forEach(track => track.stop());
+    stream = null;
+  };
+
+  const pausedBefore = (timestamp) =>
+    pauses.reduce((total, [from, to]) => total + Math.max(0, Math.min(to, timestamp) - from), 0) +
+    (pausedAt !== null && timestamp > pausedAt ? timestamp - pausedAt : 0);
+
+  // Offset of a wall-clock timestamp into the recording, or null when the
+  // recorder was not running at that moment.
+  const offsetAt = (timestamp) => {
+    if (startedAt === null || timestamp < startedAt || (stoppedAt !== null && timestamp > stoppedAt)) return null;
+    return timestamp - startedAt - pausedBefore(timestamp);
+  };
+
+  return {
+    get status() {
+      return status;
+    },
+
+    start: async () => {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+      const mimeType = mimeTypes.find(type => MediaRecorder.isTypeSupported(type));
+      recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+      chunks = [];
+      pauses = [];
+      pausedAt = null;
+      recorder.ondataavailable = (event) => {
+        if (event.data.size) chunks.push(event.data);
+      };
+      recorder.onerror = (event) => onError?.(event.error || event);
+      // Chunks every second keep the recording replayable while it grows.
+      recorder.start(1000);
+      startedAt = Date.now();
+      stoppedAt = null;
+      setStatus('recording');
+    },
+
+    pause: () => {
+      if (status !== 'recording') return;
+      recorder.pause();
+      pausedAt = Date.now();
+      setStatus('paused');
+    },
+
+    resume: () => {
+      if (status !== 'paused') return;
+      recorder.resume();
+      pauses.push([pausedAt, Date.now()]);
+      pausedAt = null;
+      setStatus('recording');
+    },
+
+    stop: () => new Promise((resolve) => {
+      if (status !== 'recording' && status !== 'paused') {
+        resolve();
+        return;
+      }
+      stoppedAt = Date.now();
+      if (pausedAt !== null) {
+        pauses.push([pausedAt, stoppedAt]);
+        pausedAt = null;
+      }
+      recorder.addEventListener('stop', () => {
+        releaseStream();
+        setStatus('stopped');
+        resolve();
+      }, { once: true });
+      recorder.stop();
+    }),
+
+    offsetAt,
+
+    // Offsets for speech heard between two timestamps; the start is clamped
+    // to the beginning of the recording.
+    spanOf: (from, to) => {
+      const end = offsetAt(to);
+      if (end === null) return null;
+      return { start: Math.max(0, offsetAt(from) ?? 0), end };
+    },
+
+    isCapturing: () => status === 'recording',
+
+    hasAudio: () => chunks.length > 0,
+
+    blob: () => new Blob(chunks, { type: recorder?.mimeType || 'audio/webm' }),
+
+    // Object URL for playback; rebuilt when more audio has arrived.
+    url: () => {
+      if (url?.chunkCount !== chunks.length) {
+        if (url) URL.revokeObjectURL(url.href);
+        url = { href: URL.createObjectURL(new Blob(chunks, { type: recorder?.mimeType || 'audio/webm' })), chunkCount: chunks.length };
+      }
+      return url.href;
+    },
+
+    discard: () => {
+      if (recorder && recorder.state !== 'inactive') {
+        recorder.ondataavailable = null;
+        recorder.stop();
+      }
+      releaseStream();
+      if (url) URL.revokeObjectURL(url.href);
+      url = null;
+      recorder = null;
+      chunks = [];
+      pauses = [];
+      pausedAt = null;
+      startedAt = null;
+      stoppedAt = null;
+      setStatus('idle');
+    },
+  };
+};
+
+// Plays [start, end] milliseconds of a recording through one shared element.
+export const createClipPlayer = ({ onChange } = {}) => {
+  const audio = new Audio();
+  let end = null;
+
+  audio.addEventListener('timeupdate', () => {
+    if (end !== null && audio.currentTime * 1000 >= end) {
+      audio.pause();
+    }
+  });
+  audio.addEventListener('play', () => onChange?.(true));
+  audio.addEventListener('pause', () => onChange?.(false));
+
+  return {
+    play: (src, start, clipEnd) => {
+      if (audio.src !== src) audio.src = src;
+      end = clipEnd;
+      audio.currentTime = start / 1000;
+      return audio.play();
+    },
+    stop: () => audio.pause(),
+  };
+};
@@ -0,0 +1,121 @@
+// Masks identifiers (names, dates, phone numbers, record numbers...) before
+// text is sent to a translation provider, and puts them back afterwards.
+const STORAGE_KEY = 'meditranslate.redaction';
+
+const months = [
+  'january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december',
+  'enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre',
+  'janvier', 'février', 'mars', 'avril', 'mai', 'juin', 'juillet', 'août', 'septembre', 'octobre', 'novembre', 'décembre',
+  'januar', 'februar', 'märz', 'april', 'mai', 'juni', 'juli', 'august', 'september', 'oktober', 'november', 'dezember',
+].join('|');
+
+const nameIntros = [
+  '[Mm]y name is', "[Ii]'m called", '[Mm]e llamo', '[Mm]i nombre es', "[Jj]e m'appelle", '[Mm]on nom est',
+  '[Ii]ch heiße', '[Mm]ein [Nn]ame ist', '[Mm]eu nome é', '[Cc]hamo-me',
+].join('|');
+
+const titles = 'Mr|Mrs|Ms|Miss|Dr|Sr|Sra|Srta|Mme|Mlle|M|Herr|Frau';
+
+// Applied in order; earlier rules win where matches overlap. A named group
+// `value` limits the mask to part of the match, e.g. the name after
+// "my name is".
+export const redactionRules = [
+  { id: 'email', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+  { id: 'ssn', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+  {
+    id: 'date',
+    pattern: new RegExp(
+      [
+        '\\b\\d{4}-\\d{1,2}-\\d{1,2}\\b',
+        '\\b\\d{1,2}[/.-]\\d{1,2}[/.-]\\d{2,4}\\b',
+        `\\b\\d{1,2}(?:st|nd|rd|th|er)?\\.?\\s+(?:de\\s+)?(?:${months})(?:,?\\s+(?:de\\s+)?\\d{4})?(?![\\p{L}])`,
+        `\\b(?:${months})\\s+\\d{1,2}(?:st|nd|rd|th)?(?:,?\\s+\\d{4})?\\b`,
+      ].join('|'),
+      'giu'
+    ),
+  },
+  {
+    id: 'phone',
+    pattern: /(?<![\w/])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\d{2,4}[\s.-])\d{3,4}[\s.-]?\d{3,4}(?![\w/])/g,
+  },
+  {
+    id: 'record',
+    pattern: /\b(?:MRN|NHS|ID|[Mm]edical record(?: number)?|[Pp]atient (?:ID|number)|[Cc]hart(?: number)?)[:#\s-]*(?<value>[A-Z0-9][A-Z0-9-]{3,})\b/g,
+  },
+  { id: 'number', pattern: /\b\d{6,}\b/g },
+  {
+    id: 'name',
+    pattern: new RegExp(
+      `(?:\\b(?:${nameIntros})\\s+|\\b(?:${titles})\\.?\\s+(?=\\p{Lu}))(?<value>\\p{L}[\\p{L}'-]*(?:\\s+\\p{Lu}[\\p{L}'-]*)?)`,
+      'gu'
+    ),
+  },
+];
+
+export const defaultRedactionSettings = {
+  enabled: true,
+  rules: Object.fromEntries(redactionRules.map(rule => [rule.id, true])),
+  // Always masked, e.g. the patient's name typed in at the start.
+  customTerms: [],
+};
+
+export const loadRedactionSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return saved
+      ? { ...defaultRedactionSettings, ...saved, rules: { ...defaultRedactionSettings.rules, ...saved.rules } }
+      : defaultRedactionSettings;
+  } catch {
+    return defaultRedactionSettings;
+  }
+};
+
+export const saveRedactionSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Distinct from the glossary's {{n}} tokens so the two never collide.
+const placeholder = (index) => `{{#${index}}}`;
+const placeholderPattern = /\{\{\s*#\s*(\d+)\s*\}\}/g;
+
+const activeRules = (settings) => [
+  ...settings.customTerms
+    .filter(term => term.trim())
+    .map(term => ({
+      id: 'custom',
+      pattern: new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim())}(?![\\p{L}\\p{N}])`, 'giu'),
+    })),
+  ...redactionRules.filter(rule => settings.rules[rule.id]),
+];
+
+// Returns the masked text and the identifiers it replaced, in token order.
+export const redactText = (text, settings = defaultRedactionSettings) => {
+  if (!settings.enabled) return { text, items: [] };
+
+  const items = [];
+  let masked = text;
+  activeRules(settings).forEach((rule) => {
+    masked = masked.replace(rule.pattern, (...args) => {
+      const match = args[0];
+      const groups = typeof args[args.length - 1] === 'object' ? args[args.length - 1] : null;
+      const value = groups?.value ?? match;
+      // Never mask inside an earlier placeholder.
+      if (/\{\{#\d+\}\}/.test(value)) return match;
+      items.push({ rule: rule.id, value });
+      return match.replace(value, placeholder(items.length - 1));
+    });
+  });
+
+  return { text: masked, items };
+};
+
+export const restoreText = (text, items) =>
+  text.replace(placeholderPattern, (token, index) => items[Number(index)]?.value ?? token);
+
+// Identifiers whose placeholder the provider dropped or mangled.
+export const missingItems = (translatedText, items) => {
+  const found = new Set([...translatedText.matchAll(placeholderPattern)].map(match => Number(match[1])));
+  return items.filter((item, i) => !found.has(i));
+};
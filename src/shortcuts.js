@@ -0,0 +1,23 @@
+// Global keyboard shortcuts, listed in Settings. Labels live in the message
+// catalog under settings.shortcuts.actions.
+export const shortcuts = [
+  { id: 'push-to-talk', keys: ['Space'] },
+  { id: 'speak', keys: ['S'] },
+  { id: 'languages', keys: ['Ctrl', 'K'] },
+  { id: 'close', keys: ['Esc'] },
+];
+
+// Keys typed into form fields belong to the field. Buttons are not excluded:
+// Space talks even when a button kept focus after a click, and Enter still
+// presses a focused button.
+export const isFormField = (element) =>
+  Boolean(element) && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName));
+
+// null when the event is not one of the shortcuts above.
+export const shortcutFor = (event) => {
+  if ((event.ctrlKey || event.metaKey) && !event.altKey && event.key.toLowerCase() === 'k') return 'languages';
+  if (event.ctrlKey || event.metaKey || event.altKey || isFormField(event.target)) return null;
+  if (event.code === 'Space') return 'push-to-talk';
+  if (event.key.toLowerCase() === 's' && !event.shiftKey) return 'speak';
+  return null;
+};
@@ -0,0 +1,114 @@
+import { vi } from 'vitest';
+
+// Stand-ins for the browser APIs the translator talks to. Each test drives
+// them by hand: recognition results, synthesized speech and translation
+// responses happen only when a test says so.
+
+export class FakeSpeechRecognition {
+  static instances = [];
+
+  static latest() {
+    return FakeSpeechRecognition.instances.at(-1);
+  }
+
+  constructor() {
+    this.lang = '';
+    this.continuous = false;
+    this.interimResults = false;
+    this.listening = false;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+    FakeSpeechRecognition.instances.push(this);
+  }
+
+  start() {
+    if (this.listening) throw new Error('InvalidStateError: recognition has already started');
+    this.listening = true;
+  }
+
+  stop() {
+    this.end();
+  }
+
+  abort() {
+    this.end();
+  }
+
+  end() {
+    if (!this.listening) return;
+    this.listening = false;
+    this.onend?.();
+  }
+
+  // Delivers one result, as the browser does once per recognized phrase.
+  say(transcript, { isFinal = true } = {}) {
+    const result = Object.assign([{ transcript, confidence: 0.9 }], { isFinal });
+    this.onresult?.({ resultIndex: 0, results: [result] });
+  }
+
+  fail(error) {
+    this.onerror?.({ error });
+  }
+}
+
+export class FakeSpeechSynthesisUtterance {
+  constructor(text) {
+    this.text = text;
+    this.lang = '';
+    this.voice = null;
+    this.rate = 1;
+    this.pitch = 1;
+    this.volume = 1;
+    this.onend = null;
+    this.onerror = null;
+  }
+}
+
+export const createFakeSpeechSynthesis = (voices = []) => {
+  const listeners = new EventTarget();
+  const synth = {
+    spoken: [],
+    speaking: false,
+    getVoices: () => voices,
+    speak: vi.fn((utterance) => {
+      synth.spoken.push(utterance);
+      synth.speaking = true;
+    }),
+    cancel: vi.fn(() => {
+      synth.speaking = false;
+    }),
+    // Finishes the utterance currently being spoken.
+    finish: () => {
+      synth.speaking = false;
+      synth.spoken.at(-1)?.onend?.();
+    },
+    addEventListener: (type, listener) => listeners.addEventListener(type, listener),
+    removeEventListener: (type, listener) => listeners.removeEventListener(type, listener),
+  };
+  return synth;
+};
+
+export const createFakeMediaDevices = () => ({
+  getUserMedia: vi.fn(async () => ({
+    getTracks: () => [{ stop: vi.fn() }],
+  })),
+});
+
+const jsonResponse = (body, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+// Answers MyMemory requests with translate(text, source, target). Anything
+// without an answer is echoed back, which keeps back-translation scores high.
+export const createFakeFetch = (translate = () => undefined) =>
+  vi.fn(async (input) => {
+    const url = new URL(String(input));
+    const text = url.searchParams.get('q');
+    const [source, target] = (url.searchParams.get('langpair') || '').split('|');
+    const translatedText = translate(text, source, target) ?? text;
+    return jsonResponse({ responseStatus: 200, responseData: { translatedText } });
+  });
+
+export const failingFetch = () => vi.fn(async () => {
+  throw new TypeError('Failed to fetch');
+});
@@ -0,0 +1,33 @@
+import '@testing-library/jest-dom/vitest';
+import { cleanup } from '@testing-library/react';
+import { afterEach, beforeEach, vi } from 'vitest';
+import {
+  FakeSpeechRecognition,
+  FakeSpeechSynthesisUtterance,
+  createFakeFetch,
+  createFakeMediaDevices,
+  createFakeSpeechSynthesis,
+} from './fakes';
+
+// Modules read these once at import time, so they are installed before any
+// test file is loaded.
+window.SpeechRecognition = FakeSpeechRecognition;
+window.SpeechSynthesisUtterance = FakeSpeechSynthesisUtterance;
+Object.defineProperty(navigator, 'mediaDevices', { value: createFakeMediaDevices(), configurable: true });
+// jsdom has media elements but cannot play them.
+HTMLMediaElement.prototype.play = async () => {};
+HTMLMediaElement.prototype.pause = () => {};
+
+beforeEach(() => {
+  FakeSpeechRecognition.instances = [];
+  window.speechSynthesis = createFakeSpeechSynthesis();
+  navigator.mediaDevices.getUserMedia.mockClear();
+  vi.stubGlobal('fetch', createFakeFetch());
+  localStorage.clear();
+});
+
+afterEach(() => {
+  cleanup();
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
@@ -1,186 +1,1001 @@
-import React, { useState, useRef, useEffect } from 'react';
-import { Mic, MicOff, Volume2, Globe, ArrowRightLeft, Settings, Loader2, Sparkles, X } from 'lucide-react';
-
-const HealthcareTranslator = () => {
-  const [isListening, setIsListening] = useState(false);
-  const [originalText, setOriginalText] = useState('');
-  const [translatedText, setTranslatedText] = useState('');
-  const [inputLang, setInputLang] = useState('en-US');
-  const [outputLang, setOutputLang] = useState('es');
-  const [isTranslating, setIsTranslating] = useState(false);
+import React, { useState, useRef, useEffect, useMemo } from 'react';
+import { Circle, ExternalLink, MonitorSmartphone, Pause, Play, Square, Mic, MicOff, Accessibility, Keyboard, Volume2, Globe, ArrowRightLeft, Settings, Loader2, Sparkles, X, Server, MessageSquare, Stethoscope, User, History, WifiOff, Database, ShieldCheck, Languages, ClipboardList } from 'lucide-react';
+import { createCachedProvider, createProvider, createTranslationCache, defaultProviderConfig, isPairSupported, providerNames } from './providers';
+import ConversationTimeline from './components/ConversationTimeline';
+import LanguagePicker from './components/LanguagePicker';
+import { defaultInputLang, defaultOutputLang, getLanguage, languageForCode, languageNameForCode } from './languages';
+import SegmentList from './components/SegmentList';
+import GlossaryEditor from './components/GlossaryEditor';
+import ExportMenu from './components/ExportMenu';
+import { exportRecording, exportSession, printSession } from './export';
+import { createClipPlayer, createEncounterRecorder, isRecordingSupported } from './recording';
+import RecordingConsent from './components/RecordingConsent';
+import RedactionSettings from './components/RedactionSettings';
+import PatientView from './components/PatientView';
+import { createPatientChannel, isPatientChannelSupported, openPatientWindow, patientViewState } from './patientChannel';
+import { loadRedactionSettings, missingItems, redactText, restoreText, saveRedactionSettings } from './redaction';
+import HistoryDrawer from './components/HistoryDrawer';
+import TextComposer from './components/TextComposer';
+import PhraseBoard from './components/PhraseBoard';
+import { needsReview, similarity } from './confidence';
+import TtsSettings from './components/TtsSettings';
+import { createSpeechQueue, isSpeechSynthesisSupported, loadTtsSettings, pickVoice, saveTtsSettings } from './tts';
+import { findPhraseTranslation, phrases } from './phrases';
+import { loadHistorySettings, purgeExpiredSessions, saveHistorySettings, saveSession, unlockHistory } from './history';
+import { createCustomEntry, glossaryFor, loadCustomEntries, saveCustomEntries, translateWithGlossary } from './glossary';
+import { createSegment, segmentStatus, translatedTextOf, updateSegment } from './transcript';
+import { detectLanguage } from './detect';
+import LanguageDetectionBanner from './components/LanguageDetectionBanner';
+import PointToLanguage from './components/PointToLanguage';
+import {
+  availableEngineIds,
+  createRecognitionEngine,
+  createRecognitionSession,
+  defaultRecognitionConfig,
+  isActiveState,
+  isEngineSupported,
+  recognitionError,
+  recognitionStates,
+} from './asr';
+import RecognitionStatus from './components/RecognitionStatus';
+import { useFocusTrap } from './focusTrap';
+import { shortcutFor, shortcuts } from './shortcuts';
+import { applyDisplaySettings, loadDisplaySettings, saveDisplaySettings } from './display';
+import { useI18n } from './i18n/context';
+import SessionDrawer from './components/SessionDrawer';
+import { appendAuditEvent, carriedOverDetails, defaultSessionDetails, sessionDetailsOf, translationCacheProvider, trimmedDetails, vettedPhraseProvider } from './audit';
+import { uiLocales } from './i18n';
+
+const silenceTimeoutOptions = [0, 30, 60, 120, 300];
+
+const noProvisional = { source: '', text: '' };
+
+const HealthcareTranslator = ({ provider: providerOverride, transcriber }) => {
+  const { locale, setLocale, t } = useI18n();
+  const [segments, setSegments] = useState([]);
+  const [inputLang, setInputLang] = useState(defaultInputLang);
+  const [outputLang, setOutputLang] = useState(defaultOutputLang);
   const [isSpeaking, setIsSpeaking] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [error, setError] = useState('');
-  
-  const recognitionRef = useRef(null);
-  const synthRef = useRef(window.speechSynthesis);
-
-  const languages = {
-    'en-US': { name: 'English (US)', code: 'en', flag: '🇺🇸' },
-    'es-ES': { name: 'Spanish', code: 'es', flag: '🇪🇸' },
-    'fr-FR': { name: 'French', code: 'fr', flag: '🇫🇷' },
-    'de-DE': { name: 'German', code: 'de', flag: '🇩🇪' },
-    'zh-CN': { name: 'Chinese', code: 'zh', flag: '🇨🇳' },
-    'ar-SA': { name: 'Arabic', code: 'ar', flag: '🇸🇦' },
-    'hi-IN': { name: 'Hindi', code: 'hi', flag: '🇮🇳' },
-    'pt-BR': { name: 'Portuguese', code: 'pt', flag: '🇧🇷' },
-    'ru-RU': { name: 'Russian', code: 'ru', flag: '🇷🇺' },
-    'ja-JP': { name: 'Japanese', code: 'ja', flag: '🇯🇵' }
-  };
-
-  useEffect(() => {
-    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      recognitionRef.current = new SpeechRecognition();
-      recognitionRef.current.continuous = true;
-      recognitionRef.current.interimResults = true;
-      recognitionRef.current.lang = inputLang;
-
-      recognitionRef.current.onresult = (event) => {
-        let interim = '';
-        let final = '';
-        
-        for (let i = event.resultIndex; i < event.results.length; i++) {
-          const transcript = event.results[i][0].transcript;
-          if (event.results[i].isFinal) {
-            final += transcript + ' ';
-          } else {
-            interim += transcript;
-          }
+  // { key, params } into the message catalog, so it follows locale changes.
+  const [error, setError] = useState(null);
+  const [providerConfig, setProviderConfig] = useState(defaultProviderConfig);
+  const [recognitionConfig, setRecognitionConfig] = useState(defaultRecognitionConfig);
+  const [recognitionState, setRecognitionState] = useState(() =>
+    isEngineSupported(defaultRecognitionConfig, { transcriber })
+      ? { status: recognitionStates.idle, error: null, attempt: 0 }
+      : { status: recognitionStates.error, error: recognitionError('unsupported'), attempt: 0 }
+  );
+  const [silenceTimeout, setSilenceTimeout] = useState(120);
+  const [pairWarning, setPairWarning] = useState(null);
+  const [mode, setMode] = useState('single');
+  const [activeSpeaker, setActiveSpeaker] = useState(null);
+  const [interimText, setInterimText] = useState('');
+  const [provisional, setProvisional] = useState(noProvisional);
+  const [showProvisional, setShowProvisional] = useState(false);
+  const [customGlossary, setCustomGlossary] = useState(loadCustomEntries);
+  const [sessionDetails, setSessionDetails] = useState(defaultSessionDetails);
+  const [auditLog, setAuditLog] = useState([]);
+  const [showSessionDetails, setShowSessionDetails] = useState(false);
+  const [sessionStartedAt, setSessionStartedAt] = useState(null);
+  const [sessionId, setSessionId] = useState(() => crypto.randomUUID());
+  const [historySettings, setHistorySettings] = useState(loadHistorySettings);
+  const [historyKey, setHistoryKey] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [persistCache, setPersistCache] = useState(() => localStorage.getItem('meditranslate.keepTranslations') === 'true');
+  const [checkBackTranslation, setCheckBackTranslation] = useState(true);
+  const [holdLowConfidence, setHoldLowConfidence] = useState(true);
+  const [ttsSettings, setTtsSettings] = useState(loadTtsSettings);
+  const [redactionSettings, setRedactionSettings] = useState(loadRedactionSettings);
+  const [displaySettings, setDisplaySettings] = useState(loadDisplaySettings);
+  const [canSpeak] = useState(isSpeechSynthesisSupported);
+  const [voices, setVoices] = useState(() => (canSpeak ? window.speechSynthesis.getVoices() : []));
+  const [speechQueue] = useState(() => createSpeechQueue(canSpeak ? window.speechSynthesis : null, {
+    onChange: setIsSpeaking,
+    onError: () => setError({ key: 'errors.playbackFailed' }),
+  }));
+  const [autoDetect, setAutoDetect] = useState(false);
+  const [detection, setDetection] = useState(null);
+  const [showLanguageGrid, setShowLanguageGrid] = useState(false);
+  const [recordingStatus, setRecordingStatus] = useState('idle');
+  const [recordingConsent, setRecordingConsent] = useState(null);
+  const [showRecordingConsent, setShowRecordingConsent] = useState(false);
+  const [playingSegmentId, setPlayingSegmentId] = useState(null);
+  const [showPatientView, setShowPatientView] = useState(false);
+  const [patientViewRotated, setPatientViewRotated] = useState(false);
+  const [recorder] = useState(() => createEncounterRecorder({
+    onChange: setRecordingStatus,
+    onError: () => setError({ key: 'errors.recordingStopped' }),
+  }));
+  const [clipPlayer] = useState(() => createClipPlayer({
+    onChange: (playing) => {
+      if (!playing) setPlayingSegmentId(null);
+    },
+  }));
+  const [translationCache] = useState(() => createTranslationCache({ persistent: persistCache }));
+  const [recognition] = useState(() => {
+    // Only real starts and stops are logged, not restarts and recoveries.
+    let logged = false;
+    return createRecognitionSession({
+      onInterim: (text) => {
+        if (text && utteranceStartRef.current === null) {
+          utteranceStartRef.current = Date.now();
         }
-
-        if (final) {
-          setOriginalText(prev => prev + final);
-          translateText(originalText + final);
+        setInterimText(text);
+      },
+      onFinal: (text, speaker) => finalResultHandlerRef.current(text, speaker),
+      onChange: (state) => {
+        setRecognitionState(state);
+        if (state.status === recognitionStates.idle || state.status === recognitionStates.error) {
+          setActiveSpeaker(null);
+          setInterimText('');
+        }
+        if (state.status === recognitionStates.listening && !logged) {
+          logged = true;
+          setAuditLog(prev => appendAuditEvent(prev, 'listening-started', { locale: state.locale, speaker: state.tag }));
+        } else if (!isActiveState(state.status) && logged) {
+          logged = false;
+          setAuditLog(prev => appendAuditEvent(prev, 'listening-stopped', {
+            reason: state.status === recognitionStates.idle ? 'stopped' : state.status,
+            error: state.error?.code ?? null,
+          }));
         }
-      };
+      },
+    });
+  });
 
-      recognitionRef.current.onerror = (event) => {
-        console.error('Speech recognition error:', event.error);
-        setError(`Speech recognition error: ${event.error}`);
-        setIsListening(false);
-      };
+  const finalResultHandlerRef = useRef(null);
+  // When the current utterance was first heard, for its audio offsets.
+  const utteranceStartRef = useRef(null);
+  const lastFinalAtRef = useRef(0);
+  const patientChannelRef = useRef(null);
+  const patientMessageHandlerRef = useRef(null);
+  const segmentRequestsRef = useRef(new Map());
+  const shortcutHandlerRef = useRef(null);
+  // Set while Space is held, so releasing it only stops listening it started.
+  const pushToTalkRef = useRef(false);
+  const languageSearchRef = useRef(null);
+  const focusLanguageSearchRef = useRef(false);
+  const settingsDialogRef = useFocusTrap(showSettings, () => setShowSettings(false));
+  // Session details as last written to the audit log.
+  const loggedDetailsRef = useRef(defaultSessionDetails);
 
-      recognitionRef.current.onend = () => {
-        if (isListening) {
-          recognitionRef.current.start();
-        }
-      };
-    } else {
-      setError('Speech recognition not supported in this browser');
+  // In conversation mode the clinician speaks the input language and the
+  // patient speaks the output language; each turn is translated into the other.
+  const inputLanguage = getLanguage(inputLang);
+  const outputLanguage = getLanguage(outputLang);
+  const speakers = {
+    clinician: { label: t('speakers.clinician'), language: inputLanguage, locale: inputLanguage.recognition, code: inputLanguage.mt },
+    patient: { label: t('speakers.patient'), language: outputLanguage, locale: outputLanguage.recognition, code: outputLanguage.mt },
+  };
+
+  const isListening = isActiveState(recognitionState.status);
+  const listeningLocale = mode === 'conversation'
+    ? activeSpeaker && speakers[activeSpeaker].locale
+    : inputLanguage.recognition;
+
+  // Follows speaker switches and language changes without ending the session.
+  useEffect(() => {
+    if (listeningLocale) {
+      recognition.switchTo(listeningLocale, activeSpeaker);
     }
+  }, [recognition, listeningLocale, activeSpeaker]);
 
+  const provider = useMemo(
+    () => createCachedProvider(providerOverride || createProvider(providerConfig), translationCache),
+    [providerOverride, providerConfig, translationCache]
+  );
+
+  useEffect(() => {
+    const updateStatus = () => setIsOnline(navigator.onLine);
+    window.addEventListener('online', updateStatus);
+    window.addEventListener('offline', updateStatus);
     return () => {
-      if (recognitionRef.current) {
-        recognitionRef.current.stop();
-      }
+      window.removeEventListener('online', updateStatus);
+      window.removeEventListener('offline', updateStatus);
     };
-  }, [inputLang]);
+  }, []);
+
+  useEffect(() => {
+    // Translations are stored unencrypted, so keeping them is opt-in. The old
+    // setting was on by default and is dropped along with what it stored.
+    localStorage.removeItem('meditranslate.persistCache');
+    localStorage.setItem('meditranslate.keepTranslations', String(persistCache));
+    translationCache.setPersistent(persistCache);
+  }, [persistCache, translationCache]);
+
+  useEffect(() => {
+    let cancelled = false;
+    isPairSupported(provider, inputLanguage.mt, outputLanguage.mt)
+      .then((supported) => {
+        if (!cancelled) {
+          setPairWarning(supported ? null : { key: 'settings.provider.pairUnsupported', params: { provider: provider.name } });
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setPairWarning({ key: `translationErrors.${provider.normalizeError(err).code}` });
+      });
+    return () => { cancelled = true; };
+  }, [provider, inputLanguage.mt, outputLanguage.mt]);
+
+  useEffect(() => {
+    saveCustomEntries(customGlossary);
+  }, [customGlossary]);
+
+  const addGlossaryEntry = (entry) => {
+    setCustomGlossary(prev => [...prev, createCustomEntry(entry)]);
+  };
+
+  const removeGlossaryEntry = (id) => {
+    setCustomGlossary(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  useEffect(() => {
+    saveHistorySettings(historySettings);
+  }, [historySettings]);
+
+  // What history keeps for the open session.
+  const sessionRecord = useMemo(() => ({
+    id: sessionId,
+    startedAt: sessionStartedAt,
+    inputLang,
+    outputLang,
+    sourceLang: inputLanguage.mt,
+    targetLang: outputLanguage.mt,
+    details: sessionDetails,
+    audit: auditLog,
+    segments,
+  }), [
+    sessionId, sessionStartedAt, inputLang, outputLang, inputLanguage.mt, outputLanguage.mt, sessionDetails, auditLog, segments,
+  ]);
+
+  const canSaveHistory = historySettings.enabled && historyKey;
+
+  // Autosave the open session once history is enabled and unlocked.
+  useEffect(() => {
+    if (!canSaveHistory || sessionRecord.segments.length === 0) return;
+
+    const timer = setTimeout(() => {
+      saveSession(historyKey, { ...sessionRecord, updatedAt: Date.now() }).catch((err) => {
+        console.error('Failed to save session:', err);
+        setError({ key: 'errors.historySaveFailed' });
+      });
+    }, 1000);
+
+    return () => clearTimeout(timer);
+  }, [canSaveHistory, historyKey, sessionRecord]);
+
+  useEffect(() => {
+    saveTtsSettings(ttsSettings);
+  }, [ttsSettings]);
+
+  useEffect(() => {
+    saveRedactionSettings(redactionSettings);
+  }, [redactionSettings]);
+
+  useEffect(() => {
+    saveDisplaySettings(displaySettings);
+    applyDisplaySettings(displaySettings);
+  }, [displaySettings]);
+
+  // Voices load asynchronously in most browsers.
+  useEffect(() => {
+    const synth = window.speechSynthesis;
+    if (!synth) return;
+    const updateVoices = () => setVoices(synth.getVoices());
+    synth.addEventListener('voiceschanged', updateVoices);
+    return () => synth.removeEventListener('voiceschanged', updateVoices);
+  }, []);
+
+  useEffect(() => () => speechQueue.stop(), [speechQueue]);
+
+  useEffect(() => () => {
+    clipPlayer.stop();
+    recorder.discard();
+  }, [clipPlayer, recorder]);
+
+  const logEvent = (type, fields) => {
+    setAuditLog(prev => appendAuditEvent(prev, type, fields));
+  };
+
+  const updateSessionDetails = (changes) => {
+    setSessionDetails(prev => ({ ...prev, ...changes }));
+  };
+
+  // Text fields are logged once editing finishes, not on every keystroke.
+  const commitSessionDetail = (field, value) => {
+    const trimmed = typeof value === 'string' ? value.trim() : value;
+    if (trimmed === loggedDetailsRef.current[field]) return;
+    loggedDetailsRef.current = { ...loggedDetailsRef.current, [field]: trimmed };
+    logEvent('details-changed', { field, value: trimmed });
+  };
+
+  const updateTtsSettings = (changes) => {
+    setTtsSettings(prev => ({ ...prev, ...changes }));
+  };
+
+  const updateRedactionSettings = (changes) => {
+    setRedactionSettings(prev => ({ ...prev, ...changes }));
+  };
+
+  const updateDisplaySettings = (changes) => {
+    setDisplaySettings(prev => ({ ...prev, ...changes }));
+  };
+
+  const updateHistorySettings = (changes) => {
+    setHistorySettings(prev => ({ ...prev, ...changes }));
+  };
+
+  const unlockSessionHistory = async (passphrase) => {
+    const key = await unlockHistory(passphrase);
+    await purgeExpiredSessions(historySettings.retentionDays);
+    setHistoryKey(key);
+  };
+
+  const updateProviderConfig = (changes) => {
+    setProviderConfig(prev => ({ ...prev, ...changes }));
+  };
+
+  // Changing engines replaces the recognizer, so any session in progress ends.
+  const updateRecognitionConfig = (changes) => {
+    setRecognitionConfig(prev => ({ ...prev, ...changes }));
+  };
+
+  useEffect(() => {
+    recognition.setEngine(handlers => createRecognitionEngine(recognitionConfig, handlers, { transcriber }));
+  }, [recognition, recognitionConfig, transcriber]);
+
+  useEffect(() => {
+    recognition.setSilenceTimeout(silenceTimeout * 1000);
+  }, [recognition, silenceTimeout]);
+
+  useEffect(() => () => recognition.dispose(), [recognition]);
+
+  // Latency covers the provider round trip. A cache hit is logged as the
+  // cache, with the provider that produced the stored translation.
+  const logTranslation = (request, startedAt, { error = null, via = provider, cachedFrom = null } = {}) => {
+    const source = cachedFrom ? translationCacheProvider : via;
+    logEvent('translation', {
+      ...request,
+      provider: source.id,
+      providerName: source.name,
+      cachedFrom,
+      latencyMs: Math.round(performance.now() - startedAt),
+      outcome: error ? 'failed' : 'translated',
+      error: error?.code ?? null,
+    });
+  };
+
+  const translateSegment = async (segment) => {
+    setError(null);
+    const request = { purpose: 'segment', segmentId: segment.id, source: segment.sourceLang, target: segment.targetLang };
+    const startedAt = performance.now();
+    let cachedFrom = null;
 
-  const translateText = async (text) => {
-    if (!text.trim()) return;
-    
-    setIsTranslating(true);
-    setError('');
+    const vetted = findPhraseTranslation(segment.sourceText, segment.sourceLang, segment.targetLang);
+    if (vetted) {
+      setSegments(prev => updateSegment(prev, segment.id, { translatedText: vetted, status: segmentStatus.translated }));
+      logTranslation(request, startedAt, { via: vettedPhraseProvider });
+      return;
+    }
+
+    // A retry supersedes any request still running for the same segment.
+    segmentRequestsRef.current.get(segment.id)?.abort();
+    const controller = new AbortController();
+    segmentRequestsRef.current.set(segment.id, controller);
 
     try {
-      // Using MyMemory Translation API (free, no API key required)
-      const sourceLang = languages[inputLang].code;
-      const targetLang = outputLang;
-      
-      const response = await fetch(
-        `https://api.mymemory.translated.net/get?q=${encodeURIComponent(text)}&langpair=${sourceLang}|${targetLang}`
+      // Identifiers never reach the provider; only their placeholders do.
+      const { text: maskedSource, items } = redactText(segment.sourceText, redactionSettings);
+      const glossary = glossaryFor(customGlossary, segment.sourceLang, segment.targetLang);
+      const { text: maskedTranslation, matches } = await translateWithGlossary(
+        provider, maskedSource, segment.sourceLang, segment.targetLang, glossary,
+        { signal: controller.signal, onCacheHit: (origin) => { cachedFrom = origin; } }
       );
-
-      if (!response.ok) {
-        throw new Error('Translation service unavailable');
+      logTranslation(request, startedAt, { cachedFrom });
+      const text = restoreText(maskedTranslation, items);
+      setSegments(prev => updateSegment(prev, segment.id, {
+        translatedText: text,
+        glossaryMatches: matches,
+        redactions: items,
+        redactionsLost: missingItems(maskedTranslation, items).length,
+        status: segmentStatus.translated,
+        confidenceStatus: checkBackTranslation ? 'checking' : null,
+      }));
+      if (checkBackTranslation) {
+        verifySegment(segment, text, { source: maskedSource, translation: maskedTranslation, items });
       }
-
-      const data = await response.json();
-      
-      if (data.responseStatus === 200 && data.responseData) {
-        const translation = data.responseData.translatedText;
-        setTranslatedText(translation);
-      } else {
-        throw new Error('Translation failed');
+      // With playback held for review, auto-speak waits for the confidence check.
+      if (ttsSettings.autoSpeak && !(checkBackTranslation && holdLowConfidence)) {
+        speak(text, segment.targetLang, { queue: true });
       }
     } catch (err) {
-      console.error('Translation error:', err);
-      setError('Translation failed. Please check your internet connection and try again.');
+      const normalized = provider.normalizeError(err);
+      if (normalized.code === 'aborted') return;
+      logTranslation(request, startedAt, { error: normalized });
+      console.error('Translation error:', normalized.cause || normalized);
+      setSegments(prev => updateSegment(prev, segment.id, { status: segmentStatus.failed }));
+      setError({ key: `translationErrors.${normalized.code}` });
     } finally {
-      setIsTranslating(false);
+      if (segmentRequestsRef.current.get(segment.id) === controller) {
+        segmentRequestsRef.current.delete(segment.id);
+      }
     }
   };
 
-  const requestMicrophonePermission = async () => {
+  // Translate the output back into the source language and compare it with
+  // what was actually said, so clinicians can spot garbled translations. The
+  // masked texts are used so identifiers stay on the device here too.
+  const verifySegment = async (segment, translatedText, masked) => {
+    const request = { purpose: 'back-translation', segmentId: segment.id, source: segment.targetLang, target: segment.sourceLang };
+    const startedAt = performance.now();
+    let cachedFrom = null;
+    // Registered with the segment's requests so clearing the transcript
+    // cancels it too.
+    const key = `${segment.id}:back-translation`;
+    const controller = new AbortController();
+    segmentRequestsRef.current.set(key, controller);
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-      stream.getTracks().forEach(track => track.stop());
-      return true;
+      const maskedBack = await provider.translate(masked.translation, segment.targetLang, segment.sourceLang, {
+        signal: controller.signal,
+        onCacheHit: (origin) => { cachedFrom = origin; },
+      });
+      logTranslation(request, startedAt, { cachedFrom });
+      const confidence = similarity(masked.source, maskedBack);
+      const backTranslation = restoreText(maskedBack, masked.items);
+      setSegments(prev => updateSegment(prev, segment.id, {
+        backTranslation,
+        confidence,
+        confidenceStatus: 'done',
+      }));
+      if (ttsSettings.autoSpeak && holdLowConfidence && !needsReview({ confidence })) {
+        speak(translatedText, segment.targetLang, { queue: true });
+      }
     } catch (err) {
-      console.error('Microphone permission error:', err);
-      setError('Microphone access denied. Please allow microphone access in your browser settings and reload the page.');
-      return false;
+      const normalized = provider.normalizeError(err);
+      if (normalized.code === 'aborted') return;
+      logTranslation(request, startedAt, { error: normalized });
+      console.error('Back-translation error:', err);
+      setSegments(prev => updateSegment(prev, segment.id, { confidenceStatus: 'failed' }));
+      if (ttsSettings.autoSpeak && holdLowConfidence) {
+        speak(translatedText, segment.targetLang, { queue: true });
+      }
+    } finally {
+      if (segmentRequestsRef.current.get(key) === controller) {
+        segmentRequestsRef.current.delete(key);
+      }
     }
   };
 
-  const toggleListening = async () => {
-    if (!recognitionRef.current) {
-      setError('Speech recognition not available in this browser. Please use Chrome, Edge, or Safari.');
-      return;
+  const acknowledgeSegment = (segment) => {
+    setSegments(prev => updateSegment(prev, segment.id, { acknowledged: true }));
+  };
+
+  const addSegment = (fields) => {
+    if (!fields.sourceText.trim()) return;
+    const segment = createSegment(fields);
+    setSegments(prev => [...prev, segment]);
+    setSessionStartedAt(prev => prev ?? segment.createdAt);
+    translateSegment(segment);
+    return segment;
+  };
+
+  const retrySegment = (segment) => {
+    setSegments(prev => updateSegment(prev, segment.id, { status: segmentStatus.pending }));
+    translateSegment(segment);
+  };
+
+  const directionFor = (speaker) => {
+    if (!speaker) {
+      return { source: inputLanguage.mt, target: outputLanguage.mt };
     }
+    const other = speaker === 'clinician' ? 'patient' : 'clinician';
+    return { source: speakers[speaker].code, target: speakers[other].code };
+  };
+
+  // The patient speaks the input language in single mode and the output
+  // language in conversation mode.
+  const patientLangKey = mode === 'conversation' ? 'outputLang' : 'inputLang';
+  const patientLang = patientLangKey === 'inputLang' ? inputLang : outputLang;
+  const patientLanguage = getLanguage(patientLang);
+
+  // Auto-detect looks at the first patient utterance only and proposes a
+  // language; nothing changes until staff confirm it.
+  const detectPatientLanguage = (segment) => {
+    if (!autoDetect || !segment || detection) return;
+    if (mode === 'conversation' && segment.speaker !== 'patient') return;
 
+    const candidates = detectLanguage(segment.sourceText, [inputLang, outputLang]);
+    if (!candidates.length || candidates[0].confidence < 0.3) return;
+    setAutoDetect(false);
+    if (candidates[0].id === patientLang) return;
+    setDetection({ candidates, segmentId: segment.id, text: segment.sourceText });
+  };
+
+  // Engines without interim results only report the end of an utterance, so
+  // its start falls back to the previous one's end, at most 10 s earlier.
+  const utteranceAudio = () => {
+    const endedAt = Date.now();
+    const startedAt = utteranceStartRef.current ?? Math.max(lastFinalAtRef.current, endedAt - 10000);
+    utteranceStartRef.current = null;
+    lastFinalAtRef.current = endedAt;
+    return recorder.spanOf(startedAt - 500, endedAt + 300);
+  };
+
+  // Only a translation of the caption as it stands now counts; an older one
+  // belongs to an earlier draft or to the previous utterance.
+  const provisionalText = showProvisional && provisional.source === interimText ? provisional.text : '';
+
+  const handleFinalResult = (final, speaker) => {
+    const { source, target } = directionFor(speaker);
+    setProvisional(noProvisional);
+    detectPatientLanguage(addSegment({
+      sourceText: final,
+      sourceLang: source,
+      targetLang: target,
+      speaker,
+      provisionalText,
+      audio: utteranceAudio(),
+    }));
+  };
+
+  const submitTypedText = (text, speaker) => {
+    const { source, target } = directionFor(speaker);
+    detectPatientLanguage(addSegment({ sourceText: text, sourceLang: source, targetLang: target, speaker, origin: 'typed' }));
+  };
+
+  // Switches the patient's language and retranslates the utterance that was
+  // recognized under the wrong one. Listening carries on in the new locale.
+  const confirmPatientLanguage = (id) => {
+    const language = getLanguage(id);
+    changeLanguage(patientLangKey === 'inputLang' ? 'input' : 'output', id);
+
+    const segment = detection && segments.find(s => s.id === detection.segmentId);
+    if (segment) {
+      const corrected = { ...segment, sourceLang: language.mt };
+      setSegments(prev => updateSegment(prev, segment.id, { sourceLang: language.mt }));
+      retrySegment(corrected);
+    }
+    setDetection(null);
+    setShowLanguageGrid(false);
+  };
+
+  // Phrase-board entries carry vetted translations, so they skip the provider.
+  const selectPhrase = (phrase, phraseSpeaker, sourceLang, targetLang) => {
+    const segment = {
+      ...createSegment({
+        sourceText: phrase.text[sourceLang],
+        sourceLang,
+        targetLang,
+        speaker: mode === 'conversation' ? phraseSpeaker : null,
+        origin: 'phrase',
+      }),
+      translatedText: phrase.text[targetLang],
+      status: segmentStatus.translated,
+    };
+    setSegments(prev => [...prev, segment]);
+    setSessionStartedAt(prev => prev ?? segment.createdAt);
+    logTranslation(
+      { purpose: 'segment', segmentId: segment.id, source: sourceLang, target: targetLang },
+      performance.now(), { via: vettedPhraseProvider }
+    );
+    speak(segment.translatedText, targetLang, { queue: true });
+  };
+
+  const interimDirection = directionFor(activeSpeaker);
+
+  // Debounced provisional translation of the interim caption. It is best
+  // effort: failures are ignored and the final segment is translated anyway.
+  useEffect(() => {
+    if (!showProvisional || !interimText.trim()) return;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => {
+      const { text: masked, items } = redactText(interimText, redactionSettings);
+      provider
+        .translate(masked, interimDirection.source, interimDirection.target, { signal: controller.signal })
+        .then(text => setProvisional({ source: interimText, text: restoreText(text, items) }))
+        .catch(() => {});
+    }, 600);
+
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [showProvisional, interimText, provider, interimDirection.source, interimDirection.target, redactionSettings]);
+
+  const interim = interimText.trim()
+    ? {
+      text: interimText,
+      translation: provisionalText,
+      speaker: activeSpeaker,
+      sourceLang: interimDirection.source,
+      targetLang: interimDirection.target,
+    }
+    : null;
+
+  // Recognition callbacks are bound once per engine, so they reach the latest
+  // state and provider through this ref.
+  useEffect(() => {
+    finalResultHandlerRef.current = handleFinalResult;
+  });
+
+  const startListening = async (locale, speaker = null) => {
+    setError(null);
+    await recognition.start(locale, speaker);
+    if (isActiveState(recognition.status)) {
+      setSessionStartedAt(prev => prev ?? Date.now());
+    }
+  };
+
+  const toggleListening = () => {
     if (isListening) {
-      recognitionRef.current.stop();
-      setIsListening(false);
+      recognition.stop();
     } else {
-      setError('');
-      
-      const hasPermission = await requestMicrophonePermission();
-      if (!hasPermission) {
-        return;
-      }
+      startListening(inputLanguage.recognition);
+    }
+  };
+
+  // Switching speakers mid-session is handled by the locale effect below,
+  // which restarts recognition in the new speaker's language.
+  const toggleSpeaker = (speaker) => {
+    if (isListening && activeSpeaker === speaker) {
+      recognition.stop();
+      return;
+    }
+    setActiveSpeaker(speaker);
+    if (!isListening) {
+      startListening(speakers[speaker].locale, speaker);
+    }
+  };
+
+  const stopListening = () => {
+    recognition.stop();
+  };
 
-      try {
-        recognitionRef.current.lang = inputLang;
-        recognitionRef.current.start();
-        setIsListening(true);
-      } catch (err) {
-        console.error('Failed to start recognition:', err);
-        setError('Failed to start recording. Please try again.');
+  const retryListening = () => {
+    if (recognitionState.tag) {
+      toggleSpeaker(recognitionState.tag);
+    } else {
+      startListening(inputLanguage.recognition);
+    }
+  };
+
+  const changeMode = (nextMode) => {
+    if (nextMode === mode) return;
+    stopListening();
+    setMode(nextMode);
+  };
+
+  // The patient view always works as a conversation: its reply mic is the
+  // patient's microphone.
+  const replyAsPatient = () => {
+    if (mode !== 'conversation') setMode('conversation');
+    toggleSpeaker('patient');
+  };
+
+  // A segment whose back-translation is still running may yet be flagged,
+  // so it is held until the check finishes.
+  const isHeld = (segment) =>
+    holdLowConfidence && (segment.confidenceStatus === 'checking' || needsReview(segment));
+
+  const patientListening = isListening && activeSpeaker === 'patient';
+  // Held segments are neither spoken nor shown to the patient.
+  const patientState = patientViewState({
+    language: speakers.patient.language,
+    segment: segments.findLast(segment =>
+      segment.status === segmentStatus.translated && segment.targetLang === speakers.patient.code && !isHeld(segment)
+    ),
+    listening: patientListening,
+    interim: patientListening ? interimText : '',
+  });
+  const patientStateJson = JSON.stringify(patientState);
+
+  useEffect(() => {
+    patientMessageHandlerRef.current = (message) => {
+      if (message.type === 'hello') {
+        patientChannelRef.current.post({ type: 'state', state: patientState });
+      } else if (message.type === 'reply') {
+        replyAsPatient();
       }
+    };
+  });
+
+  useEffect(() => {
+    const channel = createPatientChannel(message => patientMessageHandlerRef.current(message));
+    patientChannelRef.current = channel;
+    return () => channel.close();
+  }, []);
+
+  // Serialized so the second window only hears about real changes.
+  useEffect(() => {
+    patientChannelRef.current.post({ type: 'state', state: JSON.parse(patientStateJson) });
+  }, [patientStateJson]);
+
+  // Prefer the selected dialect's voice locale when it matches the code.
+  const ttsLocale = (code) =>
+    [outputLanguage, inputLanguage].find(language => language.mt === code)?.tts ||
+    languageForCode(code)?.tts ||
+    code;
+
+  // Manual playback interrupts whatever is playing; automatic playback is
+  // queued so consecutive segments are spoken in order.
+  const speak = (text, code, { queue = false } = {}) => {
+    if (!text || !canSpeak) return;
+
+    const locale = ttsLocale(code);
+    const item = {
+      text,
+      locale,
+      voice: pickVoice(voices, locale, ttsSettings.voices[code]),
+      rate: ttsSettings.rate,
+      pitch: ttsSettings.pitch,
+      volume: ttsSettings.volume,
+    };
+
+    logEvent('speech', { lang: code, voice: item.voice?.name ?? null, automatic: queue });
+    if (queue) {
+      speechQueue.enqueue(item);
+    } else {
+      speechQueue.playNow(item);
     }
   };
 
+  const translatedText = translatedTextOf(segments);
+  const isTranslating = segments.some(segment => segment.status === segmentStatus.pending);
+
+  const heldMessage = (segment) =>
+    ({ key: needsReview(segment) ? 'errors.heldForReview' : 'errors.heldForCheck' });
+
   const speakTranslation = () => {
-    if (!translatedText) return;
-    
-    synthRef.current.cancel();
-    
-    const utterance = new SpeechSynthesisUtterance(translatedText);
-    utterance.lang = outputLang;
-    utterance.rate = 0.9;
-    
-    utterance.onstart = () => setIsSpeaking(true);
-    utterance.onend = () => setIsSpeaking(false);
-    utterance.onerror = () => {
-      setIsSpeaking(false);
-      setError('Audio playback failed');
+    if (isSpeaking) {
+      speechQueue.stop();
+      return;
+    }
+    // A flagged segment is reported before one still being checked.
+    const held = segments.find(segment => holdLowConfidence && needsReview(segment)) ?? segments.find(isHeld);
+    if (held) {
+      setError(heldMessage(held));
+      return;
+    }
+    speak(translatedText, outputLanguage.mt);
+  };
+
+  const speakSegment = (segment) => {
+    if (isHeld(segment)) {
+      setError(heldMessage(segment));
+      return;
+    }
+    speak(segment.translatedText, segment.targetLang);
+  };
+
+  const latestTranslation = segments.findLast(segment => segment.status === segmentStatus.translated);
+
+  const speakLatest = () => {
+    if (mode === 'single') {
+      speakTranslation();
+    } else if (isSpeaking) {
+      speechQueue.stop();
+    } else if (latestTranslation) {
+      speakSegment(latestTranslation);
+    }
+  };
+
+  // In conversation mode the person at the keyboard is the clinician.
+  const startPushToTalk = () => {
+    if (isListening) return;
+    pushToTalkRef.current = true;
+    if (mode === 'conversation') {
+      toggleSpeaker('clinician');
+    } else {
+      startListening(inputLanguage.recognition);
+    }
+  };
+
+  const stopPushToTalk = () => {
+    pushToTalkRef.current = false;
+    // Leaves a failed start on screen so its guidance stays visible.
+    if (recognition.status !== recognitionStates.error) {
+      recognition.stop();
+    }
+  };
+
+  const openLanguageSettings = () => {
+    if (showSettings) {
+      languageSearchRef.current?.focus();
+      return;
+    }
+    focusLanguageSearchRef.current = true;
+    setShowSettings(true);
+  };
+
+  useEffect(() => {
+    if (showSettings && focusLanguageSearchRef.current) {
+      focusLanguageSearchRef.current = false;
+      languageSearchRef.current?.focus();
+    }
+  }, [showSettings]);
+
+  const dialogOpen = showSettings || showHistory || showSessionDetails || showRecordingConsent || showLanguageGrid || showPatientView;
+
+  useEffect(() => {
+    shortcutHandlerRef.current = (event) => {
+      if (event.type === 'keyup' || event.type === 'blur') {
+        if (pushToTalkRef.current && (event.type === 'blur' || event.code === 'Space')) {
+          // Otherwise releasing Space also presses a focused button.
+          event.preventDefault();
+          stopPushToTalk();
+        }
+        return;
+      }
+
+      const shortcut = shortcutFor(event);
+      if (shortcut === 'languages') {
+        event.preventDefault();
+        if (showSettings || !dialogOpen) openLanguageSettings();
+        return;
+      }
+      if (!shortcut || dialogOpen) return;
+
+      event.preventDefault();
+      if (event.repeat) return;
+      if (shortcut === 'push-to-talk') {
+        startPushToTalk();
+      } else if (shortcut === 'speak' && canSpeak) {
+        speakLatest();
+      }
     };
-    
-    synthRef.current.speak(utterance);
+  });
+
+  useEffect(() => {
+    const handleEvent = (event) => shortcutHandlerRef.current(event);
+    window.addEventListener('keydown', handleEvent);
+    window.addEventListener('keyup', handleEvent);
+    window.addEventListener('blur', handleEvent);
+    return () => {
+      window.removeEventListener('keydown', handleEvent);
+      window.removeEventListener('keyup', handleEvent);
+      window.removeEventListener('blur', handleEvent);
+    };
+  }, []);
+
+  const currentSession = () => ({
+    segments,
+    sourceLang: inputLanguage.mt,
+    targetLang: outputLanguage.mt,
+    details: trimmedDetails(sessionDetails),
+    audit: auditLog,
+    startedAt: sessionStartedAt,
+    exportedAt: Date.now(),
+    languageName: languageNameForCode,
+    recording: recordingConsent,
+  });
+
+  const exportTranscript = (formatId) => {
+    exportSession(currentSession(), formatId);
+    logEvent('export', { format: formatId });
+  };
+
+  const printTranscript = () => {
+    if (printSession(currentSession())) {
+      logEvent('export', { format: 'print' });
+    } else {
+      setError({ key: 'errors.printBlocked' });
+    }
+  };
+
+  // Audio is never saved to history, so offsets from a reopened session
+  // would point into the wrong recording.
+  const reopenSession = (session) => {
+    stopListening();
+    discardRecording();
+    setSessionId(session.id);
+    setSegments(session.segments.map(segment => ({ ...segment, audio: null })));
+    setSessionStartedAt(session.startedAt);
+    const details = sessionDetailsOf(session);
+    setSessionDetails(details);
+    loggedDetailsRef.current = trimmedDetails(details);
+    setAuditLog(appendAuditEvent(session.audit ?? [], 'session-reopened', { sessionId: session.id }));
+    setInputLang(session.inputLang || languageForCode(session.sourceLang)?.id || defaultInputLang);
+    setOutputLang(session.outputLang || languageForCode(session.targetLang)?.id || defaultOutputLang);
+    setShowHistory(false);
+  };
+
+  const startRecording = async () => {
+    setShowRecordingConsent(false);
+    clipPlayer.stop();
+    recorder.discard();
+    setSegments(prev => prev.map(segment => (segment.audio ? { ...segment, audio: null } : segment)));
+    try {
+      await recorder.start();
+      setRecordingConsent({ consentedAt: Date.now(), mimeType: recorder.blob().type });
+      setSessionStartedAt(prev => prev ?? Date.now());
+    } catch (err) {
+      console.error('Recording error:', err);
+      setError({ key: 'errors.recordingFailed' });
+    }
+  };
+
+  const discardRecording = () => {
+    clipPlayer.stop();
+    recorder.discard();
+    setRecordingConsent(null);
+  };
+
+  const replaySegment = (segment) => {
+    if (playingSegmentId === segment.id) {
+      clipPlayer.stop();
+      return;
+    }
+    speechQueue.stop();
+    setPlayingSegmentId(segment.id);
+    clipPlayer.play(recorder.url(), segment.audio.start, segment.audio.end).catch((err) => {
+      console.error('Replay error:', err);
+      setPlayingSegmentId(null);
+      setError({ key: 'errors.replayFailed' });
+    });
+  };
+
+  const recordingQuestion = phrases.find(p => p.id === 'consent-recording').text[patientLanguage.mt];
+
+  const exportEncounterRecording = () => {
+    exportRecording(currentSession(), recorder.blob());
+    logEvent('export', { format: 'recording' });
   };
 
+  // Clearing ends the session. Its history record is saved at once with the
+  // clear as its last event, and the next one starts its own log without the
+  // previous patient's case ID or interpreter acknowledgement.
   const clearTranscripts = () => {
-    setOriginalText('');
-    setTranslatedText('');
-    setError('');
+    if (canSaveHistory && segments.length) {
+      const audit = appendAuditEvent(auditLog, 'cleared', { segments: segments.length });
+      saveSession(historyKey, { ...sessionRecord, audit, updatedAt: Date.now() }).catch((err) => {
+        console.error('Failed to save session:', err);
+        setError({ key: 'errors.historySaveFailed' });
+      });
+    }
+    const details = trimmedDetails(carriedOverDetails(sessionDetails));
+    setSessionDetails(details);
+    loggedDetailsRef.current = details;
+    setAuditLog(Object.entries(details)
+      .filter(([, value]) => value)
+      .reduce(
+        (log, [field, value]) => appendAuditEvent(log, 'details-changed', { field, value }),
+        appendAuditEvent([], 'session-started', { previousSessionId: sessionId, clearedSegments: segments.length })
+      ));
+    segmentRequestsRef.current.forEach(controller => controller.abort());
+    segmentRequestsRef.current.clear();
+    setSegments([]);
+    setSessionStartedAt(null);
+    setSessionId(crypto.randomUUID());
+    setDetection(null);
+    discardRecording();
+    setInterimText('');
+    setProvisional(noProvisional);
+    setError(null);
+  };
+
+  const toggleAutoDetect = () => {
+    setAutoDetect(prev => !prev);
+    setDetection(null);
+  };
+
+  const changeLanguage = (role, id) => {
+    const current = role === 'input' ? inputLang : outputLang;
+    if (id === current) return;
+    logEvent('language-changed', { role, from: current, to: id });
+    if (role === 'input') {
+      setInputLang(id);
+    } else {
+      setOutputLang(id);
+    }
   };
 
   const swapLanguages = () => {
-    const temp = inputLang;
-    setInputLang(outputLang.includes('-') ? outputLang : `${outputLang}-${outputLang.toUpperCase()}`);
-    setOutputLang(languages[temp].code);
+    logEvent('languages-swapped', { input: outputLang, output: inputLang });
+    setInputLang(outputLang);
+    setOutputLang(inputLang);
   };
 
   return (
@@ -192,6 +1007,13 @@ const HealthcareTranslator = () => {
         <div className="absolute -bottom-20 left-1/2 w-72 h-72 bg-pink-300 rounded-full mix-blend-multiply filter blur-xl opacity-20 animate-pulse" style={{animationDelay: '4s'}}></div>
       </div>
 
+      {/* Screen reader announcements */}
+      <div aria-live="polite" className="sr-only">
+        {latestTranslation && (
+          <p key={latestTranslation.id} lang={latestTranslation.targetLang}>{latestTranslation.translatedText}</p>
+        )}
+      </div>
+
       {/* Header */}
       <header className="relative backdrop-blur-lg bg-white/80 shadow-xl border-b border-white/20">
         <div className="max-w-7xl mx-auto px-4 py-6 sm:px-6 lg:px-8">
@@ -209,70 +1031,125 @@ const HealthcareTranslator = () => {
                 </h1>
                 <p className="text-sm text-gray-600 flex items-center gap-1">
                   <Sparkles className="w-3 h-3" />
-                  AI-Powered Healthcare Communication
+                  {t('app.tagline')}
                 </p>
               </div>
             </div>
-            <button
-              onClick={() => setShowSettings(!showSettings)}
-              className="relative group p-3 rounded-xl bg-white/50 hover:bg-white/80 transition-all duration-300 shadow-lg hover:shadow-xl"
-            >
-              <Settings className={`w-6 h-6 text-gray-700 transition-transform duration-300 ${showSettings ? 'rotate-90' : ''}`} />
-            </button>
+            <div className="flex items-center gap-3">
+              {setLocale && (
+                <select
+                  value={locale}
+                  onChange={(e) => setLocale(e.target.value)}
+                  aria-label={t('header.interfaceLanguage')}
+                  title={t('header.interfaceLanguage')}
+                  className="px-3 py-3 rounded-xl bg-white/50 hover:bg-white/80 text-sm font-semibold text-gray-700 shadow-lg transition-all duration-300"
+                >
+                  {Object.entries(uiLocales).map(([id, { name }]) => (
+                    <option key={id} value={id} lang={id}>{name}</option>
+                  ))}
+                </select>
+              )}
+              {!isOnline && (
+                <div role="status" className="flex items-center gap-2 px-4 py-2 bg-amber-100 text-amber-800 rounded-full shadow-lg text-sm font-bold">
+                  <WifiOff className="w-4 h-4" />
+                  {t('header.offline')}
+                </div>
+              )}
+              <button
+                onClick={() => setShowSessionDetails(true)}
+                aria-label={t('header.sessionDetails')}
+                title={t('header.sessionDetails')}
+                className="relative group p-3 rounded-xl bg-white/50 hover:bg-white/80 transition-all duration-300 shadow-lg hover:shadow-xl"
+              >
+                <ClipboardList className="w-6 h-6 text-gray-700" />
+              </button>
+              <button
+                onClick={() => setShowHistory(true)}
+                aria-label={t('header.history')}
+                title={t('header.history')}
+                className="relative group p-3 rounded-xl bg-white/50 hover:bg-white/80 transition-all duration-300 shadow-lg hover:shadow-xl"
+              >
+                <History className="w-6 h-6 text-gray-700" />
+              </button>
+              <button
+                onClick={() => setShowSettings(!showSettings)}
+                aria-label={t('header.settings')}
+                aria-haspopup="dialog"
+                title={t('header.settingsShortcut')}
+                className="relative group p-3 rounded-xl bg-white/50 hover:bg-white/80 transition-all duration-300 shadow-lg hover:shadow-xl"
+              >
+                <Settings className={`w-6 h-6 text-gray-700 transition-transform duration-300 ${showSettings ? 'rotate-90' : ''}`} />
+              </button>
+            </div>
           </div>
         </div>
       </header>
 
+      {showSessionDetails && (
+        <SessionDrawer
+          details={sessionDetails}
+          onChange={updateSessionDetails}
+          onCommit={commitSessionDetail}
+          auditLog={auditLog}
+          onClose={() => setShowSessionDetails(false)}
+        />
+      )}
+
+      {showHistory && (
+        <HistoryDrawer
+          settings={historySettings}
+          onSettingsChange={updateHistorySettings}
+          historyKey={historyKey}
+          onUnlock={unlockSessionHistory}
+          onLock={() => setHistoryKey(null)}
+          onReopen={reopenSession}
+          onClose={() => setShowHistory(false)}
+          languageName={(code) => {
+            const language = languageForCode(code);
+            return language ? t.languageName(language) : code;
+          }}
+        />
+      )}
+
       <main className="relative max-w-7xl mx-auto px-4 py-8 sm:px-6 lg:px-8">
         {/* Language Selection Modal */}
         {showSettings && (
           <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/40 backdrop-blur-sm">
-            <div className="bg-white rounded-3xl shadow-2xl p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative animate-in">
+            <div
+              ref={settingsDialogRef}
+              role="dialog"
+              aria-modal="true"
+              aria-labelledby="settings-title"
+              tabIndex={-1}
+              className="bg-white rounded-3xl shadow-2xl p-8 max-w-3xl w-full max-h-[90vh] overflow-y-auto relative animate-in"
+            >
               <button
                 onClick={() => setShowSettings(false)}
+                aria-label={t('settings.close')}
                 className="absolute top-6 right-6 p-2 rounded-full hover:bg-gray-100 transition-colors"
               >
                 <X className="w-6 h-6 text-gray-500" />
               </button>
               
-              <h2 className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
+              <h2 id="settings-title" className="text-2xl font-bold text-gray-900 mb-6 flex items-center gap-2">
                 <Settings className="w-6 h-6" />
-                Language Settings
+                {t('settings.title')}
               </h2>
               
               <div className="grid md:grid-cols-2 gap-8">
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-3">
-                    🎤 Input Language (Speaking)
-                  </label>
-                  <select
-                    value={inputLang}
-                    onChange={(e) => setInputLang(e.target.value)}
-                    className="w-full px-4 py-4 text-lg border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all bg-gradient-to-r from-blue-50 to-purple-50"
-                  >
-                    {Object.entries(languages).map(([code, lang]) => (
-                      <option key={code} value={code}>
-                        {lang.flag} {lang.name}
-                      </option>
-                    ))}
-                  </select>
-                </div>
-                <div>
-                  <label className="block text-sm font-semibold text-gray-700 mb-3">
-                    🔊 Output Language (Translation)
-                  </label>
-                  <select
-                    value={outputLang}
-                    onChange={(e) => setOutputLang(e.target.value)}
-                    className="w-full px-4 py-4 text-lg border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-purple-500/20 focus:border-purple-500 transition-all bg-gradient-to-r from-purple-50 to-pink-50"
-                  >
-                    {Object.entries(languages).map(([code, lang]) => (
-                      <option key={lang.code} value={lang.code}>
-                        {lang.flag} {lang.name}
-                      </option>
-                    ))}
-                  </select>
-                </div>
+                <LanguagePicker
+                  label={t('settings.inputLanguage')}
+                  value={inputLang}
+                  onChange={id => changeLanguage('input', id)}
+                  accent="blue"
+                  searchRef={languageSearchRef}
+                />
+                <LanguagePicker
+                  label={t('settings.outputLanguage')}
+                  value={outputLang}
+                  onChange={id => changeLanguage('output', id)}
+                  accent="purple"
+                />
               </div>
               
               <div className="flex justify-center mt-8">
@@ -281,16 +1158,300 @@ const HealthcareTranslator = () => {
                   className="flex items-center space-x-2 px-6 py-3 text-purple-600 bg-purple-50 hover:bg-purple-100 rounded-xl transition-all duration-300 font-medium shadow-md hover:shadow-lg"
                 >
                   <ArrowRightLeft className="w-5 h-5" />
-                  <span>Swap Languages</span>
+                  <span>{t('settings.swap')}</span>
                 </button>
               </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <Server className="w-5 h-5" />
+                  {t('settings.provider.title')}
+                </h3>
+                {providerOverride ? (
+                  <p className="text-sm text-gray-600">{t('settings.provider.hostProvided', { name: providerOverride.name })}</p>
+                ) : (
+                  <div className="space-y-4">
+                    <select
+                      aria-label={t('settings.provider.label')}
+                      value={providerConfig.id}
+                      onChange={(e) => updateProviderConfig({ id: e.target.value })}
+                      className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                    >
+                      {Object.keys(providerNames).map(id => (
+                        <option key={id} value={id}>{t(`settings.provider.names.${id}`)}</option>
+                      ))}
+                    </select>
+                    {providerConfig.id === 'libretranslate' && (
+                      <div className="grid md:grid-cols-2 gap-4">
+                        <div>
+                          <label htmlFor="libretranslate-url" className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.provider.serverUrl')}</label>
+                          <input
+                            id="libretranslate-url"
+                            type="url"
+                            value={providerConfig.libreTranslateUrl}
+                            onChange={(e) => updateProviderConfig({ libreTranslateUrl: e.target.value })}
+                            className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                          />
+                        </div>
+                        <div>
+                          <label htmlFor="libretranslate-key" className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.provider.apiKey')}</label>
+                          <input
+                            id="libretranslate-key"
+                            type="password"
+                            value={providerConfig.libreTranslateApiKey}
+                            onChange={(e) => updateProviderConfig({ libreTranslateApiKey: e.target.value })}
+                            className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                          />
+                        </div>
+                      </div>
+                    )}
+                  </div>
+                )}
+                {pairWarning && (
+                  <p className="mt-4 text-sm font-medium text-amber-700 bg-amber-50 rounded-lg p-3">{t(pairWarning.key, pairWarning.params)}</p>
+                )}
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <RedactionSettings settings={redactionSettings} onChange={updateRedactionSettings} />
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <Mic className="w-5 h-5" />
+                  {t('settings.recognition.title')}
+                </h3>
+                <div className="space-y-4">
+                  <select
+                    aria-label={t('settings.recognition.label')}
+                    value={recognitionConfig.id}
+                    onChange={(e) => updateRecognitionConfig({ id: e.target.value })}
+                    className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                  >
+                    {availableEngineIds({ transcriber }).map(id => (
+                      <option key={id} value={id}>{t(`settings.recognition.engines.${id}`)}</option>
+                    ))}
+                  </select>
+                  {recognitionConfig.id === 'webspeech' && (
+                    <p className="text-sm text-gray-600">
+                      {t('settings.recognition.webSpeechNote')}
+                    </p>
+                  )}
+                  {recognitionConfig.id === 'whisper' && (
+                    <div className="grid md:grid-cols-2 gap-4">
+                      <div>
+                        <label htmlFor="whisper-url" className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.recognition.endpoint')}</label>
+                        <input
+                          id="whisper-url"
+                          type="url"
+                          value={recognitionConfig.whisperUrl}
+                          onChange={(e) => updateRecognitionConfig({ whisperUrl: e.target.value })}
+                          className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                        />
+                      </div>
+                      <div>
+                        <label htmlFor="whisper-model" className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.recognition.model')}</label>
+                        <input
+                          id="whisper-model"
+                          type="text"
+                          value={recognitionConfig.whisperModel}
+                          onChange={(e) => updateRecognitionConfig({ whisperModel: e.target.value })}
+                          className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                        />
+                      </div>
+                    </div>
+                  )}
+                  <div>
+                    <label htmlFor="silence-timeout" className="block text-sm font-semibold text-gray-700 mb-2">{t('settings.recognition.silence')}</label>
+                    <select
+                      id="silence-timeout"
+                      value={silenceTimeout}
+                      onChange={(e) => setSilenceTimeout(Number(e.target.value))}
+                      className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:ring-4 focus:ring-blue-500/20 focus:border-blue-500 transition-all"
+                    >
+                      {silenceTimeoutOptions.map(seconds => (
+                        <option key={seconds} value={seconds}>{t(`settings.recognition.silenceOptions.${seconds}`)}</option>
+                      ))}
+                    </select>
+                  </div>
+                  {recognitionConfig.id === 'local' && (
+                    <p className="text-sm text-gray-600">{t('settings.recognition.localNote')}</p>
+                  )}
+                  {!isEngineSupported(recognitionConfig, { transcriber }) && (
+                    <p className="text-sm font-medium text-amber-700 bg-amber-50 rounded-lg p-3">
+                      {t('settings.recognition.unsupported')}
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <Database className="w-5 h-5" />
+                  {t('settings.cache.title')}
+                </h3>
+                <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={persistCache}
+                      onChange={(e) => setPersistCache(e.target.checked)}
+                      className="mt-1 w-5 h-5 accent-purple-600"
+                    />
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold block">{t('settings.cache.keep')}</span>
+                      {t('settings.cache.keepHint')}
+                    </span>
+                  </label>
+                  <button
+                    onClick={() => translationCache.clear()}
+                    className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-xl transition-all"
+                  >
+                    {t('settings.cache.clear')}
+                  </button>
+                </div>
+              </div>
+
+              {canSpeak && (
+                <div className="mt-8 pt-8 border-t border-gray-200">
+                  <TtsSettings
+                    settings={ttsSettings}
+                    onChange={updateTtsSettings}
+                    voices={voices}
+                    locale={outputLanguage.tts}
+                    languageCode={outputLanguage.mt}
+                    languageName={t.languageName(outputLanguage)}
+                    onTest={() => speak(
+                      phrases.find(p => p.id === 'general-doctor-soon').text[outputLanguage.mt] || outputLanguage.nativeName,
+                      outputLanguage.mt
+                    )}
+                  />
+                </div>
+              )}
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <ShieldCheck className="w-5 h-5" />
+                  {t('settings.confidence.title')}
+                </h3>
+                <div className="space-y-4">
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={checkBackTranslation}
+                      onChange={(e) => setCheckBackTranslation(e.target.checked)}
+                      className="mt-1 w-5 h-5 accent-purple-600"
+                    />
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold block">{t('settings.confidence.backTranslate')}</span>
+                      {t('settings.confidence.backTranslateHint')}
+                    </span>
+                  </label>
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={holdLowConfidence}
+                      onChange={(e) => setHoldLowConfidence(e.target.checked)}
+                      className="mt-1 w-5 h-5 accent-purple-600"
+                    />
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold block">{t('settings.confidence.hold')}</span>
+                      {t('settings.confidence.holdHint')}
+                    </span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <GlossaryEditor
+                  entries={customGlossary}
+                  sourceLang={inputLanguage.mt}
+                  targetLang={outputLanguage.mt}
+                  onAdd={addGlossaryEntry}
+                  onRemove={removeGlossaryEntry}
+                />
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <Sparkles className="w-5 h-5" />
+                  {t('settings.captions.title')}
+                </h3>
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={showProvisional}
+                    onChange={(e) => setShowProvisional(e.target.checked)}
+                    className="mt-1 w-5 h-5 accent-purple-600"
+                  />
+                  <span className="text-sm text-gray-700">
+                    <span className="font-semibold block">{t('settings.captions.provisional')}</span>
+                    {t('settings.captions.provisionalHint')}
+                  </span>
+                </label>
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <Accessibility className="w-5 h-5" />
+                  {t('settings.display.title')}
+                </h3>
+                <div className="space-y-4">
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={displaySettings.highContrast}
+                      onChange={(e) => updateDisplaySettings({ highContrast: e.target.checked })}
+                      className="mt-1 w-5 h-5 accent-purple-600"
+                    />
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold block">{t('settings.display.highContrast')}</span>
+                      {t('settings.display.highContrastHint')}
+                    </span>
+                  </label>
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={displaySettings.largeText}
+                      onChange={(e) => updateDisplaySettings({ largeText: e.target.checked })}
+                      className="mt-1 w-5 h-5 accent-purple-600"
+                    />
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold block">{t('settings.display.largeText')}</span>
+                      {t('settings.display.largeTextHint')}
+                    </span>
+                  </label>
+                </div>
+              </div>
+
+              <div className="mt-8 pt-8 border-t border-gray-200">
+                <h3 className="text-lg font-bold text-gray-900 mb-4 flex items-center gap-2">
+                  <Keyboard className="w-5 h-5" />
+                  {t('settings.shortcuts.title')}
+                </h3>
+                <dl className="grid sm:grid-cols-2 gap-3">
+                  {shortcuts.filter(shortcut => canSpeak || shortcut.id !== 'speak').map(shortcut => (
+                    <div key={shortcut.id} className="flex items-center justify-between gap-3 px-4 py-2 bg-gray-50 rounded-xl">
+                      <dt className="text-sm text-gray-700">{t(`settings.shortcuts.actions.${shortcut.id}`)}</dt>
+                      <dd className="flex gap-1">
+                        {shortcut.keys.map(key => (
+                          <kbd key={key} className="px-2 py-0.5 text-xs font-semibold text-gray-700 bg-white border border-gray-300 rounded-md shadow-sm">
+                            {key}
+                          </kbd>
+                        ))}
+                      </dd>
+                    </div>
+                  ))}
+                </dl>
+                <p className="text-xs text-gray-500 mt-3">{t('settings.shortcuts.note')}</p>
+              </div>
             </div>
           </div>
         )}
 
         {/* Error Message */}
         {error && (
-          <div className="backdrop-blur-lg bg-red-50/90 border-2 border-red-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
+          <div role="alert" className="backdrop-blur-lg bg-red-50/90 border-2 border-red-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
             <div className="flex items-start space-x-3">
               <div className="flex-shrink-0 bg-red-100 rounded-full p-2">
                 <svg className="w-5 h-5 text-red-600" fill="currentColor" viewBox="0 0 20 20">
@@ -298,159 +1459,361 @@ const HealthcareTranslator = () => {
                 </svg>
               </div>
               <div className="flex-1">
-                <p className="text-red-800 text-sm font-semibold">{error}</p>
-                {error.includes('not allowed') || error.includes('denied') ? (
-                  <div className="mt-3 text-xs text-red-700 bg-red-100/50 rounded-lg p-3">
-                    <p className="font-bold mb-2">How to fix:</p>
-                    <ul className="list-disc list-inside space-y-1 ml-2">
-                      <li>Click the 🔒 or 🎤 icon in your browser's address bar</li>
-                      <li>Select "Allow" for microphone access</li>
-                      <li>Reload the page and try again</li>
-                    </ul>
-                  </div>
-                ) : null}
+                <p className="text-red-800 text-sm font-semibold">{t(error.key, error.params)}</p>
               </div>
             </div>
           </div>
         )}
 
+        {!isOnline && (
+          <div role="status" className="backdrop-blur-lg bg-amber-50/90 border-2 border-amber-200 rounded-2xl p-5 mb-6 shadow-lg animate-in">
+            <div className="flex items-start gap-3">
+              <div className="flex-shrink-0 bg-amber-100 rounded-full p-2">
+                <WifiOff className="w-5 h-5 text-amber-600" />
+              </div>
+              <div>
+                <p className="text-amber-900 text-sm font-semibold">{t('offline.title')}</p>
+                <p className="text-amber-800 text-sm mt-1">
+                  {t('offline.body')}
+                  {recognitionConfig.id === 'webspeech' && ` ${t('offline.webSpeech')}`}
+                </p>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <RecognitionStatus
+          state={recognitionState}
+          silenceTimeout={silenceTimeout}
+          onResume={() => recognition.resume()}
+          onRetry={retryListening}
+          onStop={stopListening}
+        />
+
+        {detection && (
+          <LanguageDetectionBanner
+            detection={detection}
+            onConfirm={confirmPatientLanguage}
+            onChooseManually={() => setShowLanguageGrid(true)}
+            onDismiss={() => setDetection(null)}
+          />
+        )}
+
         {/* Language Display Banner */}
         <div className="backdrop-blur-lg bg-white/70 rounded-2xl shadow-xl p-6 mb-6 border border-white/50">
           <div className="flex flex-col sm:flex-row items-center justify-center gap-4">
             <div className="flex items-center gap-3 px-6 py-3 bg-gradient-to-r from-blue-500 to-blue-600 rounded-xl text-white shadow-lg">
-              <span className="text-2xl">{languages[inputLang].flag}</span>
-              <span className="font-semibold">{languages[inputLang].name}</span>
+              <span className="text-2xl">{inputLanguage.flag}</span>
+              <span className="font-semibold">{t.languageName(inputLanguage)}</span>
             </div>
             <ArrowRightLeft className="w-6 h-6 text-gray-400 rotate-90 sm:rotate-0" />
             <div className="flex items-center gap-3 px-6 py-3 bg-gradient-to-r from-purple-500 to-pink-500 rounded-xl text-white shadow-lg">
-              <span className="text-2xl">{Object.values(languages).find(l => l.code === outputLang)?.flag}</span>
-              <span className="font-semibold">{Object.values(languages).find(l => l.code === outputLang)?.name}</span>
+              <span className="text-2xl">{outputLanguage.flag}</span>
+              <span className="font-semibold">{t.languageName(outputLanguage)}</span>
             </div>
           </div>
         </div>
 
         {/* Control Panel */}
         <div className="backdrop-blur-lg bg-white/70 rounded-3xl shadow-2xl p-8 mb-8 border border-white/50">
-          <div className="flex flex-col sm:flex-row items-center justify-center space-y-4 sm:space-y-0 sm:space-x-6">
+          <div className="flex justify-center mb-6">
+            <div className="inline-flex p-1 bg-gray-100 rounded-xl shadow-inner">
+              <button
+                onClick={() => changeMode('single')}
+                aria-pressed={mode === 'single'}
+                className={`flex items-center gap-2 px-5 py-2 rounded-lg font-semibold text-sm transition-all duration-300 ${
+                  mode === 'single' ? 'bg-white text-blue-600 shadow' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <Mic className="w-4 h-4" />
+                {t('controls.single')}
+              </button>
+              <button
+                onClick={() => changeMode('conversation')}
+                aria-pressed={mode === 'conversation'}
+                className={`flex items-center gap-2 px-5 py-2 rounded-lg font-semibold text-sm transition-all duration-300 ${
+                  mode === 'conversation' ? 'bg-white text-purple-600 shadow' : 'text-gray-500 hover:text-gray-700'
+                }`}
+              >
+                <MessageSquare className="w-4 h-4" />
+                {t('controls.conversation')}
+              </button>
+            </div>
+          </div>
+          <div className="flex flex-wrap justify-center gap-3 mb-6">
             <button
-              onClick={toggleListening}
-              className={`relative group flex items-center space-x-4 px-10 py-6 rounded-2xl font-bold text-xl transition-all duration-300 transform hover:scale-105 active:scale-95 shadow-2xl ${
-                isListening
-                  ? 'bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white'
-                  : 'bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white'
+              onClick={toggleAutoDetect}
+              aria-pressed={autoDetect}
+              className={`flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold border-2 transition-colors ${
+                autoDetect ? 'bg-amber-100 border-amber-300 text-amber-800' : 'bg-white border-gray-200 text-gray-600 hover:bg-gray-50'
               }`}
             >
-              <div className="absolute inset-0 rounded-2xl bg-white/20 blur-xl"></div>
-              {isListening ? (
-                <>
-                  <MicOff className="w-8 h-8 relative z-10" />
-                  <span className="relative z-10">Stop Recording</span>
-                </>
-              ) : (
-                <>
-                  <Mic className="w-8 h-8 relative z-10" />
-                  <span className="relative z-10">Start Recording</span>
-                </>
-              )}
+              <Languages className="w-4 h-4" />
+              {autoDetect ? t('controls.detecting') : t('controls.autoDetect')}
             </button>
+            <button
+              onClick={() => setShowLanguageGrid(true)}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold bg-white border-2 border-gray-200 text-gray-600 hover:bg-gray-50"
+            >
+              <Globe className="w-4 h-4" />
+              {t('controls.pointToLanguage')}
+            </button>
+            <button
+              onClick={() => setShowPatientView(true)}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold bg-white border-2 border-gray-200 text-gray-600 hover:bg-gray-50"
+            >
+              <MonitorSmartphone className="w-4 h-4" />
+              {t('controls.patientView')}
+            </button>
+            {isPatientChannelSupported && (
+              <button
+                onClick={openPatientWindow}
+                className="flex items-center gap-2 px-4 py-2 rounded-xl text-sm font-semibold bg-white border-2 border-gray-200 text-gray-600 hover:bg-gray-50"
+              >
+                <ExternalLink className="w-4 h-4" />
+                {t('controls.secondScreen')}
+              </button>
+            )}
+          </div>
+          <div className="flex flex-col sm:flex-row items-center justify-center space-y-4 sm:space-y-0 sm:space-x-6">
+            {mode === 'single' ? (
+              <button
+                onClick={toggleListening}
+                title={t('controls.listenHint')}
+                className={`relative group flex items-center space-x-4 px-10 py-6 rounded-2xl font-bold text-xl transition-all duration-300 transform hover:scale-105 active:scale-95 shadow-2xl ${
+                  isListening
+                    ? 'bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600 text-white'
+                    : 'bg-gradient-to-r from-blue-600 to-purple-600 hover:from-blue-700 hover:to-purple-700 text-white'
+                }`}
+              >
+                <div className="absolute inset-0 rounded-2xl bg-white/20 blur-xl"></div>
+                {isListening ? (
+                  <>
+                    <MicOff className="w-8 h-8 relative z-10" />
+                    <span className="relative z-10">{t('controls.stopListening')}</span>
+                  </>
+                ) : (
+                  <>
+                    <Mic className="w-8 h-8 relative z-10" />
+                    <span className="relative z-10">{t('controls.startListening')}</span>
+                  </>
+                )}
+              </button>
+            ) : (
+              ['clinician', 'patient'].map((speaker) => {
+                const SpeakerIcon = speaker === 'clinician' ? Stethoscope : User;
+                const isActive = activeSpeaker === speaker;
+                return (
+                  <button
+                    key={speaker}
+                    onClick={() => toggleSpeaker(speaker)}
+                    aria-pressed={isActive}
+                    className={`relative group flex items-center space-x-3 px-8 py-5 rounded-2xl font-bold text-lg transition-all duration-300 transform hover:scale-105 active:scale-95 shadow-2xl text-white ${
+                      isActive
+                        ? 'bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600'
+                        : speaker === 'clinician'
+                          ? 'bg-gradient-to-r from-blue-600 to-blue-500 hover:from-blue-700 hover:to-blue-600'
+                          : 'bg-gradient-to-r from-purple-600 to-pink-500 hover:from-purple-700 hover:to-pink-600'
+                    }`}
+                  >
+                    <div className="absolute inset-0 rounded-2xl bg-white/20 blur-xl"></div>
+                    {isActive ? <MicOff className="w-7 h-7 relative z-10" /> : <SpeakerIcon className="w-7 h-7 relative z-10" />}
+                    <span className="relative z-10">{speakers[speaker].label}</span>
+                    <span className="relative z-10 text-2xl">{speakers[speaker].language.flag}</span>
+                  </button>
+                );
+              })
+            )}
 
             {isListening && (
-              <div className="flex items-center space-x-3 px-6 py-3 bg-red-100 rounded-full shadow-lg animate-pulse">
+              <div role="status" className="flex items-center space-x-3 px-6 py-3 bg-red-100 rounded-full shadow-lg animate-pulse">
                 <div className="relative flex h-4 w-4">
                   <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-75"></span>
                   <span className="relative inline-flex rounded-full h-4 w-4 bg-red-500"></span>
                 </div>
-                <span className="text-sm font-bold text-red-600">LIVE</span>
+                <span className="text-sm font-bold text-red-600">{t('controls.live')}</span>
               </div>
             )}
 
+            {isRecordingSupported && (
+              recordingStatus === 'recording' || recordingStatus === 'paused' ? (
+                <div className="flex items-center gap-2 px-4 py-3 bg-white rounded-xl shadow-lg border-2 border-red-200">
+                  <Circle className={`w-4 h-4 text-red-500 fill-red-500 ${recordingStatus === 'recording' ? 'animate-pulse' : 'opacity-40'}`} />
+                  <span className="text-sm font-bold text-red-600 mr-2">{recordingStatus === 'recording' ? t('recording.recording') : t('recording.paused')}</span>
+                  <button
+                    onClick={() => (recordingStatus === 'recording' ? recorder.pause() : recorder.resume())}
+                    title={recordingStatus === 'recording' ? t('recording.pause') : t('recording.resume')}
+                    aria-label={recordingStatus === 'recording' ? t('recording.pause') : t('recording.resume')}
+                    className="p-2 rounded-lg text-gray-700 hover:bg-gray-100"
+                  >
+                    {recordingStatus === 'recording' ? <Pause className="w-4 h-4" /> : <Play className="w-4 h-4" />}
+                  </button>
+                  <button onClick={() => recorder.stop()} title={t('recording.stop')} aria-label={t('recording.stop')} className="p-2 rounded-lg text-gray-700 hover:bg-gray-100">
+                    <Square className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => setShowRecordingConsent(true)}
+                  className="flex items-center gap-2 px-8 py-4 bg-white hover:bg-red-50 text-gray-700 rounded-xl font-semibold transition-all duration-300 shadow-lg hover:shadow-xl border-2 border-gray-200"
+                >
+                  <Circle className="w-5 h-5 text-red-500 fill-red-500" />
+                  {t('recording.record')}
+                </button>
+              )
+            )}
+
+            <ExportMenu
+              disabled={segments.length === 0}
+              onExport={exportTranscript}
+              onPrint={printTranscript}
+              onExportRecording={recordingStatus !== 'idle' ? exportEncounterRecording : null}
+            />
+
             <button
               onClick={clearTranscripts}
               className="px-8 py-4 bg-white hover:bg-gray-50 text-gray-700 rounded-xl font-semibold transition-all duration-300 shadow-lg hover:shadow-xl border-2 border-gray-200"
             >
-              Clear All
+              {t('controls.clearAll')}
             </button>
           </div>
         </div>
 
+        {/* Text Input & Phrase Board */}
+        <div className="backdrop-blur-lg bg-white/70 rounded-3xl shadow-2xl p-8 mb-8 border border-white/50 space-y-6">
+          <TextComposer mode={mode} speakers={speakers} onSubmit={submitTypedText} />
+          <PhraseBoard speakers={speakers} onSelect={selectPhrase} />
+        </div>
+
         {/* Transcripts */}
-        <div className="grid lg:grid-cols-2 gap-6">
-          {/* Original Transcript */}
-          <div className="backdrop-blur-lg bg-white/80 rounded-3xl shadow-2xl overflow-hidden border border-white/50 transform transition-all duration-300 hover:scale-[1.02]">
-            <div className="bg-gradient-to-r from-blue-600 via-blue-500 to-purple-600 px-6 py-5 relative overflow-hidden">
+        {mode === 'conversation' ? (
+          <div className="backdrop-blur-lg bg-white/80 rounded-3xl shadow-2xl overflow-hidden border border-white/50">
+            <div className="bg-gradient-to-r from-blue-600 via-purple-600 to-pink-500 px-6 py-5 relative overflow-hidden">
               <div className="absolute inset-0 bg-white/10 backdrop-blur-sm"></div>
               <h2 className="text-xl font-bold text-white relative z-10 flex items-center gap-2">
-                <span className="text-2xl">{languages[inputLang].flag}</span>
-                Original Text
+                <MessageSquare className="w-6 h-6" />
+                {t('controls.conversation')}
               </h2>
-              <p className="text-blue-100 text-sm mt-1 relative z-10">{languages[inputLang].name}</p>
+              <p className="text-purple-100 text-sm mt-1 relative z-10">
+                {t.languageName(inputLanguage)} ⇄ {t.languageName(outputLanguage)}
+              </p>
             </div>
             <div className="p-6">
-              <div className="min-h-[350px] max-h-[500px] overflow-y-auto custom-scrollbar">
-                {originalText ? (
-                  <p className="text-gray-800 text-lg leading-relaxed whitespace-pre-wrap font-medium">
-                    {originalText}
-                  </p>
-                ) : (
-                  <div className="flex flex-col items-center justify-center h-full text-center">
-                    <Mic className="w-16 h-16 text-gray-300 mb-4" />
-                    <p className="text-gray-400 italic text-lg">
-                      Click "Start Recording" to begin speaking...
-                    </p>
-                  </div>
-                )}
+              <div className="min-h-[350px] max-h-[600px] overflow-y-auto custom-scrollbar">
+                <ConversationTimeline
+                  segments={segments}
+                  speakers={speakers}
+                  onSpeak={canSpeak ? speakSegment : null}
+                  interim={interim}
+                  onRetry={retrySegment}
+                  onAcknowledge={acknowledgeSegment}
+                  onReplay={recordingStatus !== 'idle' ? replaySegment : null}
+                  playingId={playingSegmentId}
+                />
               </div>
             </div>
           </div>
-
-          {/* Translated Transcript */}
-          <div className="backdrop-blur-lg bg-white/80 rounded-3xl shadow-2xl overflow-hidden border border-white/50 transform transition-all duration-300 hover:scale-[1.02]">
-            <div className="bg-gradient-to-r from-purple-600 via-pink-500 to-rose-600 px-6 py-5 flex items-center justify-between relative overflow-hidden">
-              <div className="absolute inset-0 bg-white/10 backdrop-blur-sm"></div>
-              <div className="relative z-10">
-                <h2 className="text-xl font-bold text-white flex items-center gap-2">
-                  <span className="text-2xl">{Object.values(languages).find(l => l.code === outputLang)?.flag}</span>
-                  Translation
+        ) : (
+          <div className="backdrop-blur-lg bg-white/80 rounded-3xl shadow-2xl overflow-hidden border border-white/50">
+            <div className="grid lg:grid-cols-2">
+              {/* Original Transcript */}
+              <div className="bg-gradient-to-r from-blue-600 via-blue-500 to-purple-600 px-6 py-5 relative overflow-hidden">
+                <div className="absolute inset-0 bg-white/10 backdrop-blur-sm"></div>
+                <h2 className="text-xl font-bold text-white relative z-10 flex items-center gap-2">
+                  <span className="text-2xl">{inputLanguage.flag}</span>
+                  {t('transcript.original')}
                 </h2>
-                <p className="text-purple-100 text-sm mt-1">
-                  {Object.values(languages).find(l => l.code === outputLang)?.name}
-                </p>
+                <p className="text-blue-100 text-sm mt-1 relative z-10">{t.languageName(inputLanguage)}</p>
+              </div>
+
+              {/* Translated Transcript */}
+              <div className="bg-gradient-to-r from-purple-600 via-pink-500 to-rose-600 px-6 py-5 flex items-center justify-between relative overflow-hidden">
+                <div className="absolute inset-0 bg-white/10 backdrop-blur-sm"></div>
+                <div className="relative z-10">
+                  <h2 className="text-xl font-bold text-white flex items-center gap-2">
+                    <span className="text-2xl">{outputLanguage.flag}</span>
+                    {t('transcript.translation')}
+                    {isTranslating && <Loader2 className="w-5 h-5 animate-spin" />}
+                  </h2>
+                  <p className="text-purple-100 text-sm mt-1">
+                    {t.languageName(outputLanguage)}
+                  </p>
+                </div>
+                {canSpeak && (
+                  <button
+                    onClick={speakTranslation}
+                    disabled={!translatedText}
+                    aria-label={isSpeaking ? t('transcript.stopSpeaking') : t('transcript.speak')}
+                    title={isSpeaking ? t('transcript.stopSpeakingShortcut') : t('transcript.speakShortcut')}
+                    className={`relative z-10 p-3 rounded-xl transition-all duration-300 ${
+                      translatedText
+                        ? 'bg-white/30 hover:bg-white/50 text-white shadow-lg hover:shadow-xl transform hover:scale-110'
+                        : 'bg-white/10 text-white/50 cursor-not-allowed'
+                    }`}
+                  >
+                    <Volume2 className={`w-6 h-6 ${isSpeaking ? 'animate-pulse' : ''}`} />
+                  </button>
+                )}
               </div>
-              <button
-                onClick={speakTranslation}
-                disabled={!translatedText || isSpeaking}
-                className={`relative z-10 p-3 rounded-xl transition-all duration-300 ${
-                  translatedText && !isSpeaking
-                    ? 'bg-white/30 hover:bg-white/50 text-white shadow-lg hover:shadow-xl transform hover:scale-110'
-                    : 'bg-white/10 text-white/50 cursor-not-allowed'
-                }`}
-              >
-                <Volume2 className={`w-6 h-6 ${isSpeaking ? 'animate-pulse' : ''}`} />
-              </button>
             </div>
             <div className="p-6">
               <div className="min-h-[350px] max-h-[500px] overflow-y-auto custom-scrollbar">
-                {isTranslating ? (
-                  <div className="flex flex-col items-center justify-center h-full">
-                    <Loader2 className="w-16 h-16 text-purple-600 animate-spin mb-4" />
-                    <p className="text-gray-500 font-medium">Translating with AI...</p>
-                  </div>
-                ) : translatedText ? (
-                  <p className="text-gray-800 text-lg leading-relaxed whitespace-pre-wrap font-medium">
-                    {translatedText}
-                  </p>
+                {segments.length > 0 || interim ? (
+                  <SegmentList
+                    segments={segments}
+                    interim={interim}
+                    onRetry={retrySegment}
+                    onAcknowledge={acknowledgeSegment}
+                    onSpeak={canSpeak ? speakSegment : null}
+                    onReplay={recordingStatus !== 'idle' ? replaySegment : null}
+                    playingId={playingSegmentId}
+                  />
                 ) : (
-                  <div className="flex flex-col items-center justify-center h-full text-center">
-                    <Sparkles className="w-16 h-16 text-gray-300 mb-4" />
-                    <p className="text-gray-400 italic text-lg">
-                      Translation will appear here...
-                    </p>
+                  <div className="grid lg:grid-cols-2 gap-6 min-h-[350px]">
+                    <div className="flex flex-col items-center justify-center text-center">
+                      <Mic className="w-16 h-16 text-gray-300 mb-4" />
+                      <p className="text-gray-400 italic text-lg">
+                        {t('transcript.emptySource')}
+                      </p>
+                    </div>
+                    <div className="flex flex-col items-center justify-center text-center">
+                      <Sparkles className="w-16 h-16 text-gray-300 mb-4" />
+                      <p className="text-gray-400 italic text-lg">
+                        {t('transcript.emptyTranslation')}
+                      </p>
+                    </div>
                   </div>
                 )}
               </div>
             </div>
           </div>
-        </div>
+        )}
+
+        {showPatientView && (
+          <PatientView
+            state={patientState}
+            rotated={patientViewRotated}
+            onRotate={() => setPatientViewRotated(!patientViewRotated)}
+            onReply={replyAsPatient}
+            onClose={() => setShowPatientView(false)}
+          />
+        )}
+
+        {showRecordingConsent && (
+          <RecordingConsent
+            question={recordingQuestion}
+            questionLang={patientLanguage.mt}
+            languageName={t.languageName(patientLanguage)}
+            replacesRecording={recordingStatus === 'stopped'}
+            onAsk={canSpeak ? () => speak(recordingQuestion, patientLanguage.mt) : null}
+            onConfirm={startRecording}
+            onCancel={() => setShowRecordingConsent(false)}
+          />
+        )}
+
+        {showLanguageGrid && (
+          <PointToLanguage onSelect={confirmPatientLanguage} onClose={() => setShowLanguageGrid(false)} />
+        )}
 
         {/* Info Cards */}
         <div className="grid md:grid-cols-2 gap-6 mt-8">
@@ -463,9 +1826,9 @@ const HealthcareTranslator = () => {
                 </svg>
               </div>
               <div>
-                <h3 className="font-bold text-blue-900 mb-2">Privacy & Security</h3>
+                <h3 className="font-bold text-blue-900 mb-2">{t('info.privacyTitle')}</h3>
                 <p className="text-sm text-blue-800 leading-relaxed">
-                  All translations are processed in real-time with no data storage. Your conversations remain private and confidential, complying with healthcare privacy standards.
+                  {t('info.privacy')}
                 </p>
               </div>
             </div>
@@ -478,9 +1841,9 @@ const HealthcareTranslator = () => {
                 <Sparkles className="w-5 h-5 text-white" />
               </div>
               <div>
-                <h3 className="font-bold text-purple-900 mb-2">Best Experience</h3>
+                <h3 className="font-bold text-purple-900 mb-2">{t('info.browserTitle')}</h3>
                 <p className="text-sm text-purple-800 leading-relaxed">
-                  Optimized for Chrome, Edge, and Safari browsers. Requires HTTPS or localhost with microphone permissions for voice input.
+                  {t('info.browser')}
                 </p>
               </div>
             </div>
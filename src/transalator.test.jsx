@@ -0,0 +1,352 @@
+import React from 'react';
+import { act, cleanup, render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import HealthcareTranslator from './transalator';
+import { FakeSpeechRecognition, createFakeFetch, failingFetch } from './test/fakes';
+
+const dictionary = {
+  'en|es': {
+    'The pain started this morning': 'El dolor empezó esta mañana',
+    'My back hurts': 'Me duele la espalda',
+  },
+  'es|en': {
+    'El dolor empezó esta mañana': 'The pain started this morning',
+    'Me duele la espalda': 'My back hurts',
+  },
+};
+
+const translate = (text, source, target) => dictionary[`${source}|${target}`]?.[text];
+
+const recognizer = () => FakeSpeechRecognition.latest();
+
+const startListening = async (user) => {
+  await user.click(screen.getByRole('button', { name: 'Start Recording' }));
+  await screen.findByRole('button', { name: 'Stop Recording' });
+};
+
+const say = (transcript) => act(() => recognizer().say(transcript));
+
+// The screen-reader live region repeats the latest translation, so text
+// queries are scoped to the transcript itself.
+const transcript = () => within(screen.getByRole('list'));
+
+const translationRequests = () =>
+  fetch.mock.calls.map(([input]) => Object.fromEntries(new URL(String(input)).searchParams));
+
+describe('HealthcareTranslator', () => {
+  let user;
+
+  beforeEach(() => {
+    vi.stubGlobal('fetch', createFakeFetch(translate));
+    user = userEvent.setup();
+    render(<HealthcareTranslator />);
+  });
+
+  describe('listening', () => {
+    it('starts the recognizer in the input language after asking for the microphone', async () => {
+      await startListening(user);
+
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
+      expect(recognizer().listening).toBe(true);
+      expect(recognizer().lang).toBe('en-US');
+      expect(screen.getByText('LIVE')).toBeInTheDocument();
+    });
+
+    it('stops the recognizer when stopped', async () => {
+      await startListening(user);
+      await user.click(screen.getByRole('button', { name: 'Stop Recording' }));
+
+      expect(recognizer().listening).toBe(false);
+      expect(screen.getByRole('button', { name: 'Start Recording' })).toBeInTheDocument();
+      expect(screen.queryByText('LIVE')).not.toBeInTheDocument();
+    });
+
+    it('explains a denied microphone', async () => {
+      navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(new DOMException('Permission denied', 'NotAllowedError'));
+      await user.click(screen.getByRole('button', { name: 'Start Recording' }));
+
+      expect(await screen.findByText(/Microphone access denied/)).toBeInTheDocument();
+      expect(recognizer().listening).toBe(false);
+    });
+  });
+
+  describe('translation', () => {
+    it('translates each final result', async () => {
+      await startListening(user);
+      say('The pain started this morning');
+
+      expect(await transcript().findByText('El dolor empezó esta mañana')).toBeInTheDocument();
+      expect(transcript().getByText('The pain started this morning')).toBeInTheDocument();
+      expect(translationRequests()[0]).toMatchObject({ q: 'The pain started this morning', langpair: 'en|es' });
+    });
+
+    it('does not translate interim results', async () => {
+      await startListening(user);
+      act(() => recognizer().say('The pain', { isFinal: false }));
+
+      expect(screen.getByText('The pain')).toBeInTheDocument();
+      expect(fetch).not.toHaveBeenCalled();
+    });
+
+    it('shows an error banner and a retry button when translation fails', async () => {
+      vi.stubGlobal('fetch', failingFetch());
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      await startListening(user);
+      say('The pain started this morning');
+
+      const alert = await screen.findByRole('alert');
+      expect(alert).toHaveTextContent('Translation failed. Please check your internet connection and try again.');
+      expect(screen.getByRole('button', { name: /Translation failed — retry/ })).toBeInTheDocument();
+    });
+
+    it('retries a failed segment', async () => {
+      vi.stubGlobal('fetch', failingFetch());
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      await startListening(user);
+      say('The pain started this morning');
+      const retry = await screen.findByRole('button', { name: /Translation failed — retry/ });
+
+      vi.stubGlobal('fetch', createFakeFetch(translate));
+      await user.click(retry);
+
+      expect(await transcript().findByText('El dolor empezó esta mañana')).toBeInTheDocument();
+    });
+  });
+
+  describe('provisional captions', () => {
+    beforeEach(async () => {
+      await user.click(screen.getByRole('button', { name: 'Settings' }));
+      await user.click(screen.getByLabelText(/Provisional translation while speaking/));
+      await user.click(screen.getByRole('button', { name: 'Close settings' }));
+      await startListening(user);
+    });
+
+    const sayInterim = (text) => act(() => recognizer().say(text, { isFinal: false }));
+
+    it('translates the caption while the speaker talks', async () => {
+      sayInterim('The pain started this morning');
+
+      expect(await transcript().findByText('El dolor empezó esta mañana')).toBeInTheDocument();
+    });
+
+    it('does not carry a caption translation over to the next utterance', async () => {
+      sayInterim('The pain started this morning');
+      await transcript().findByText('El dolor empezó esta mañana');
+      say('The pain started this morning');
+      await screen.findByText('100% match');
+      sayInterim('My back');
+
+      expect(transcript().getByText('My back')).toBeInTheDocument();
+      expect(transcript().getAllByText('El dolor empezó esta mañana')).toHaveLength(1);
+    });
+  });
+
+  describe('conversation mode', () => {
+    it('keeps segments from single mode, labelled as unattributed', async () => {
+      await startListening(user);
+      say('The pain started this morning');
+      await transcript().findByText('El dolor empezó esta mañana');
+
+      await user.click(screen.getByRole('button', { name: 'Conversation' }));
+
+      expect(transcript().getByText('El dolor empezó esta mañana')).toBeInTheDocument();
+      expect(transcript().getByText('Unattributed')).toBeInTheDocument();
+    });
+  });
+
+  describe('swapping languages', () => {
+    it('listens in the new input language and translates the other way', async () => {
+      await user.click(screen.getByRole('button', { name: 'Settings' }));
+      await user.click(screen.getByRole('button', { name: 'Swap Languages' }));
+      await user.click(screen.getByRole('button', { name: 'Close settings' }));
+
+      await startListening(user);
+      expect(recognizer().lang).toBe('es-ES');
+
+      say('Me duele la espalda');
+      expect(await transcript().findByText('My back hurts')).toBeInTheDocument();
+      expect(translationRequests()[0]).toMatchObject({ q: 'Me duele la espalda', langpair: 'es|en' });
+    });
+  });
+
+  describe('speaking', () => {
+    const translateOneSegment = async () => {
+      await startListening(user);
+      say('The pain started this morning');
+      await transcript().findByText('El dolor empezó esta mañana');
+      // Playback waits for the back-translation check.
+      await screen.findByText('100% match');
+    };
+
+    it('speaks the translation in the output language', async () => {
+      await translateOneSegment();
+      await user.click(screen.getByTitle('Speak translation (S)'));
+
+      const [utterance] = speechSynthesis.spoken;
+      expect(utterance.text).toBe('El dolor empezó esta mañana');
+      expect(utterance.lang).toBe('es-ES');
+      expect(screen.getByTitle('Stop speaking (S)')).toBeInTheDocument();
+
+      act(() => speechSynthesis.finish());
+      expect(screen.getByTitle('Speak translation (S)')).toBeInTheDocument();
+    });
+
+    it('speaks a single segment from its own button', async () => {
+      await translateOneSegment();
+      await user.click(transcript().getByRole('button', { name: 'Speak translation' }));
+
+      expect(speechSynthesis.spoken.map(utterance => utterance.text)).toEqual(['El dolor empezó esta mañana']);
+    });
+
+    it('holds back a translation flagged as unreliable', async () => {
+      vi.stubGlobal('fetch', createFakeFetch((text, source) => (source === 'en' ? 'Tengo hambre' : 'I am hungry')));
+      await startListening(user);
+      say('The pain started this morning');
+      await screen.findByRole('button', { name: 'Reviewed' });
+
+      await user.click(screen.getByTitle('Speak translation (S)'));
+
+      expect(speechSynthesis.speak).not.toHaveBeenCalled();
+      expect(screen.getByRole('alert')).toHaveTextContent('Review the flagged low-confidence translation');
+    });
+
+    it('holds back a translation until its confidence check finishes', async () => {
+      const answer = createFakeFetch(translate);
+      // The back-translation never answers, so the check stays in progress.
+      vi.stubGlobal('fetch', vi.fn((input) => (
+        new URL(String(input)).searchParams.get('langpair') === 'es|en' ? new Promise(() => {}) : answer(input)
+      )));
+      await startListening(user);
+      say('The pain started this morning');
+      await transcript().findByText('El dolor empezó esta mañana');
+      expect(transcript().getByText('Checking')).toBeInTheDocument();
+
+      await user.click(transcript().getByRole('button', { name: 'Speak translation' }));
+      await user.click(screen.getByTitle('Speak translation (S)'));
+
+      expect(speechSynthesis.speak).not.toHaveBeenCalled();
+      expect(screen.getByRole('alert')).toHaveTextContent('Wait for the confidence check to finish');
+    });
+
+    it('hides playback controls when the browser cannot speak', async () => {
+      cleanup();
+      delete window.speechSynthesis;
+      render(<HealthcareTranslator />);
+
+      await startListening(user);
+      say('The pain started this morning');
+      await transcript().findByText('El dolor empezó esta mañana');
+
+      expect(screen.queryByTitle('Speak translation (S)')).not.toBeInTheDocument();
+      expect(transcript().queryByRole('button', { name: 'Speak translation' })).not.toBeInTheDocument();
+      await user.keyboard('s');
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: 'Settings' }));
+      expect(screen.queryByText('Speech Output')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('patient view', () => {
+    it('shows a flagged translation only once it has been reviewed', async () => {
+      vi.stubGlobal('fetch', createFakeFetch((text, source) => (source === 'en' ? 'Tengo hambre' : 'I am hungry')));
+      await startListening(user);
+      say('The pain started this morning');
+      await screen.findByRole('button', { name: 'Reviewed' });
+
+      await user.click(screen.getByRole('button', { name: 'Patient view' }));
+      expect(within(screen.getByRole('dialog', { name: 'Patient view' })).queryByText('Tengo hambre')).not.toBeInTheDocument();
+
+      await user.keyboard('{Escape}');
+      await user.click(screen.getByRole('button', { name: 'Reviewed' }));
+      await user.click(screen.getByRole('button', { name: 'Patient view' }));
+      expect(within(screen.getByRole('dialog', { name: 'Patient view' })).getByText('Tengo hambre')).toBeInTheDocument();
+    });
+  });
+
+  describe('session details and audit log', () => {
+    const openSessionDetails = () => user.click(screen.getByRole('button', { name: 'Session details' }));
+    const auditEntries = () => within(screen.getByRole('list', { name: 'Audit log' })).getAllByRole('listitem').map(item => item.textContent);
+
+    it('logs listening, each translation with its provider, and playback', async () => {
+      await startListening(user);
+      say('The pain started this morning');
+      await screen.findByText('100% match');
+      await user.click(screen.getByTitle('Speak translation (S)'));
+      await user.click(screen.getByRole('button', { name: 'Stop Recording' }));
+      await openSessionDetails();
+
+      const entries = auditEntries();
+      expect(entries[0]).toContain('Listening started (en-US)');
+      expect(entries[1]).toMatch(/Translation en → es by MyMemory in \d+ ms/);
+      expect(entries[2]).toMatch(/Back-translation es → en by MyMemory in \d+ ms/);
+      expect(entries[3]).toContain('Translation spoken in Spanish');
+      expect(entries[4]).toContain('Listening stopped');
+    });
+
+    it('logs a repeated sentence as answered by the cache', async () => {
+      await startListening(user);
+      say('The pain started this morning');
+      await screen.findByText('100% match');
+      say('The pain started this morning');
+      await screen.findAllByText('El dolor empezó esta mañana');
+      await user.click(screen.getByRole('button', { name: 'Stop Recording' }));
+      await openSessionDetails();
+
+      expect(auditEntries().filter(entry => entry.includes('translation cache (first translated by MyMemory (public API))')))
+        .not.toHaveLength(0);
+    });
+
+    it('logs language changes', async () => {
+      await user.click(screen.getByRole('button', { name: 'Settings' }));
+      await user.click(screen.getByRole('button', { name: 'Swap Languages' }));
+      await user.click(screen.getByRole('button', { name: 'Close settings' }));
+      await openSessionDetails();
+
+      expect(auditEntries()[0]).toMatch(/Languages swapped: Spanish.* → English/);
+    });
+
+    it('logs a field still being edited when the panel is closed with Escape', async () => {
+      await openSessionDetails();
+      await user.type(screen.getByLabelText('Encounter / case ID'), 'E-42');
+      await user.keyboard('{Escape}');
+      await openSessionDetails();
+
+      expect(auditEntries()).toEqual([expect.stringContaining('Encounter / case ID set to “E-42”')]);
+    });
+
+    it('starts a fresh log and drops the previous patient\'s details on clear', async () => {
+      await openSessionDetails();
+      await user.type(screen.getByLabelText('Clinician name'), 'Dr. Chen');
+      await user.type(screen.getByLabelText('Encounter / case ID'), 'E-42');
+      await user.click(screen.getByLabelText('The patient was offered a professional interpreter and declined'));
+      await user.click(screen.getByRole('button', { name: 'Close session details' }));
+      await startListening(user);
+      say('The pain started this morning');
+      await transcript().findByText('El dolor empezó esta mañana');
+      await user.click(screen.getByRole('button', { name: 'Stop Recording' }));
+      await user.click(screen.getByRole('button', { name: 'Clear All' }));
+      await openSessionDetails();
+
+      expect(screen.getByLabelText('Clinician name')).toHaveValue('Dr. Chen');
+      expect(screen.getByLabelText('Encounter / case ID')).toHaveValue('');
+      expect(screen.getByLabelText('The patient was offered a professional interpreter and declined')).not.toBeChecked();
+      expect(auditEntries()).toEqual([
+        expect.stringContaining('New session started after clearing the previous one (1 segment)'),
+        expect.stringContaining('Clinician name set to “Dr. Chen”'),
+      ]);
+    });
+
+    it('logs details once editing finishes', async () => {
+      await openSessionDetails();
+      await user.type(screen.getByLabelText('Department'), 'Emergency');
+      await user.click(screen.getByLabelText('The patient was offered a professional interpreter and declined'));
+
+      expect(auditEntries()).toEqual([
+        expect.stringContaining('Department set to “Emergency”'),
+        expect.stringContaining('Interpreter offered and declined'),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// A transcript is a list of segments, one per finalized utterance. Each
+// segment is translated on its own so earlier speech is never re-sent.
+export const segmentStatus = {
+  pending: 'pending',
+  translated: 'translated',
+  failed: 'failed',
+};
+
+// origin: 'speech' | 'typed' | 'phrase'
+export const createSegment = ({
+  sourceText,
+  sourceLang,
+  targetLang,
+  speaker = null,
+  provisionalText = '',
+  origin = 'speech',
+  audio = null,
+}) => ({
+  id: crypto.randomUUID(),
+  createdAt: Date.now(),
+  speaker,
+  origin,
+  sourceText: sourceText.trim(),
+  translatedText: '',
+  // Live translation of the interim caption, shown until the real one arrives.
+  provisionalText,
+  // Glossary entries applied to the translation, for highlighting.
+  glossaryMatches: [],
+  // Identifiers masked before translation, and how many the provider lost.
+  redactions: [],
+  redactionsLost: 0,
+  // Back-translation check: confidenceStatus is 'checking' | 'done' | 'failed'.
+  backTranslation: '',
+  confidence: null,
+  confidenceStatus: null,
+  acknowledged: false,
+  // Offsets into the encounter recording, { start, end } in ms, if recorded.
+  audio,
+  sourceLang,
+  targetLang,
+  status: segmentStatus.pending,
+});
+
+export const updateSegment = (segments, id, changes) =>
+  segments.map(segment => (segment.id === id ? { ...segment, ...changes } : segment));
+
+export const translatedTextOf = (segments) =>
+  segments
+    .filter(segment => segment.status === segmentStatus.translated)
+    .map(segment => segment.translatedText)
+    .join(' ');
@@ -0,0 +1,107 @@
+const SETTINGS_KEY = 'meditranslate.tts';
+
+export const defaultTtsSettings = {
+  // Preferred voiceURI per language code; unset means pick the best match.
+  voices: {},
+  rate: 0.9,
+  pitch: 1,
+  volume: 1,
+  autoSpeak: false,
+};
+
+export const loadTtsSettings = () => {
+  try {
+    return { ...defaultTtsSettings, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) };
+  } catch {
+    return defaultTtsSettings;
+  }
+};
+
+export const saveTtsSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// Some embedded WebViews have no speech synthesis at all.
+export const isSpeechSynthesisSupported = () =>
+  Boolean(window.speechSynthesis) && typeof window.SpeechSynthesisUtterance === 'function';
+
+// Platforms list Tagalog voices under Filipino ('fil') or Tagalog ('tl');
+// either serves the other.
+const languageAliases = { fil: 'tl' };
+
+const baseLanguage = (lang) => {
+  const base = lang.toLowerCase().split(/[-_]/)[0];
+  return languageAliases[base] ?? base;
+};
+
+// Voices that can speak `locale`, exact region matches first.
+export const voicesFor = (voices, locale) => {
+  const exact = voices.filter(voice => voice.lang.toLowerCase().replace('_', '-') === locale.toLowerCase());
+  const related = voices.filter(voice =>
+    baseLanguage(voice.lang) === baseLanguage(locale) && !exact.includes(voice)
+  );
+  return [...exact, ...related];
+};
+
+export const pickVoice = (voices, locale, preferredURI) =>
+  voices.find(voice => voice.voiceURI === preferredURI && baseLanguage(voice.lang) === baseLanguage(locale)) ||
+  voicesFor(voices, locale)[0] ||
+  null;
+
+// Plays utterances one after another. speechSynthesis has its own queue, but
+// cancel() empties it and its events are unreliable across browsers, so the
+// queue is kept here and only one utterance is handed over at a time.
+export const createSpeechQueue = (synth, { onChange, onError } = {}) => {
+  if (!synth) return { enqueue() {}, playNow() {}, stop() {} };
+
+  let queue = [];
+  let current = null;
+
+  const playNext = () => {
+    current = queue.shift() || null;
+    onChange?.(Boolean(current));
+    if (!current) return;
+
+    const { text, locale, voice, rate, pitch, volume } = current;
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.lang = locale;
+    if (voice) utterance.voice = voice;
+    utterance.rate = rate;
+    utterance.pitch = pitch;
+    utterance.volume = volume;
+
+    const item = current;
+    utterance.onend = () => {
+      if (current === item) playNext();
+    };
+    utterance.onerror = (event) => {
+      if (current !== item) return;
+      // 'interrupted' and 'canceled' are the result of stop(), not failures.
+      if (event.error !== 'interrupted' && event.error !== 'canceled') onError?.(event);
+      playNext();
+    };
+    synth.speak(utterance);
+  };
+
+  return {
+    enqueue(item) {
+      queue.push(item);
+      if (!current) playNext();
+    },
+
+    // Interrupts playback and plays `item` right away.
+    playNow(item) {
+      queue = [item];
+      current = null;
+      synth.cancel();
+      playNext();
+    },
+
+    stop() {
+      queue = [];
+      current = null;
+      synth.cancel();
+      onChange?.(false);
+    },
+  };
+};
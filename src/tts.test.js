@@ -0,0 +1,17 @@
+import { describe, expect, it } from 'vitest';
+import { languages } from './languages';
+import { pickVoice } from './tts';
+
+const voice = (lang, name = lang) => ({ lang, name, voiceURI: name });
+
+describe('pickVoice', () => {
+  it('prefers an exact region match', () => {
+    const voices = [voice('es-MX'), voice('es-ES')];
+    expect(pickVoice(voices, 'es-ES')).toBe(voices[1]);
+  });
+
+  it('treats Filipino and Tagalog voices as one language', () => {
+    const voices = [voice('en-US'), voice('tl-PH')];
+    expect(pickVoice(voices, languages['tl-PH'].tts)).toBe(voices[1]);
+  });
+});
@@ -1,8 +1,42 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { VitePWA } from 'vite-plugin-pwa'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(),tailwindcss()],
+  plugins: [
+    react(),
+    tailwindcss(),
+    VitePWA({
+      // A new version waits until the user accepts the update prompt, so a
+      // reload never interrupts an encounter.
+      registerType: 'prompt',
+      includeAssets: ['vite.svg', 'icon.svg'],
+      manifest: {
+        name: 'MediTranslate',
+        short_name: 'MediTranslate',
+        description: 'Real-time medical interpretation between clinicians and patients',
+        start_url: '/',
+        display: 'standalone',
+        background_color: '#eef2ff',
+        theme_color: '#2563eb',
+        icons: [
+          { src: 'icon.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'any' },
+          { src: 'icon-maskable.svg', sizes: 'any', type: 'image/svg+xml', purpose: 'maskable' },
+        ],
+      },
+      // Only the app shell is cached. Translation and transcription requests
+      // are never stored by the service worker; translations kept offline go
+      // through the app's own translation cache.
+      workbox: {
+        globPatterns: ['**/*.{js,css,html,svg,png,ico,woff2}'],
+        navigateFallback: 'index.html',
+      },
+    }),
+  ],
+  test: {
+    environment: 'jsdom',
+    setupFiles: ['./src/test/setup.js'],
+  },
 })